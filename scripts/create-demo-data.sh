@@ -28,10 +28,10 @@ aws dynamodb put-item --table-name GameUsers --item '{
   "userId": {"S": "soccer-fan"},
   "name": {"S": "Alex Soccer Fan"},
   "preferences": {"L": [
-    {"M": {"type": {"S": "SPORT"}, "value": {"S": "soccer"}, "weight": {"N": "10"}}},
-    {"M": {"type": {"S": "PLAY_TYPE"}, "value": {"S": "goal"}, "weight": {"N": "10"}}},
-    {"M": {"type": {"S": "PLAY_TYPE"}, "value": {"S": "save"}, "weight": {"N": "8"}}},
-    {"M": {"type": {"S": "TEAM"}, "value": {"S": "Barcelona"}, "weight": {"N": "9"}}}
+    {"M": {"userId": {"S": "soccer-fan"}, "type": {"S": "SPORT"}, "value": {"S": "soccer"}, "weight": {"N": "10"}}},
+    {"M": {"userId": {"S": "soccer-fan"}, "type": {"S": "PLAY_TYPE"}, "value": {"S": "goal"}, "weight": {"N": "10"}}},
+    {"M": {"userId": {"S": "soccer-fan"}, "type": {"S": "PLAY_TYPE"}, "value": {"S": "save"}, "weight": {"N": "8"}}},
+    {"M": {"userId": {"S": "soccer-fan"}, "type": {"S": "TEAM"}, "value": {"S": "Barcelona"}, "weight": {"N": "9"}}}
   ]},
   "createdAt": {"S": "'$(date -u +%Y-%m-%dT%H:%M:%SZ)'"}
 }' > /dev/null
@@ -42,10 +42,10 @@ aws dynamodb put-item --table-name GameUsers --item '{
   "userId": {"S": "basketball-fan"},
   "name": {"S": "Jordan Basketball Fan"},
   "preferences": {"L": [
-    {"M": {"type": {"S": "SPORT"}, "value": {"S": "basketball"}, "weight": {"N": "10"}}},
-    {"M": {"type": {"S": "PLAY_TYPE"}, "value": {"S": "dunk"}, "weight": {"N": "10"}}},
-    {"M": {"type": {"S": "PLAY_TYPE"}, "value": {"S": "three_pointer"}, "weight": {"N": "9"}}},
-    {"M": {"type": {"S": "TEAM"}, "value": {"S": "Lakers"}, "weight": {"N": "8"}}}
+    {"M": {"userId": {"S": "basketball-fan"}, "type": {"S": "SPORT"}, "value": {"S": "basketball"}, "weight": {"N": "10"}}},
+    {"M": {"userId": {"S": "basketball-fan"}, "type": {"S": "PLAY_TYPE"}, "value": {"S": "dunk"}, "weight": {"N": "10"}}},
+    {"M": {"userId": {"S": "basketball-fan"}, "type": {"S": "PLAY_TYPE"}, "value": {"S": "three_pointer"}, "weight": {"N": "9"}}},
+    {"M": {"userId": {"S": "basketball-fan"}, "type": {"S": "TEAM"}, "value": {"S": "Lakers"}, "weight": {"N": "8"}}}
   ]},
   "createdAt": {"S": "'$(date -u +%Y-%m-%dT%H:%M:%SZ)'"}
 }' > /dev/null
@@ -56,10 +56,10 @@ aws dynamodb put-item --table-name GameUsers --item '{
   "userId": {"S": "general-fan"},
   "name": {"S": "Casey Sports Fan"},
   "preferences": {"L": [
-    {"M": {"type": {"S": "SPORT"}, "value": {"S": "soccer"}, "weight": {"N": "6"}}},
-    {"M": {"type": {"S": "SPORT"}, "value": {"S": "basketball"}, "weight": {"N": "7"}}},
-    {"M": {"type": {"S": "PLAY_TYPE"}, "value": {"S": "celebration"}, "weight": {"N": "8"}}},
-    {"M": {"type": {"S": "PLAY_TYPE"}, "value": {"S": "skill_move"}, "weight": {"N": "7"}}}
+    {"M": {"userId": {"S": "general-fan"}, "type": {"S": "SPORT"}, "value": {"S": "soccer"}, "weight": {"N": "6"}}},
+    {"M": {"userId": {"S": "general-fan"}, "type": {"S": "SPORT"}, "value": {"S": "basketball"}, "weight": {"N": "7"}}},
+    {"M": {"userId": {"S": "general-fan"}, "type": {"S": "PLAY_TYPE"}, "value": {"S": "celebration"}, "weight": {"N": "8"}}},
+    {"M": {"userId": {"S": "general-fan"}, "type": {"S": "PLAY_TYPE"}, "value": {"S": "skill_move"}, "weight": {"N": "7"}}}
   ]},
   "createdAt": {"S": "'$(date -u +%Y-%m-%dT%H:%M:%SZ)'"}
 }' > /dev/null
@@ -70,9 +70,9 @@ aws dynamodb put-item --table-name GameUsers --item '{
   "userId": {"S": "casual-viewer"},
   "name": {"S": "Sam Casual Viewer"},
   "preferences": {"L": [
-    {"M": {"type": {"S": "PLAY_TYPE"}, "value": {"S": "celebration"}, "weight": {"N": "9"}}},
-    {"M": {"type": {"S": "PLAY_TYPE"}, "value": {"S": "crowd_reaction"}, "weight": {"N": "8"}}},
-    {"M": {"type": {"S": "EXCITEMENT_LEVEL"}, "value": {"S": "high"}, "weight": {"N": "10"}}}
+    {"M": {"userId": {"S": "casual-viewer"}, "type": {"S": "PLAY_TYPE"}, "value": {"S": "celebration"}, "weight": {"N": "9"}}},
+    {"M": {"userId": {"S": "casual-viewer"}, "type": {"S": "PLAY_TYPE"}, "value": {"S": "crowd_reaction"}, "weight": {"N": "8"}}},
+    {"M": {"userId": {"S": "casual-viewer"}, "type": {"S": "EXCITEMENT_LEVEL"}, "value": {"S": "high"}, "weight": {"N": "10"}}}
   ]},
   "createdAt": {"S": "'$(date -u +%Y-%m-%dT%H:%M:%SZ)'"}
 }' > /dev/null
@@ -223,7 +223,7 @@ echo -e "${GREEN}Your demo data is ready! Here's how to use it:${NC}"
 echo ""
 echo -e "${YELLOW}1. Test Personalization API:${NC}"
 echo "   # Get personalized highlights for soccer fan"
-echo "   curl \"$API_URL/users/soccer-fan/preferences\""
+echo "   curl \"$API_URL/users/soccer-fan/highlights\""
 echo ""
 echo -e "${YELLOW}2. View All Highlights:${NC}"
 echo "   # Get all available highlights"
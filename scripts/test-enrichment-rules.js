@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Game Highlights AI - rules enrichment provider check (no AWS needed)
+ *
+ *   node scripts/test-enrichment-rules.js
+ *
+ * Runs the offline `rules` provider (ENRICHMENT_PROVIDER=rules) on fixture
+ * highlights and checks the titles, play types, excitement levels and audiences it
+ * writes, and that its insights pass the same validation as model output. Needs the
+ * video analysis dependencies installed (cd src/video-analysis && npm install).
+ */
+
+process.env.ENRICHMENT_PROVIDER = 'rules';
+
+const assert = require('assert');
+const { getEnrichmentProvider } = require('../src/video-analysis/enrichment-providers');
+const { PLAY_TYPES, validateHighlightInsights } = require('../src/video-analysis/highlight-insights');
+
+const provider = getEnrichmentProvider();
+
+/**
+ * Game context in the shape video analysis sends to every provider
+ */
+function gameContext(gameType, highlights) {
+  return {
+    videoSource: `s3://fixtures/games/${gameType}-demo.mp4`,
+    gameType,
+    highlights: highlights.map((highlight, index) => ({
+      id: `h${index + 1}`,
+      startTime: 0,
+      duration: 10,
+      labels: [],
+      confidence: 80,
+      ...highlight
+    }))
+  };
+}
+
+async function insightsFor(gameType, highlights) {
+  return provider.generateInsights({ gameContext: gameContext(gameType, highlights), keyframes: {} });
+}
+
+const checks = [];
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+check('is the offline provider', () => {
+  assert.strictEqual(provider.name, 'rules');
+  assert.strictEqual(provider.aiGenerated, false);
+  assert.strictEqual(provider.supportsImages, false);
+});
+
+check('takes the play type from the commentary first', async () => {
+  const insights = await insightsFor('basketball', [
+    { startTime: 65, labels: ['Goal'], commentary: 'What a SLAM from the baseline!' },
+    { startTime: 123.9, commentary: 'That one is a home run, gone!' },
+    { startTime: 30, commentary: 'Saved by the keeper at full stretch' }
+  ]);
+
+  assert.strictEqual(insights.h1.playType, 'dunk');
+  assert.strictEqual(insights.h1.title, 'Dunk at 1:05');
+  assert.strictEqual(insights.h2.playType, 'home-run');
+  assert.strictEqual(insights.h2.title, 'Home Run at 2:03');
+  assert.strictEqual(insights.h3.playType, 'save');
+});
+
+check('falls back to Rekognition labels', async () => {
+  const insights = await insightsFor('soccer', [
+    { startTime: 7, labels: ['Ball', 'Goal'] },
+    { startTime: 600, labels: ['Person', 'Celebration'], commentary: 'The crowd is on its feet' }
+  ]);
+
+  assert.strictEqual(insights.h1.playType, 'goal');
+  assert.strictEqual(insights.h1.title, 'Goal at 0:07');
+  assert.strictEqual(insights.h2.playType, 'celebration');
+  assert.strictEqual(insights.h2.title, 'Celebration at 10:00');
+});
+
+check('names plays without cues after the sport', async () => {
+  const insights = await insightsFor('ice_hockey', [
+    { startTime: 3599, labels: ['Person'], commentary: 'Face-off in the neutral zone' }
+  ]);
+
+  // "Face" must not read as an ace
+  assert.strictEqual(insights.h1.playType, 'general');
+  assert.strictEqual(insights.h1.title, 'Ice Hockey at 59:59');
+});
+
+check('scales excitement with confidence and picks the audience', async () => {
+  const insights = await insightsFor('tennis', [
+    { confidence: 96 },
+    { confidence: 62 },
+    { confidence: 0 },
+    { confidence: 140 }
+  ]);
+
+  assert.deepStrictEqual(Object.values(insights).map(insight => insight.excitementLevel), [10, 6, 1, 10]);
+  assert.strictEqual(insights.h1.targetAudience, 'all fans');
+  assert.strictEqual(insights.h2.targetAudience, 'Tennis fans');
+});
+
+check('passes the insights validation used for model output', async () => {
+  const context = gameContext('soccer', [
+    { startTime: 12, labels: ['Goal'] },
+    { startTime: 40, commentary: 'An ace down the T' },
+    { startTime: 75 }
+  ]);
+  const insights = await provider.generateInsights({ gameContext: context, keyframes: {} });
+  const ids = context.highlights.map(highlight => highlight.id);
+  const { insights: validated, errors } = validateHighlightInsights(
+    { highlights: Object.entries(insights).map(([id, insight]) => ({ id, ...insight })) },
+    ids
+  );
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(Object.keys(validated).sort(), ids);
+  Object.values(insights).forEach(insight => assert.ok(PLAY_TYPES.includes(insight.playType), insight.playType));
+});
+
+(async () => {
+  let failed = 0;
+
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}\n   ${error.message}`);
+    }
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
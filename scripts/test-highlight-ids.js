@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Game Highlights AI - highlight ID stability check (no AWS needed)
+ *
+ *   node scripts/test-highlight-ids.js
+ *
+ * Builds clip windows from fixture label clusters, stores them in an in-memory
+ * table the way video analysis does (deterministic IDs, matched to the video's
+ * stored highlights by overlap, conditional puts), and checks that running again -
+ * with the same inputs or with window edges shifted by snapping, padding or float
+ * noise - writes no new highlight IDs. Needs the video analysis dependencies
+ * installed (cd src/video-analysis && npm install).
+ */
+
+process.env.HIGHLIGHTS_TABLE = process.env.HIGHLIGHTS_TABLE || 'highlights-check';
+
+const assert = require('assert');
+const { buildHighlightWindows } = require('../src/video-analysis/highlight-windows');
+const { buildHighlightId, matchStoredHighlights } = require('../src/video-analysis/highlight-store');
+
+const GAME_ID = 'game-fixture';
+const SOURCE_VIDEO = 's3://fixtures/games/game-fixture/soccer.mp4';
+
+// Label clusters as detection produces them, in seconds of video
+const CLUSTERS = [
+  { startTime: 12.2, endTime: 15.4, confidence: 91, labels: ['Goal'], labelHits: 4 },
+  { startTime: 61.7, endTime: 63.1, confidence: 84, labels: ['Save'], labelHits: 2 },
+  { startTime: 140.3, endTime: 146.8, confidence: 78, labels: ['Celebration'], labelHits: 5 }
+];
+// Shot boundaries from segment detection
+const SHOTS = [
+  { startTime: 0, endTime: 9.5 },
+  { startTime: 9.5, endTime: 18.6 },
+  { startTime: 18.6, endTime: 58.96 },
+  { startTime: 58.96, endTime: 66.52 },
+  { startTime: 66.52, endTime: 137.8 },
+  { startTime: 137.8, endTime: 150.4 },
+  { startTime: 150.4, endTime: 300 }
+];
+const WINDOW_OPTIONS = { paddingBefore: 2, paddingAfter: 3, videoDuration: 300, shots: SHOTS, snapTolerance: 1.5 };
+
+/**
+ * In-memory highlights table with the write path of storeHighlightMetadata
+ */
+function createTable() {
+  const rows = new Map();
+
+  return {
+    rows,
+    store(windows) {
+      const items = windows.map(window => ({
+        highlightId: buildHighlightId(GAME_ID, SOURCE_VIDEO, window.startTime, window.endTime),
+        gameId: GAME_ID,
+        sourceVideo: SOURCE_VIDEO,
+        startTime: window.startTime,
+        endTime: window.endTime
+      }));
+      const created = [];
+
+      matchStoredHighlights(items, [...rows.values()]).forEach(item => {
+        if (!rows.has(item.highlightId)) {
+          rows.set(item.highlightId, item);
+          created.push(item.highlightId);
+        }
+      });
+
+      return created;
+    }
+  };
+}
+
+function analyze(clusters = CLUSTERS, options = WINDOW_OPTIONS) {
+  return buildHighlightWindows(clusters.map(cluster => ({ ...cluster })), options);
+}
+
+const checks = [];
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+check('builds the same IDs from the same inputs', () => {
+  const first = analyze().map(w => buildHighlightId(GAME_ID, SOURCE_VIDEO, w.startTime, w.endTime));
+  const second = analyze().map(w => buildHighlightId(GAME_ID, SOURCE_VIDEO, w.startTime, w.endTime));
+
+  assert.deepStrictEqual(second, first);
+});
+
+check('writes no new IDs when run again with the same inputs', () => {
+  const table = createTable();
+
+  assert.strictEqual(table.store(analyze()).length, 3);
+  assert.deepStrictEqual(table.store(analyze()), []);
+  assert.strictEqual(table.rows.size, 3);
+});
+
+check('keeps the IDs when edges cross a half second', () => {
+  const table = createTable();
+  table.store([{ startTime: 10.4, endTime: 20.49 }]);
+
+  // Rounds to 11-21 instead of 10-20: a different ID on its own
+  const moved = [{ startTime: 10.6, endTime: 20.51 }];
+  assert.notStrictEqual(
+    buildHighlightId(GAME_ID, SOURCE_VIDEO, 10.6, 20.51),
+    buildHighlightId(GAME_ID, SOURCE_VIDEO, 10.4, 20.49)
+  );
+  assert.deepStrictEqual(table.store(moved), []);
+  assert.strictEqual(table.rows.size, 1);
+});
+
+check('keeps the IDs when padding, snapping or float noise move the windows', () => {
+  const table = createTable();
+  table.store(analyze());
+
+  assert.deepStrictEqual(table.store(analyze(CLUSTERS, { ...WINDOW_OPTIONS, paddingBefore: 3.5, paddingAfter: 4, snapTolerance: 0 })), []);
+  assert.deepStrictEqual(table.store(analyze(CLUSTERS, { ...WINDOW_OPTIONS, snapTolerance: 0 })), []);
+  assert.deepStrictEqual(table.store(analyze(CLUSTERS.map(cluster => ({
+    ...cluster,
+    startTime: cluster.startTime + 0.1 + 0.2 - 0.3,
+    endTime: cluster.endTime * 1.0000001
+  })))), []);
+  assert.strictEqual(table.rows.size, 3);
+});
+
+check('adds a window that was not stored before', () => {
+  const table = createTable();
+  table.store(analyze());
+
+  const created = table.store(analyze([...CLUSTERS, { startTime: 220, endTime: 224, confidence: 80, labels: ['Shot'], labelHits: 3 }]));
+  assert.strictEqual(created.length, 1);
+  assert.strictEqual(table.rows.size, 4);
+});
+
+check('lets each stored highlight be claimed once', () => {
+  const stored = [{ highlightId: 'stored-1', startTime: 10, endTime: 20 }];
+  const matched = matchStoredHighlights([
+    { highlightId: 'new-1', startTime: 10.5, endTime: 19.5 },
+    { highlightId: 'new-2', startTime: 11, endTime: 20.5 }
+  ], stored);
+
+  assert.deepStrictEqual(matched.map(item => item.highlightId), ['stored-1', 'new-2']);
+});
+
+check('does not match provisional or barely overlapping highlights', () => {
+  const stored = [
+    { highlightId: 'provisional-1', startTime: 10, endTime: 20, provisional: true },
+    { highlightId: 'stored-2', startTime: 30, endTime: 40 }
+  ];
+  const matched = matchStoredHighlights([
+    { highlightId: 'new-1', startTime: 10, endTime: 20 },
+    { highlightId: 'new-2', startTime: 36, endTime: 46 }
+  ], stored);
+
+  assert.deepStrictEqual(matched.map(item => item.highlightId), ['new-1', 'new-2']);
+});
+
+(async () => {
+  let failed = 0;
+
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}\n   ${error.message}`);
+    }
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Game Highlights AI - MKV fragment parser check (no AWS needed)
+ *
+ *   node scripts/test-mkv-parser.js                 # run against generated fixtures
+ *   node scripts/test-mkv-parser.js capture.mkv     # also summarize a real GetMedia capture
+ *
+ * The fixtures mimic GetMedia output: one MKV document per fragment, unknown-size
+ * segments and clusters, Kinesis fragment tags, and trailing tags with the
+ * continuation token. A capture can be saved with:
+ *
+ *   aws kinesis-video-media get-media --endpoint-url <GET_MEDIA data endpoint> \
+ *     --stream-name <stream> --start-selector StartSelectorType=EARLIEST capture.mkv
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const { IDS, parseMediaFragments, buildSegmentFile, encodeElement, encodeUint } = require('../src/kinesis-processor/mkv-fragments');
+
+const UNKNOWN_SIZE = Buffer.from([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+const FRAME_MS = 40;
+
+/**
+ * Fixture builders
+ */
+function element(id, ...children) {
+  return encodeElement(id, Buffer.concat(children));
+}
+
+function uintElement(id, value) {
+  return element(id, encodeUint(value));
+}
+
+function stringElement(id, value) {
+  return element(id, Buffer.from(value));
+}
+
+function unknownSizeElement(id, ...children) {
+  return Buffer.concat([Buffer.from(id.toString(16), 'hex'), UNKNOWN_SIZE, ...children]);
+}
+
+function tags(values) {
+  return element(IDS.TAGS, element(IDS.TAG, ...Object.entries(values).map(([name, value]) =>
+    element(IDS.SIMPLE_TAG, stringElement(IDS.TAG_NAME, name), stringElement(IDS.TAG_STRING, value))
+  )));
+}
+
+function simpleBlock(relativeTimecode, keyframe) {
+  const header = Buffer.alloc(4);
+  header[0] = 0x81; // track 1
+  header.writeInt16BE(relativeTimecode, 1);
+  header[3] = keyframe ? 0x80 : 0x00;
+  return element(IDS.SIMPLE_BLOCK, header, Buffer.alloc(64, relativeTimecode & 0xFF));
+}
+
+const TRACKS = element(IDS.TRACKS, element(IDS.TRACK_ENTRY,
+  uintElement(IDS.TRACK_NUMBER, 1),
+  uintElement(IDS.TRACK_TYPE, 1),
+  stringElement(IDS.CODEC_ID, 'V_MPEG4/ISO/AVC'),
+  uintElement(IDS.DEFAULT_DURATION, FRAME_MS * 1e6),
+  element(IDS.VIDEO, uintElement(IDS.PIXEL_WIDTH, 1280), uintElement(IDS.PIXEL_HEIGHT, 720))
+));
+
+/**
+ * One GetMedia fragment: `frames` frames from `producerMs`, the first one a keyframe
+ */
+function fragment({ number, producerMs, serverMs, frames = 50, keyframe = true, trailingTags = {} }) {
+  const blocks = Array.from({ length: frames }, (_, index) => simpleBlock(index * FRAME_MS, keyframe && index === 0));
+
+  return Buffer.concat([
+    element(IDS.EBML, stringElement(0x4282, 'matroska')),
+    unknownSizeElement(IDS.SEGMENT,
+      element(IDS.INFO, uintElement(IDS.TIMECODE_SCALE, 1000000)),
+      TRACKS,
+      tags({
+        AWS_KINESISVIDEO_FRAGMENT_NUMBER: number,
+        AWS_KINESISVIDEO_SERVER_TIMESTAMP: (serverMs / 1000).toFixed(3),
+        AWS_KINESISVIDEO_PRODUCER_TIMESTAMP: (producerMs / 1000).toFixed(3)
+      }),
+      unknownSizeElement(IDS.CLUSTER, uintElement(IDS.TIMECODE, producerMs), ...blocks),
+      tags({ AWS_KINESISVIDEO_MILLIS_BEHIND_NOW: '1500', AWS_KINESISVIDEO_CONTINUATION_TOKEN: `${number}1`, ...trailingTags })
+    )
+  ]);
+}
+
+const START_MS = 1700000000000;
+const STREAM = Buffer.concat([0, 1, 2].map(index => fragment({
+  number: `9134385233318150${index}`,
+  producerMs: START_MS + index * 2000,
+  serverMs: START_MS + index * 2000 + 350
+})));
+
+const checks = [];
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+check('parses fragment tags, frames and timing', () => {
+  const { fragments, consumed } = parseMediaFragments(STREAM, { final: true });
+
+  assert.strictEqual(fragments.length, 3);
+  assert.strictEqual(consumed, STREAM.length);
+  assert.strictEqual(fragments[1].fragmentNumber, '91343852333181501');
+  assert.strictEqual(fragments[1].producerTimestamp, START_MS + 2000);
+  assert.strictEqual(fragments[1].serverTimestamp, START_MS + 2350);
+  assert.strictEqual(fragments[1].millisBehindNow, 1500);
+  assert.strictEqual(fragments[1].continuationToken, '913438523331815011');
+  assert.strictEqual(fragments[1].frameCount, 50);
+  assert.strictEqual(fragments[1].startMs, START_MS + 2000);
+  assert.strictEqual(fragments[1].durationMs, 2000);
+  assert.strictEqual(fragments[1].startsWithKeyframe, true);
+  assert.deepStrictEqual(fragments[0].tracks, [{
+    number: 1, type: 'video', codecId: 'V_MPEG4/ISO/AVC', defaultDurationMs: FRAME_MS, width: 1280, height: 720
+  }]);
+});
+
+check('holds back the last fragment until the stream ends', () => {
+  const { fragments, consumed } = parseMediaFragments(STREAM);
+
+  assert.strictEqual(fragments.length, 2);
+  assert.strictEqual(parseMediaFragments(STREAM.subarray(consumed), { final: true }).fragments.length, 1);
+});
+
+check('gives the same fragments however the stream is chunked', () => {
+  [1, 7, 1000, 4096].forEach(chunkSize => {
+    const fragments = [];
+    let pending = Buffer.alloc(0);
+
+    for (let offset = 0; offset < STREAM.length; offset += chunkSize) {
+      pending = Buffer.concat([pending, STREAM.subarray(offset, offset + chunkSize)]);
+      const parsed = parseMediaFragments(pending);
+      fragments.push(...parsed.fragments);
+      pending = pending.subarray(parsed.consumed);
+    }
+    fragments.push(...parseMediaFragments(pending, { final: true }).fragments);
+
+    assert.deepStrictEqual(fragments.map(item => item.fragmentNumber),
+      ['91343852333181500', '91343852333181501', '91343852333181502'], `chunk size ${chunkSize}`);
+  });
+});
+
+check('drops a fragment cut off mid-frame', () => {
+  const { fragments } = parseMediaFragments(STREAM.subarray(0, STREAM.length - 30), { final: true });
+
+  assert.strictEqual(fragments.length, 2);
+});
+
+check('reports GetMedia errors and frames without a keyframe', () => {
+  const { fragments } = parseMediaFragments(fragment({
+    number: '1', producerMs: START_MS, serverMs: START_MS, keyframe: false,
+    trailingTags: { AWS_KINESISVIDEO_ERROR_CODE: '4000', AWS_KINESISVIDEO_ERROR_ID: 'MISSING_TIMECODE' }
+  }), { final: true });
+
+  assert.strictEqual(fragments[0].errorCode, '4000');
+  assert.strictEqual(fragments[0].startsWithKeyframe, false);
+});
+
+check('joins fragments into one file starting at zero', () => {
+  const { fragments } = parseMediaFragments(STREAM, { final: true });
+  const file = buildSegmentFile(fragments);
+  const [joined] = parseMediaFragments(file, { final: true }).fragments;
+
+  assert.strictEqual(joined.clusters.length, 3);
+  assert.deepStrictEqual(joined.clusters.map(cluster => cluster.timecode), [0, 2000, 4000]);
+  assert.strictEqual(joined.frameCount, 150);
+  assert.strictEqual(joined.startMs, 0);
+  assert.strictEqual(joined.durationMs, 6000);
+  assert.strictEqual(joined.tracks[0].codecId, 'V_MPEG4/ISO/AVC');
+});
+
+let failed = 0;
+checks.forEach(({ name, fn }) => {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`❌ ${name}\n   ${error.message}`);
+  }
+});
+
+const capturePath = process.argv[2];
+if (capturePath) {
+  const { fragments, consumed } = parseMediaFragments(fs.readFileSync(capturePath), { final: true });
+
+  console.log(`\n📼 ${capturePath}: ${fragments.length} fragments, ${consumed} bytes parsed`);
+  fragments.forEach(item => {
+    console.log(`   ${item.fragmentNumber}  producer ${new Date(item.producerTimestamp).toISOString()}  ` +
+      `server ${new Date(item.serverTimestamp).toISOString()}  ${item.frameCount} frames  ${Math.round(item.durationMs)}ms` +
+      `${item.errorCode ? `  error ${item.errorCode}` : ''}`);
+  });
+}
+
+process.exit(failed > 0 ? 1 : 0);
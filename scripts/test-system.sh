@@ -83,9 +83,9 @@ echo "Testing POST /users/test-user/preferences..."
 PREFS_RESPONSE=$(curl -s -w "%{http_code}" -o /tmp/prefs_response.json \
     -X POST "$API_URL/users/test-user/preferences" \
     -H "Content-Type: application/json" \
-    -d '{"userId":"test-user","preferences":[{"type":"SPORT","value":"soccer","weight":5}]}')
+    -d '{"type":"SPORT","value":"soccer","weight":5}')
 
-if [ "$PREFS_RESPONSE" = "200" ]; then
+if [ "$PREFS_RESPONSE" = "201" ]; then
     echo -e "${GREEN}✅ User preferences API responding${NC}"
 else
     echo -e "${YELLOW}⚠️  User preferences API returned status: $PREFS_RESPONSE${NC}"
@@ -55,10 +55,10 @@ echo ""
 
 # Test 2: Soccer Fan Personalization
 echo -e "${YELLOW}🔍 Test 2: Soccer Fan Personalization${NC}"
-echo -e "${BLUE}GET $API_BASE/users/soccer-fan/preferences${NC}"
+echo -e "${BLUE}GET $API_BASE/users/soccer-fan/highlights${NC}"
 echo ""
 
-response2=$(curl -s "$API_BASE/users/soccer-fan/preferences")
+response2=$(curl -s "$API_BASE/users/soccer-fan/highlights")
 display_highlights "$response2" "⚽ Soccer Fan's Personalized Highlights"
 
 echo -e "${CYAN}================================================${NC}"
@@ -66,10 +66,10 @@ echo ""
 
 # Test 3: Basketball Fan Personalization
 echo -e "${YELLOW}🔍 Test 3: Basketball Fan Personalization${NC}"
-echo -e "${BLUE}GET $API_BASE/users/basketball-fan/preferences${NC}"
+echo -e "${BLUE}GET $API_BASE/users/basketball-fan/highlights${NC}"
 echo ""
 
-response3=$(curl -s "$API_BASE/users/basketball-fan/preferences")
+response3=$(curl -s "$API_BASE/users/basketball-fan/highlights")
 display_highlights "$response3" "🏀 Basketball Fan's Personalized Highlights"
 
 echo -e "${CYAN}================================================${NC}"
@@ -77,10 +77,10 @@ echo ""
 
 # Test 4: Tennis Fan Personalization
 echo -e "${YELLOW}🔍 Test 4: Tennis Fan Personalization${NC}"
-echo -e "${BLUE}GET $API_BASE/users/tennis-fan/preferences${NC}"
+echo -e "${BLUE}GET $API_BASE/users/tennis-fan/highlights${NC}"
 echo ""
 
-response4=$(curl -s "$API_BASE/users/tennis-fan/preferences")
+response4=$(curl -s "$API_BASE/users/tennis-fan/highlights")
 display_highlights "$response4" "🎾 Tennis Fan's Personalized Highlights"
 
 echo -e "${CYAN}================================================${NC}"
@@ -98,7 +98,16 @@ async function processDynamoDBEvent(event) {
       const highlight = unmarshallDynamoDBItem(record.dynamodb.NewImage);
       
       // Only process highlights that don't have clips yet
-      if (!highlight.clipGenerated && highlight.processed !== false) {
+      if (!highlight.clipGenerated && isClippable(highlight)) {
+        const result = await processHighlight(highlight.highlightId);
+        processedHighlights.push(result);
+      }
+    } else if (record.eventName === 'MODIFY' && record.dynamodb?.NewImage && record.dynamodb?.OldImage) {
+      // Live highlights merged across windows can move to another segment or window
+      const highlight = unmarshallDynamoDBItem(record.dynamodb.NewImage);
+      
+      if (highlight.clipStatus === 'pending' && isClippable(highlight) &&
+        clipWindowChanged(unmarshallDynamoDBItem(record.dynamodb.OldImage), highlight)) {
         const result = await processHighlight(highlight.highlightId);
         processedHighlights.push(result);
       }
@@ -115,6 +124,20 @@ async function processDynamoDBEvent(event) {
   };
 }
 
+/**
+ * Provisional live highlights are never clipped: the full analysis either confirms
+ * them with a highlight of its own, which gets the clip, or drops them
+ */
+function isClippable(highlight) {
+  return highlight.processed !== false && !highlight.provisional;
+}
+
+function clipWindowChanged(before, after) {
+  return before.sourceVideo !== after.sourceVideo ||
+    before.startTime !== after.startTime ||
+    before.endTime !== after.endTime;
+}
+
 /**
  * Process MediaConvert job completion events
  */
@@ -169,6 +192,14 @@ async function processHighlight(highlightId) {
       };
     }
     
+    if (highlight.provisional) {
+      console.log(`Highlight ${highlightId} is provisional, not clipping it`);
+      return {
+        highlightId,
+        status: 'skipped_provisional'
+      };
+    }
+    
     // Extract source video information
     const sourceVideoUrl = highlight.sourceVideo; // s3://bucket/key
     const { bucket: sourceBucket, key: sourceKey } = parseS3Url(sourceVideoUrl);
@@ -384,16 +415,27 @@ async function updateHighlightWithClipInfo(jobId) {
         highlightId: highlightId
       },
       UpdateExpression: 'SET clipGenerated = :generated, clipUrl = :clipUrl, thumbnailUrl = :thumbnailUrl, clipStatus = :status, clipGeneratedAt = :timestamp',
+      // A job for a window the highlight has since moved away from doesn't complete it
+      ConditionExpression: 'mediaConvertJobId = :jobId',
       ExpressionAttributeValues: {
         ':generated': true,
         ':clipUrl': clipUrl,
         ':thumbnailUrl': thumbnailUrl,
         ':status': 'completed',
-        ':timestamp': new Date().toISOString()
+        ':timestamp': new Date().toISOString(),
+        ':jobId': jobId
       }
     };
     
-    await dynamoDB.send(new UpdateCommand(params));
+    try {
+      await dynamoDB.send(new UpdateCommand(params));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        console.log(`Ignoring clip job ${jobId}: highlight ${highlightId} has a newer window`);
+        return;
+      }
+      throw error;
+    }
     console.log(`Updated highlight ${highlightId} with clip information`);
     
   } catch (error) {
@@ -516,7 +558,7 @@ function unmarshallDynamoDBItem(item) {
   for (const [key, value] of Object.entries(item)) {
     if (value.S) result[key] = value.S;
     else if (value.N) result[key] = parseFloat(value.N);
-    else if (value.BOOL) result[key] = value.BOOL;
+    else if (value.BOOL !== undefined) result[key] = value.BOOL;
     else if (value.SS) result[key] = value.SS;
     else if (value.L) result[key] = value.L.map(v => unmarshallDynamoDBItem({ item: v }).item);
   }
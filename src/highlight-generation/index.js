@@ -1,5 +1,5 @@
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, ScanCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, QueryCommand } = require('@aws-sdk/lib-dynamodb');
 const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 
@@ -11,6 +11,22 @@ const HIGHLIGHTS_TABLE = process.env.HIGHLIGHTS_TABLE;
 const HIGHLIGHTS_BUCKET = process.env.HIGHLIGHTS_BUCKET;
 const CLOUDFRONT_DOMAIN = process.env.CLOUDFRONT_DOMAIN;
 
+// Global secondary indexes on the highlights table, all sorted by timestamp
+const HIGHLIGHT_INDEXES = {
+  gameId: process.env.HIGHLIGHTS_GAME_INDEX || 'gameId-timestamp-index',
+  playType: process.env.HIGHLIGHTS_PLAY_TYPE_INDEX || 'playType-timestamp-index',
+  sport: process.env.HIGHLIGHTS_SPORT_INDEX || 'sport-timestamp-index',
+  clipStatus: process.env.HIGHLIGHTS_STATUS_INDEX || 'clipStatus-timestamp-index'
+};
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+// Filtered queries may need several round trips to fill a page
+const MAX_QUERY_ROUNDS = 10;
+// Dates (2026-10-19) and date-times with an optional offset (2026-10-19T18:30:00Z)
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
 /**
  * Enhanced highlight generation with real data from DynamoDB
  */
@@ -22,10 +38,13 @@ exports.handler = async (event) => {
     const useRealData = process.env.USE_REAL_DATA === 'true';
     
     if (useRealData) {
+      const filters = parseHighlightFilters(event.queryStringParameters || {});
+      
       // Get real highlights from DynamoDB
-      const realHighlights = await getRealHighlights();
+      const page = await getRealHighlights(filters);
       
-      if (realHighlights.length > 0) {
+      // Only fall back to demo data for an empty, unfiltered first page
+      if (page.highlights.length > 0 || filters.hasCriteria || filters.nextToken) {
         return {
           statusCode: 200,
           headers: {
@@ -34,8 +53,9 @@ exports.handler = async (event) => {
           },
           body: JSON.stringify({
             message: 'Real highlights retrieved successfully',
-            highlightsCount: realHighlights.length,
-            highlights: realHighlights,
+            highlightsCount: page.highlights.length,
+            highlights: page.highlights,
+            nextToken: page.nextToken,
             source: 'dynamodb'
           })
         };
@@ -62,7 +82,7 @@ exports.handler = async (event) => {
     console.error('Error generating highlights:', error);
     
     return {
-      statusCode: 500,
+      statusCode: error.name === 'ValidationError' ? 400 : 500,
       headers: {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*'
@@ -76,43 +96,251 @@ exports.handler = async (event) => {
 };
 
 /**
- * Get real highlights from DynamoDB
+ * Parse and validate GET /highlights query string filters
  */
-async function getRealHighlights() {
-  try {
-    const params = {
-      TableName: HIGHLIGHTS_TABLE,
-      FilterExpression: 'clipGenerated = :true',
-      ExpressionAttributeValues: {
-        ':true': true
-      },
-      Limit: 10 // Limit for demo purposes
-    };
-    
-    const result = await dynamoDB.send(new ScanCommand(params));
-    
-    return (result.Items || []).map(item => ({
-      highlightId: item.highlightId,
-      title: item.aiTitle || item.title || 'Generated Highlight',
-      description: item.description || 'AI-generated gaming highlight',
-      duration: item.duration,
-      sport: item.sport || extractSportFromLabels(item.labels),
-      excitementLevel: item.excitementLevel || 5,
-      playType: item.playType || 'general',
-      aiEnhanced: item.aiEnhanced || false,
-      comprehendEnhanced: item.comprehendEnhanced || false,
-      timestamp: item.timestamp,
-      videoUrl: item.clipUrl ? generateCloudFrontUrl(item.clipUrl) : null,
-      thumbnailUrl: item.thumbnailUrl ? generateCloudFrontUrl(item.thumbnailUrl) : null,
-      personalizedScore: calculateBaseScore(item),
-      confidence: item.confidence,
-      source: item.source || 'processed'
+function parseHighlightFilters(query) {
+  const filters = {
+    gameId: optionalString(query.gameId, 'gameId'),
+    sport: optionalString(query.sport, 'sport'),
+    playType: optionalString(query.playType, 'playType'),
+    minExcitement: undefined,
+    from: optionalDate(query.from, 'from'),
+    to: optionalDate(query.to, 'to', { endOfDay: true }),
+    limit: DEFAULT_PAGE_SIZE,
+    nextToken: query.nextToken || undefined
+  };
+  
+  if (query.minExcitement !== undefined) {
+    const minExcitement = Number(query.minExcitement);
+    if (!Number.isFinite(minExcitement) || minExcitement < 0 || minExcitement > 10) {
+      throw validationError('minExcitement must be a number between 0 and 10');
+    }
+    filters.minExcitement = minExcitement;
+  }
+  
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (Number.isNaN(limit) || limit < 1) {
+      throw validationError('limit must be a positive integer');
+    }
+    filters.limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+  
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw validationError('from must be before to');
+  }
+  
+  filters.hasCriteria = Boolean(filters.gameId || filters.sport || filters.playType ||
+    filters.minExcitement !== undefined || filters.from || filters.to);
+  
+  return filters;
+}
+
+/**
+ * Get a page of real highlights from DynamoDB, served from the best matching index
+ */
+async function getRealHighlights(filters) {
+  const params = buildHighlightQuery(filters);
+  const items = [];
+  let exclusiveStartKey = decodeNextToken(filters.nextToken, params.IndexName);
+  let rounds = 0;
+  
+  // Limit applies before the filter expression, so keep querying until the page is
+  // full. Asking only for what's missing keeps LastEvaluatedKey exact for the next page.
+  do {
+    const result = await dynamoDB.send(new QueryCommand({
+      ...params,
+      Limit: filters.limit - items.length,
+      ExclusiveStartKey: exclusiveStartKey
     }));
     
+    items.push(...(result.Items || []));
+    exclusiveStartKey = result.LastEvaluatedKey;
+    rounds++;
+  } while (exclusiveStartKey && items.length < filters.limit && rounds < MAX_QUERY_ROUNDS);
+  
+  return {
+    highlights: items.map(formatHighlight),
+    nextToken: encodeNextToken(exclusiveStartKey, params.IndexName)
+  };
+}
+
+/**
+ * Build the query for the most selective index the filters allow
+ */
+function buildHighlightQuery(filters) {
+  const names = { '#ts': 'timestamp' };
+  const values = {};
+  const filterExpressions = [];
+  let keyAttribute;
+  
+  if (filters.gameId) {
+    keyAttribute = 'gameId';
+  } else if (filters.playType) {
+    keyAttribute = 'playType';
+  } else if (filters.sport) {
+    keyAttribute = 'sport';
+  } else {
+    keyAttribute = 'clipStatus';
+  }
+  
+  names['#pk'] = keyAttribute;
+  values[':pk'] = keyAttribute === 'clipStatus' ? 'completed' : filters[keyAttribute];
+  let keyCondition = '#pk = :pk';
+  
+  if (filters.from && filters.to) {
+    keyCondition += ' AND #ts BETWEEN :from AND :to';
+    values[':from'] = filters.from;
+    values[':to'] = filters.to;
+  } else if (filters.from) {
+    keyCondition += ' AND #ts >= :from';
+    values[':from'] = filters.from;
+  } else if (filters.to) {
+    keyCondition += ' AND #ts <= :to';
+    values[':to'] = filters.to;
+  }
+  
+  // Filters not covered by the chosen index key
+  ['gameId', 'playType', 'sport'].forEach(attribute => {
+    if (attribute !== keyAttribute && filters[attribute]) {
+      names[`#${attribute}`] = attribute;
+      values[`:${attribute}`] = filters[attribute];
+      filterExpressions.push(`#${attribute} = :${attribute}`);
+    }
+  });
+  
+  if (filters.minExcitement !== undefined) {
+    values[':minExcitement'] = filters.minExcitement;
+    filterExpressions.push('excitementLevel >= :minExcitement');
+  }
+  
+  // Highlights replaced by a re-analysis of their video
+  filterExpressions.push('attribute_not_exists(superseded)');
+  
+  // Only clips that are ready to play
+  if (keyAttribute !== 'clipStatus') {
+    values[':true'] = true;
+    filterExpressions.push('clipGenerated = :true');
+  }
+  
+  const params = {
+    TableName: HIGHLIGHTS_TABLE,
+    IndexName: HIGHLIGHT_INDEXES[keyAttribute],
+    KeyConditionExpression: keyCondition,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+    ScanIndexForward: false // Newest first
+  };
+  
+  if (filterExpressions.length > 0) {
+    params.FilterExpression = filterExpressions.join(' AND ');
+  }
+  
+  return params;
+}
+
+/**
+ * Opaque pagination tokens wrap LastEvaluatedKey and the index it belongs to
+ */
+function encodeNextToken(lastEvaluatedKey, indexName) {
+  if (!lastEvaluatedKey) {
+    return null;
+  }
+  
+  return Buffer.from(JSON.stringify({ index: indexName, key: lastEvaluatedKey })).toString('base64url');
+}
+
+function decodeNextToken(nextToken, indexName) {
+  if (!nextToken) {
+    return undefined;
+  }
+  
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(nextToken, 'base64url').toString('utf8'));
   } catch (error) {
-    console.error('Error getting real highlights:', error);
-    return [];
+    throw validationError('Invalid nextToken');
+  }
+  
+  if (!decoded || decoded.index !== indexName || typeof decoded.key !== 'object') {
+    throw validationError('nextToken does not match the requested filters');
   }
+  
+  return decoded.key;
+}
+
+/**
+ * Shape a DynamoDB highlight item for the API response
+ */
+function formatHighlight(item) {
+  return {
+    highlightId: item.highlightId,
+    gameId: item.gameId,
+    title: item.aiTitle || item.title || 'Generated Highlight',
+    description: item.description || 'AI-generated gaming highlight',
+    duration: item.duration,
+    sport: item.sport || extractSportFromLabels(item.labels),
+    excitementLevel: item.excitementLevel || 5,
+    playType: item.playType || 'general',
+    aiEnhanced: item.aiEnhanced || false,
+    comprehendEnhanced: item.comprehendEnhanced || false,
+    timestamp: item.timestamp,
+    videoUrl: item.clipUrl ? generateCloudFrontUrl(item.clipUrl) : null,
+    thumbnailUrl: item.thumbnailUrl ? generateCloudFrontUrl(item.thumbnailUrl) : null,
+    personalizedScore: calculateBaseScore(item),
+    confidence: item.confidence,
+    source: item.source || 'processed'
+  };
+}
+
+/**
+ * Query string validation helpers
+ */
+function optionalString(value, name) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  
+  const trimmed = String(value).trim();
+  if (trimmed.length > 200 || /[^a-zA-Z0-9-_:. ]/.test(trimmed)) {
+    throw validationError(`Invalid ${name}`);
+  }
+  
+  return trimmed;
+}
+
+/**
+ * ISO 8601 date or date-time as a UTC timestamp. A date alone means the start of
+ * that day, or its last millisecond with `endOfDay`, so `to` includes the whole day.
+ */
+function optionalDate(value, name, { endOfDay = false } = {}) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  
+  const trimmed = String(value).trim();
+  const day = trimmed.slice(0, 10);
+  const dateOnly = DATE_ONLY_PATTERN.test(trimmed);
+  const date = new Date(dateOnly ? `${trimmed}T00:00:00.000Z` : trimmed);
+  // Date rolls days past the end of a month over (2026-02-30 is March 2)
+  const startOfDay = new Date(`${day}T00:00:00.000Z`);
+  
+  if (!ISO_DATE_PATTERN.test(trimmed) || Number.isNaN(date.getTime()) ||
+    Number.isNaN(startOfDay.getTime()) || startOfDay.toISOString().slice(0, 10) !== day) {
+    throw validationError(`${name} must be an ISO 8601 date`);
+  }
+  
+  if (dateOnly && endOfDay) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  
+  return date.toISOString();
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
 }
 
 /**
@@ -0,0 +1,69 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+
+const dynamoClient = new DynamoDBClient({});
+const dynamoDB = DynamoDBDocumentClient.from(dynamoClient);
+
+// Partition key streamName; without the table every live read starts at the live edge
+const STREAM_CHECKPOINTS_TABLE = process.env.STREAM_CHECKPOINTS_TABLE;
+
+/**
+ * How far each stream has been processed, so consecutive live invocations read
+ * consecutive (overlapping) windows instead of whatever is live at the time.
+ *
+ * Checkpoints carry a version; saving one that another invocation has moved on
+ * from fails, so two invocations can't both claim the same stretch of stream.
+ */
+
+function checkpointsEnabled() {
+  return Boolean(STREAM_CHECKPOINTS_TABLE);
+}
+
+/**
+ * The stream's checkpoint, or null before its first window
+ */
+async function getCheckpoint(streamName) {
+  const result = await dynamoDB.send(new GetCommand({
+    TableName: STREAM_CHECKPOINTS_TABLE,
+    Key: { streamName },
+    ConsistentRead: true
+  }));
+
+  return result.Item || null;
+}
+
+/**
+ * Advance the checkpoint past a processed window. Returns false when another
+ * invocation advanced it first.
+ */
+async function saveCheckpoint(streamName, previous, window) {
+  const version = previous ? previous.version + 1 : 1;
+
+  try {
+    await dynamoDB.send(new PutCommand({
+      TableName: STREAM_CHECKPOINTS_TABLE,
+      Item: {
+        streamName,
+        ...window,
+        windowsProcessed: (previous?.windowsProcessed || 0) + 1,
+        version,
+        updatedAt: new Date().toISOString()
+      },
+      ConditionExpression: previous ? 'version = :version' : 'attribute_not_exists(streamName)',
+      ...(previous && { ExpressionAttributeValues: { ':version': previous.version } })
+    }));
+
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  checkpointsEnabled,
+  getCheckpoint,
+  saveCheckpoint
+};
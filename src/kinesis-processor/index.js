@@ -1,9 +1,13 @@
 const { KinesisVideoClient, DescribeStreamCommand } = require('@aws-sdk/client-kinesis-video');
-const { KinesisVideoMediaClient, GetMediaCommand } = require('@aws-sdk/client-kinesis-video-media');
 const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand } = require('@aws-sdk/lib-dynamodb');
 const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+const { buildSegmentFile, sameTracks } = require('./mkv-fragments');
+const { readLiveFragments, listArchivedFragments, getClip } = require('./media-retrieval');
+const { remuxToMp4 } = require('./remux');
+const { checkpointsEnabled, getCheckpoint, saveCheckpoint } = require('./checkpoints');
+const { registryEnabled, getRegistration, listActiveStreams, toGame } = require('./stream-registry');
 
 const kinesisVideo = new KinesisVideoClient({});
 const s3 = new S3Client({});
@@ -11,33 +15,61 @@ const dynamoClient = new DynamoDBClient({});
 const dynamoDB = DynamoDBDocumentClient.from(dynamoClient);
 const lambda = new LambdaClient({});
 
+// Single stream read when no stream registry is configured
 const VIDEO_STREAM_NAME = process.env.VIDEO_STREAM_NAME;
 const VIDEO_BUCKET = process.env.VIDEO_BUCKET;
 const HIGHLIGHTS_TABLE = process.env.HIGHLIGHTS_TABLE;
 const VIDEO_ANALYSIS_FUNCTION = process.env.VIDEO_ANALYSIS_FUNCTION_NAME;
+const SEGMENT_DURATION_MS = parseFloat(process.env.SEGMENT_DURATION_SECONDS || '30') * 1000;
+// Each checkpointed live window starts this far before the previous one ended, so a play
+// cut off at a window boundary is seen whole in the next window
+const WINDOW_OVERLAP_MS = parseFloat(process.env.WINDOW_OVERLAP_SECONDS || '10') * 1000;
+// Which fragment timestamps select archived media: when the producer captured it or when Kinesis received it
+const FRAGMENT_TIMESTAMP_TYPE = process.env.FRAGMENT_TIMESTAMP_TYPE || 'SERVER_TIMESTAMP';
+// Invocation time kept back from live reads for remuxing, uploading and triggering analysis
+const LIVE_READ_RESERVE_MS = 60000;
+
+if (!['SERVER_TIMESTAMP', 'PRODUCER_TIMESTAMP'].includes(FRAGMENT_TIMESTAMP_TYPE)) {
+  throw new Error('FRAGMENT_TIMESTAMP_TYPE must be SERVER_TIMESTAMP or PRODUCER_TIMESTAMP');
+}
 
 /**
- * Processes Kinesis Video Stream data and extracts video segments for analysis
+ * Processes Kinesis Video Stream data and extracts video segments for analysis.
+ *
+ * With a time range ({ streamName, startTime, endTime }) stored media is cut into
+ * segments from the archive; otherwise live media is read with GetMedia, from
+ * `continuationToken`, the stream's checkpoint (STREAM_CHECKPOINTS_TABLE) or the
+ * live edge. Each segment is written to S3 as an MP4 and analyzed.
+ *
+ * With a stream registry (STREAM_REGISTRY_TABLE) only registered streams are read,
+ * and their segments are analyzed as part of the registered game. An invocation
+ * without a stream name reads every active stream, each in an invocation of its own.
  */
-exports.handler = async (event) => {
+exports.handler = async (event, context) => {
   console.log('Kinesis Video Stream event:', JSON.stringify(event, null, 2));
   
   try {
     // Handle different event types
     if (event.source === 'aws.kinesisvideo') {
       // Handle Kinesis Video Stream events
-      return await handleKinesisVideoEvent(event);
+      return await handleKinesisVideoEvent(event, context);
     } else if (event.streamName) {
       // Direct invocation with stream name
-      return await processVideoStream(event.streamName, event.startTime, event.endTime);
+      return await processVideoStream(event.streamName, parseReadOptions(event), context);
+    } else if (registryEnabled()) {
+      // Scheduled invocation: fan out to every registered stream
+      return await dispatchActiveStreams(context);
     } else {
       // Manual invocation for testing
-      return await processVideoStream(VIDEO_STREAM_NAME);
+      if (!VIDEO_STREAM_NAME) {
+        throw validationError('streamName is required when neither STREAM_REGISTRY_TABLE nor VIDEO_STREAM_NAME is set');
+      }
+      return await processVideoStream(VIDEO_STREAM_NAME, {}, context);
     }
   } catch (error) {
     console.error('Error processing Kinesis Video Stream:', error);
     return {
-      statusCode: 500,
+      statusCode: error.name === 'ValidationError' ? 400 : 500,
       body: {
         message: 'Error processing video stream',
         error: error.message
@@ -49,15 +81,32 @@ exports.handler = async (event) => {
 /**
  * Handle Kinesis Video Stream CloudWatch events
  */
-async function handleKinesisVideoEvent(event) {
+async function handleKinesisVideoEvent(event, context) {
   console.log('Processing Kinesis Video Stream event...');
   
   const streamName = event.detail?.streamName || VIDEO_STREAM_NAME;
   const eventType = event.detail?.eventType;
   
+  // Streams nobody registered for a game aren't read
+  if (registryEnabled()) {
+    const registration = streamName ? await getRegistration(streamName) : null;
+    
+    if (registration?.status !== 'ACTIVE') {
+      console.log(`Ignoring ${eventType} for ${streamName || 'unknown stream'}: no active registration`);
+      return {
+        statusCode: 200,
+        body: {
+          message: 'Stream not registered, event ignored',
+          eventType,
+          streamName
+        }
+      };
+    }
+  }
+  
   if (eventType === 'STREAM_CREATED' || eventType === 'PUT_MEDIA') {
     // Process the stream when new media is added
-    return await processVideoStream(streamName);
+    return await processVideoStream(streamName, {}, context);
   }
   
   return {
@@ -70,31 +119,118 @@ async function handleKinesisVideoEvent(event) {
   };
 }
 
+/**
+ * Start a live read of every active registered stream, each in its own asynchronous
+ * invocation of this function so streams don't wait on each other
+ */
+async function dispatchActiveStreams(context) {
+  const functionName = context?.functionName || process.env.AWS_LAMBDA_FUNCTION_NAME;
+  const streamNames = await listActiveStreams();
+  
+  const streams = await Promise.all(streamNames.map(async streamName => {
+    try {
+      await lambda.send(new InvokeCommand({
+        FunctionName: functionName,
+        InvocationType: 'Event',
+        Payload: JSON.stringify({ streamName })
+      }));
+      
+      return { streamName, dispatched: true };
+    } catch (error) {
+      console.error(`Could not dispatch stream ${streamName}:`, error.message);
+      return { streamName, dispatched: false, error: error.message };
+    }
+  }));
+  
+  console.log(`Dispatched ${streams.filter(stream => stream.dispatched).length} of ${streams.length} registered streams`);
+  
+  return {
+    statusCode: 200,
+    body: {
+      message: 'Registered streams dispatched',
+      streamsCount: streams.length,
+      streams
+    }
+  };
+}
+
+/**
+ * The game a stream's segments belong to, or null without a registry. Live reads
+ * need an active registration; a retired stream's archived media keeps its game.
+ */
+async function resolveGame(streamName, { live }) {
+  if (!registryEnabled()) {
+    return null;
+  }
+  
+  const registration = await getRegistration(streamName);
+  
+  if (!registration) {
+    throw validationError(`Stream ${streamName} is not registered for a game`);
+  }
+  
+  if (live && registration.status !== 'ACTIVE') {
+    throw validationError(`Stream ${streamName} is retired; only its archived media can be processed`);
+  }
+  
+  return toGame(registration);
+}
+
+function parseReadOptions(event) {
+  const options = {};
+
+  if (event.startTime !== undefined) {
+    options.startTime = parseTimestamp(event.startTime, 'startTime');
+    options.endTime = event.endTime === undefined ? Date.now() : parseTimestamp(event.endTime, 'endTime');
+
+    if (options.endTime <= options.startTime) {
+      throw validationError('endTime must be after startTime');
+    }
+  }
+
+  if (event.continuationToken !== undefined) {
+    if (typeof event.continuationToken !== 'string' || event.continuationToken === '') {
+      throw validationError('continuationToken must be a non-empty string');
+    }
+    options.continuationToken = event.continuationToken;
+  }
+
+  return options;
+}
+
 /**
  * Process video stream and extract segments for analysis
  */
-async function processVideoStream(streamName, startTime, endTime) {
+async function processVideoStream(streamName, { startTime, endTime, continuationToken } = {}, context) {
   console.log(`Processing video stream: ${streamName}`);
   
   try {
+    const game = await resolveGame(streamName, { live: startTime === undefined });
+    
     // Get stream information
     const streamInfo = await getStreamInfo(streamName);
     console.log('Stream info:', streamInfo);
     
-    // Get data endpoint for media retrieval
-    const dataEndpoint = await getDataEndpoint(streamName);
-    console.log('Data endpoint:', dataEndpoint);
+    // Without an explicit position, live windows continue from where the last one ended
+    const checkpointed = startTime === undefined && continuationToken === undefined && checkpointsEnabled();
+    const storedCheckpoint = checkpointed ? await getCheckpoint(streamName) : null;
+    const checkpoint = isCurrentCheckpoint(storedCheckpoint, game) ? storedCheckpoint : null;
+    
+    if (storedCheckpoint && !checkpoint) {
+      console.log(`Checkpoint of ${streamName} predates its registration for ${game.gameId}, starting at the live edge`);
+    }
     
-    // Extract video segments (for demo, we'll create mock segments)
-    const segments = await extractVideoSegments(streamName, dataEndpoint, startTime, endTime);
+    const extraction = startTime !== undefined
+      ? await extractArchivedSegments(streamName, startTime, endTime)
+      : await extractLiveSegments(streamName, { continuationToken, checkpoint }, getReadDeadline(context));
     
     // Store segments in S3 and metadata in DynamoDB
     const processedSegments = [];
-    for (const segment of segments) {
-      const s3Key = await storeVideoSegment(segment);
-      const metadata = await storeSegmentMetadata(segment, s3Key);
+    for (const { body, ...segment } of extraction.segments) {
+      const s3Key = await storeVideoSegment(segment, body);
+      const metadata = await storeSegmentMetadata(segment, s3Key, game);
       
-      // NEW: Trigger Rekognition analysis via existing video analysis Lambda
+      // Video analysis detects the segment's highlights and merges them across windows
       const analysisResult = await triggerVideoAnalysis(s3Key, metadata);
       
       processedSegments.push({ 
@@ -106,13 +242,21 @@ async function processVideoStream(streamName, startTime, endTime) {
       });
     }
     
+    const checkpointSaved = checkpointed && extraction.segments.length > 0
+      ? await advanceCheckpoint(streamName, storedCheckpoint, extraction, game)
+      : undefined;
+    
     return {
       statusCode: 200,
       body: {
         message: 'Video stream processed successfully',
         streamName,
+        ...(game && { gameId: game.gameId }),
         segmentsProcessed: processedSegments.length,
-        segments: processedSegments
+        segments: processedSegments,
+        ...(extraction.continuationToken !== undefined && { continuationToken: extraction.continuationToken }),
+        ...(extraction.millisBehindNow !== undefined && { millisBehindNow: extraction.millisBehindNow }),
+        ...(checkpointSaved !== undefined && { checkpointSaved })
       }
     };
   } catch (error) {
@@ -134,110 +278,268 @@ async function getStreamInfo(streamName) {
 }
 
 /**
- * Get data endpoint for media retrieval
+ * When live reading has to stop to leave time for storing what was read
  */
-async function getDataEndpoint(streamName) {
-  const command = new DescribeStreamCommand({
-    StreamName: streamName
+function getReadDeadline(context) {
+  const remaining = context && typeof context.getRemainingTimeInMillis === 'function'
+    ? context.getRemainingTimeInMillis() - LIVE_READ_RESERVE_MS
+    : SEGMENT_DURATION_MS * 2;
+
+  return Date.now() + Math.max(remaining, 0);
+}
+
+/**
+ * Read one window of the live stream with GetMedia and remux it to MP4. After a
+ * checkpoint the window is SEGMENT_DURATION_SECONDS plus the overlap with the
+ * previous window, and `windowOverlapSeconds` says how much of it was seen before.
+ */
+async function extractLiveSegments(streamName, { continuationToken, checkpoint }, deadline) {
+  console.log('Extracting live video segments...');
+
+  let startSelector = { StartSelectorType: 'NOW' };
+  if (continuationToken) {
+    startSelector = { StartSelectorType: 'CONTINUATION_TOKEN', ContinuationToken: continuationToken };
+  } else if (checkpoint) {
+    console.log(`Continuing ${streamName} from fragment ${checkpoint.lastFragmentNumber} with ${WINDOW_OVERLAP_MS}ms overlap`);
+    startSelector = {
+      StartSelectorType: 'SERVER_TIMESTAMP',
+      StartTimestamp: new Date(checkpoint.lastServerTimestamp - WINDOW_OVERLAP_MS)
+    };
+  }
+
+  const windowMs = SEGMENT_DURATION_MS + (checkpoint ? WINDOW_OVERLAP_MS : 0);
+  const live = await readLiveFragments(streamName, {
+    startSelector,
+    targetMs: windowMs,
+    deadline
   });
-  
-  const response = await kinesisVideo.send(command);
-  return response.StreamInfo?.DataEndpoint;
+
+  const segments = [];
+  for (const fragments of groupLiveFragments(live.fragments, windowMs)) {
+    const first = fragments[0];
+    const last = fragments[fragments.length - 1];
+    const video = first.tracks.find(track => track.type === 'video');
+    const mediaDurationMs = last.startMs + last.durationMs - first.startMs;
+    // Kinesis cluster timecodes are producer times, should the fragment tags be missing
+    const producerStart = first.producerTimestamp ?? first.startMs;
+    const serverStart = first.serverTimestamp ?? producerStart;
+    const overlapMs = checkpoint ? Math.min(Math.max(checkpoint.lastServerTimestamp - serverStart, 0), mediaDurationMs) : 0;
+
+    // Nothing new since the checkpoint: the stream hasn't moved on
+    if (overlapMs >= mediaDurationMs) {
+      console.log(`Fragments ${first.fragmentNumber}-${last.fragmentNumber} were all in the previous window`);
+      continue;
+    }
+
+    const body = await remuxToMp4(buildSegmentFile(fragments), first.tracks, new Date(producerStart).toISOString());
+
+    segments.push({
+      ...describeSegment(streamName, 'live-segment', {
+        firstFragmentNumber: first.fragmentNumber,
+        lastFragmentNumber: last.fragmentNumber,
+        fragmentCount: fragments.length,
+        producerStart,
+        serverStart,
+        durationMs: mediaDurationMs
+      }),
+      quality: video ? (video.height >= 720 ? 'HD' : 'SD') : 'audio-only',
+      ...(video && video.width && { resolution: `${video.width}x${video.height}` }),
+      ...(video && { codec: video.codecId }),
+      frameCount: fragments.reduce((count, fragment) => count + fragment.frameCount, 0),
+      windowOverlapSeconds: overlapMs / 1000,
+      size: body.length,
+      body
+    });
+  }
+
+  return {
+    segments,
+    continuationToken: live.continuationToken,
+    millisBehindNow: live.millisBehindNow
+  };
 }
 
 /**
- * Extract video segments from the stream
- * For demo purposes, this creates mock segments
+ * Split live fragments into files: each starts on a keyframe, runs for about
+ * `maxMs` and keeps one track layout
  */
-async function extractVideoSegments(streamName, dataEndpoint, startTime, endTime) {
-  console.log('Extracting video segments...');
-  
-  // In a real implementation, you would:
-  // 1. Use KinesisVideoMediaClient to get actual video data
-  // 2. Process the video stream in real-time
-  // 3. Identify interesting segments based on timing or content
-  
-  // For demo, create mock segments
-  const now = new Date();
-  const segments = [
-    {
-      segmentId: `segment-${now.getTime()}-1`,
-      streamName,
-      startTime: startTime || new Date(now.getTime() - 30000).toISOString(), // 30 seconds ago
-      endTime: endTime || now.toISOString(),
-      duration: 30,
-      type: 'live-segment',
-      quality: 'HD',
-      size: 1024 * 1024 * 5 // 5MB mock size
+function groupLiveFragments(fragments, maxMs) {
+  const groups = [];
+  let current = [];
+  let currentMs = 0;
+
+  fragments.filter(fragment => fragment.frameCount > 0).forEach(fragment => {
+    if (current.length > 0 && (currentMs >= maxMs || !sameTracks(current[0], fragment))) {
+      groups.push(current);
+      current = [];
+      currentMs = 0;
     }
-  ];
-  
-  return segments;
+
+    // Frames before the first keyframe can't be decoded
+    if (current.length === 0 && !fragment.startsWithKeyframe) {
+      console.warn(`Skipping fragment ${fragment.fragmentNumber}: it doesn't start with a keyframe`);
+      return;
+    }
+
+    current.push(fragment);
+    currentMs += fragment.durationMs;
+  });
+
+  if (current.length > 0) {
+    groups.push(current);
+  }
+
+  return groups;
 }
 
 /**
- * Store video segment in S3
- * For demo: stores JSON metadata that mimics a video file
- * In production: would store actual video data extracted from Kinesis
+ * Whether a checkpoint belongs to the stream's current registration. One saved
+ * before the stream was (re)registered points into the previous game's media.
  */
-async function storeVideoSegment(segment) {
-  const key = `live-streams/${segment.streamName}/${segment.segmentId}.mp4`;
+function isCurrentCheckpoint(checkpoint, game) {
+  if (!checkpoint || !game) {
+    return Boolean(checkpoint);
+  }
   
-  // Enhanced mock data that represents what would be extracted from Kinesis
-  const mockVideoData = JSON.stringify({
-    segmentId: segment.segmentId,
-    streamName: segment.streamName,
-    startTime: segment.startTime,
-    endTime: segment.endTime,
-    duration: segment.duration,
-    type: segment.type,
-    quality: segment.quality,
-    size: segment.size,
-    message: 'Mock video segment - represents extracted Kinesis data',
-    // Add metadata that Rekognition can work with
-    videoMetadata: {
-      codec: 'H.264',
-      resolution: segment.quality === 'HD' ? '1280x720' : '854x480',
-      frameRate: 30,
-      bitrate: segment.quality === 'HD' ? 2000000 : 1000000
-    },
-    // Flag for processing pipeline
-    readyForAnalysis: true,
-    source: 'kinesis-video-streams'
+  return checkpoint.gameId === game.gameId && !(checkpoint.updatedAt < game.registeredAt);
+}
+
+/**
+ * Move the stream's checkpoint to the end of the window just stored. Returns false
+ * when another invocation got there first; its window and this one then overlap more
+ * than usual, which highlight merging absorbs.
+ */
+async function advanceCheckpoint(streamName, checkpoint, extraction, game) {
+  const last = extraction.segments[extraction.segments.length - 1];
+  const saved = await saveCheckpoint(streamName, checkpoint, {
+    ...(game && { gameId: game.gameId }),
+    lastFragmentNumber: last.lastFragmentNumber,
+    lastServerTimestamp: Date.parse(last.serverEndTime),
+    lastProducerTimestamp: Date.parse(last.endTime),
+    continuationToken: extraction.continuationToken
   });
+
+  if (!saved) {
+    console.warn(`Checkpoint for ${streamName} was advanced by another invocation`);
+  }
+
+  return saved;
+}
+
+/**
+ * Cut stored media between two times into segments of about SEGMENT_DURATION_SECONDS.
+ * Kinesis returns each as an MP4 clip (GetClip), timed from the fragment list.
+ */
+async function extractArchivedSegments(streamName, startTime, endTime) {
+  console.log('Extracting archived video segments...');
+
+  const fragments = await listArchivedFragments(streamName, FRAGMENT_TIMESTAMP_TYPE, startTime, endTime);
+  const timestampField = FRAGMENT_TIMESTAMP_TYPE === 'PRODUCER_TIMESTAMP' ? 'ProducerTimestamp' : 'ServerTimestamp';
+  const groups = [];
+  let currentMs = Infinity;
+
+  fragments.forEach(fragment => {
+    if (currentMs >= SEGMENT_DURATION_MS) {
+      groups.push([]);
+      currentMs = 0;
+    }
+    groups[groups.length - 1].push(fragment);
+    currentMs += fragment.FragmentLengthInMilliseconds || 0;
+  });
+
+  console.log(`Found ${fragments.length} fragments between ${new Date(startTime).toISOString()} and ${new Date(endTime).toISOString()}`);
+
+  const segments = [];
+  for (const group of groups) {
+    const first = group[0];
+    const last = group[group.length - 1];
+    // The range end is inclusive and must be after its start
+    const body = await getClip(streamName, FRAGMENT_TIMESTAMP_TYPE,
+      new Date(first[timestampField]).getTime(), new Date(last[timestampField]).getTime() + 1);
+
+    segments.push({
+      ...describeSegment(streamName, 'archived-segment', {
+        firstFragmentNumber: first.FragmentNumber,
+        lastFragmentNumber: last.FragmentNumber,
+        fragmentCount: group.length,
+        producerStart: new Date(first.ProducerTimestamp).getTime(),
+        serverStart: new Date(first.ServerTimestamp).getTime(),
+        durationMs: group.reduce((total, fragment) => total + (fragment.FragmentLengthInMilliseconds || 0), 0)
+      }),
+      quality: 'unknown',
+      size: body.length,
+      body
+    });
+  }
+
+  return { segments };
+}
+
+/**
+ * Segment fields shared by live and archived media. Segment IDs come from the first
+ * fragment, so extracting the same media again overwrites rather than duplicates it.
+ * startTime/endTime are producer times; server times are when Kinesis received the media.
+ */
+function describeSegment(streamName, type, { firstFragmentNumber, lastFragmentNumber, fragmentCount, producerStart, serverStart, durationMs }) {
+  return {
+    segmentId: `segment-${firstFragmentNumber}`,
+    streamName,
+    startTime: new Date(producerStart).toISOString(),
+    endTime: new Date(producerStart + durationMs).toISOString(),
+    serverStartTime: new Date(serverStart).toISOString(),
+    serverEndTime: new Date(serverStart + durationMs).toISOString(),
+    duration: Math.round(durationMs) / 1000,
+    type,
+    firstFragmentNumber,
+    lastFragmentNumber,
+    fragmentCount
+  };
+}
+
+/**
+ * Store a segment's MP4 in S3
+ */
+async function storeVideoSegment(segment, body) {
+  const key = `live-streams/${segment.streamName}/${segment.segmentId}.mp4`;
   
   const command = new PutObjectCommand({
     Bucket: VIDEO_BUCKET,
     Key: key,
-    Body: mockVideoData,
-    ContentType: 'application/json', // In production: 'video/mp4'
+    Body: body,
+    ContentType: 'video/mp4',
     Metadata: {
       'segment-id': segment.segmentId,
       'stream-name': segment.streamName,
       'duration': segment.duration.toString(),
       'type': segment.type,
       'source': 'kinesis',
+      'producer-start-time': segment.startTime,
+      'server-start-time': segment.serverStartTime,
+      'first-fragment-number': segment.firstFragmentNumber,
+      'last-fragment-number': segment.lastFragmentNumber,
       'ready-for-analysis': 'true'
     }
   });
   
   await s3.send(command);
-  console.log(`Stored video segment: ${key}`);
+  console.log(`Stored video segment: ${key} (${segment.size} bytes)`);
   
   return key;
 }
 
 /**
- * Store segment metadata in DynamoDB
+ * Store segment metadata in DynamoDB, with the registered game it shows
  */
-async function storeSegmentMetadata(segment, s3Key) {
+async function storeSegmentMetadata(segment, s3Key, game) {
   const timestamp = new Date().toISOString();
   const segmentId = `live-${segment.segmentId}`;
   
   const metadata = {
     highlightId: segmentId,
     timestamp,
-    gameId: `live-stream-${segment.streamName}`,
+    // Same fallback as video analysis, so a stream's rows share one game ID
+    gameId: game?.gameId || `live-${segment.streamName}`,
+    ...(game?.sport && { sport: game.sport }),
     title: `Live Stream Segment`,
     description: `Real-time segment from ${segment.streamName}`,
     startTime: segment.startTime,
@@ -247,7 +549,15 @@ async function storeSegmentMetadata(segment, s3Key) {
     source: 'kinesis-video-stream',
     streamName: segment.streamName,
     segmentType: segment.type,
+    serverStartTime: segment.serverStartTime,
+    serverEndTime: segment.serverEndTime,
+    firstFragmentNumber: segment.firstFragmentNumber,
+    lastFragmentNumber: segment.lastFragmentNumber,
+    fragmentCount: segment.fragmentCount,
     quality: segment.quality,
+    ...(segment.resolution && { resolution: segment.resolution }),
+    ...(segment.windowOverlapSeconds !== undefined && { windowOverlapSeconds: segment.windowOverlapSeconds }),
+    ...(game && { game }),
     size: segment.size,
     processed: false,
     aiEnhanced: false,
@@ -267,8 +577,8 @@ async function storeSegmentMetadata(segment, s3Key) {
 }
 
 /**
- * Trigger downstream processing for the video segment
- * NOW ACTUALLY INVOKES THE VIDEO ANALYSIS LAMBDA!
+ * Invoke video analysis asynchronously for a stored segment, with the registered
+ * game and the segment's stream timing so its highlights land on the stream timeline
  */
 async function triggerVideoAnalysis(s3Key, segmentMetadata) {
   console.log(`Triggering video analysis for: ${s3Key}`);
@@ -286,11 +596,18 @@ async function triggerVideoAnalysis(s3Key, segmentMetadata) {
       source: 'kinesis-video-streams',
       segmentId: segmentMetadata.highlightId,
       streamName: segmentMetadata.streamName,
+      // Registered game: highlights go to its ID, sport profile and teams
+      ...(segmentMetadata.game && { game: segmentMetadata.game }),
       // Pass additional context for Kinesis-sourced content
       kinesisMetadata: {
         segmentDuration: segmentMetadata.duration,
         streamTimestamp: segmentMetadata.timestamp,
-        isLiveSegment: true
+        // Wall-clock times of second 0 of the segment
+        producerStartTime: segmentMetadata.startTime,
+        serverStartTime: segmentMetadata.serverStartTime,
+        // Leading seconds the previous live window already covered
+        windowOverlapSeconds: segmentMetadata.windowOverlapSeconds || 0,
+        isLiveSegment: segmentMetadata.segmentType === 'live-segment'
       }
     };
     
@@ -333,3 +650,19 @@ async function triggerVideoAnalysis(s3Key, segmentMetadata) {
     };
   }
 }
+
+function parseTimestamp(value, name) {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+
+  if (!Number.isFinite(time)) {
+    throw validationError(`${name} must be an ISO 8601 date or epoch milliseconds`);
+  }
+
+  return time;
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
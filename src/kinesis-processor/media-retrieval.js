@@ -0,0 +1,163 @@
+const { KinesisVideoClient, GetDataEndpointCommand } = require('@aws-sdk/client-kinesis-video');
+const { KinesisVideoMediaClient, GetMediaCommand } = require('@aws-sdk/client-kinesis-video-media');
+const {
+  KinesisVideoArchivedMediaClient,
+  ListFragmentsCommand,
+  GetClipCommand
+} = require('@aws-sdk/client-kinesis-video-archived-media');
+const { parseMediaFragments } = require('./mkv-fragments');
+
+const kinesisVideo = new KinesisVideoClient({});
+
+/**
+ * Reads media from a Kinesis video stream. Media APIs are served from per-stream data
+ * endpoints, so their clients are created once an endpoint is known.
+ *
+ * - readLiveFragments: live media through GetMedia, parsed into MKV fragments
+ * - listArchivedFragments / getClip: stored media for a time range, with the
+ *   fragments' producer and server timestamps and an MP4 clip of them
+ */
+
+const mediaClients = {};
+
+async function getDataEndpoint(streamName, apiName) {
+  const response = await kinesisVideo.send(new GetDataEndpointCommand({
+    StreamName: streamName,
+    APIName: apiName
+  }));
+
+  return response.DataEndpoint;
+}
+
+async function getMediaClient(Client, streamName, apiName) {
+  const endpoint = await getDataEndpoint(streamName, apiName);
+  const cacheKey = `${apiName}#${endpoint}`;
+
+  if (!mediaClients[cacheKey]) {
+    mediaClients[cacheKey] = new Client({ endpoint });
+  }
+
+  return mediaClients[cacheKey];
+}
+
+/**
+ * Read fragments from `startSelector` (a GetMedia StartSelector) until they cover
+ * `targetMs` of media or `deadline` (epoch ms) passes. Only complete fragments are
+ * returned; reading resumes from the returned continuation token.
+ */
+async function readLiveFragments(streamName, { startSelector, targetMs, deadline }) {
+  const client = await getMediaClient(KinesisVideoMediaClient, streamName, 'GET_MEDIA');
+  // A stalled producer leaves GetMedia open without sending anything; the deadline
+  // aborts the read and ends the window there
+  const abortController = new AbortController();
+  const timer = setTimeout(() => abortController.abort(), Math.max(deadline - Date.now(), 0));
+
+  const fragments = [];
+  let pending = Buffer.alloc(0);
+  let coveredMs = 0;
+  let ended = true;
+
+  try {
+    const response = await client.send(new GetMediaCommand({
+      StreamName: streamName,
+      StartSelector: startSelector
+    }), { abortSignal: abortController.signal });
+
+    for await (const chunk of response.Payload) {
+      pending = Buffer.concat([pending, chunk]);
+
+      const { fragments: parsed, consumed } = parseMediaFragments(pending);
+      pending = pending.subarray(consumed);
+
+      parsed.forEach(fragment => {
+        if (fragment.errorCode) {
+          console.warn(`GetMedia error in ${streamName}: ${fragment.errorCode} ${fragment.tags.AWS_KINESISVIDEO_ERROR_ID || ''}`);
+          return;
+        }
+        fragments.push(fragment);
+        coveredMs += fragment.durationMs;
+      });
+
+      // GetMedia keeps the connection open on a live stream; leaving the loop closes it
+      if (coveredMs >= targetMs || Date.now() >= deadline) {
+        ended = false;
+        break;
+      }
+    }
+  } catch (error) {
+    if (!abortController.signal.aborted) {
+      throw error;
+    }
+
+    console.warn(`Reading ${streamName} reached the deadline, ending the window`);
+    ended = false;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (ended && pending.length > 0) {
+    fragments.push(...parseMediaFragments(pending, { final: true }).fragments.filter(fragment => !fragment.errorCode));
+  }
+
+  const last = fragments[fragments.length - 1];
+
+  console.log(`Read ${fragments.length} live fragments (${Math.round(coveredMs)}ms of media) from ${streamName}`);
+
+  return {
+    fragments,
+    continuationToken: last ? (last.continuationToken || last.fragmentNumber) : startSelector.ContinuationToken || null,
+    millisBehindNow: last ? last.millisBehindNow : null
+  };
+}
+
+/**
+ * Stored fragments whose start falls in [startTime, endTime], oldest first
+ */
+async function listArchivedFragments(streamName, selectorType, startTime, endTime) {
+  const client = await getMediaClient(KinesisVideoArchivedMediaClient, streamName, 'LIST_FRAGMENTS');
+  const fragments = [];
+  let nextToken;
+
+  do {
+    const response = await client.send(new ListFragmentsCommand({
+      StreamName: streamName,
+      NextToken: nextToken,
+      // The selector may only be sent on the first page
+      ...(!nextToken && {
+        FragmentSelector: {
+          FragmentSelectorType: selectorType,
+          TimestampRange: { StartTimestamp: new Date(startTime), EndTimestamp: new Date(endTime) }
+        }
+      })
+    }));
+
+    fragments.push(...(response.Fragments || []));
+    nextToken = response.NextToken;
+  } while (nextToken);
+
+  // ListFragments doesn't return fragments in order
+  const timestampField = selectorType === 'PRODUCER_TIMESTAMP' ? 'ProducerTimestamp' : 'ServerTimestamp';
+  return fragments.sort((a, b) => new Date(a[timestampField]) - new Date(b[timestampField]));
+}
+
+/**
+ * MP4 of the fragments starting between two timestamps (inclusive), as a Buffer
+ */
+async function getClip(streamName, selectorType, startTime, endTime) {
+  const client = await getMediaClient(KinesisVideoArchivedMediaClient, streamName, 'GET_CLIP');
+  const response = await client.send(new GetClipCommand({
+    StreamName: streamName,
+    ClipFragmentSelector: {
+      FragmentSelectorType: selectorType,
+      TimestampRange: { StartTimestamp: new Date(startTime), EndTimestamp: new Date(endTime) }
+    }
+  }));
+
+  return Buffer.from(await response.Payload.transformToByteArray());
+}
+
+module.exports = {
+  readLiveFragments,
+  listArchivedFragments,
+  getClip
+};
@@ -0,0 +1,562 @@
+/**
+ * Parser for the Matroska (MKV) stream GetMedia returns, and a writer that joins
+ * parsed fragments back into a single MKV file ffmpeg can remux.
+ *
+ * GetMedia sends each Kinesis fragment as its own MKV document: an EBML header and
+ * a Segment of unknown size holding Info, Tracks, a Tags element with the fragment
+ * number and producer/server timestamps, the fragment's Cluster(s), and trailing Tags
+ * (millis behind now, continuation token, errors). Segments and clusters may have
+ * unknown sizes, so they end where the next element of a higher level begins. Tags
+ * met inside an unknown-size cluster are read as the fragment's, wherever they sit.
+ */
+
+const IDS = {
+  EBML: 0x1A45DFA3,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549A966,
+  TIMECODE_SCALE: 0x2AD7B1,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  TRACK_NUMBER: 0xD7,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  DEFAULT_DURATION: 0x23E383,
+  VIDEO: 0xE0,
+  PIXEL_WIDTH: 0xB0,
+  PIXEL_HEIGHT: 0xBA,
+  TAGS: 0x1254C367,
+  TAG: 0x7373,
+  SIMPLE_TAG: 0x67C8,
+  TAG_NAME: 0x45A3,
+  TAG_STRING: 0x4487,
+  CLUSTER: 0x1F43B675,
+  TIMECODE: 0xE7,
+  SIMPLE_BLOCK: 0xA3,
+  BLOCK_GROUP: 0xA0,
+  BLOCK: 0xA1,
+  REFERENCE_BLOCK: 0xFB
+};
+
+// Elements that end an unknown-size cluster: segment-level elements other than Tags, or a new document
+const CLUSTER_TERMINATORS = [IDS.EBML, IDS.SEGMENT, IDS.INFO, IDS.TRACKS, IDS.CLUSTER,
+  0x114D9B74, 0x1C53BB6B, 0x1941A469, 0x1043A770];
+
+const DEFAULT_TIMECODE_SCALE = 1000000;
+const TRACK_TYPES = { 1: 'video', 2: 'audio' };
+
+/**
+ * Split buffered GetMedia output into complete fragments. Returns the fragments and
+ * how many bytes they used; the rest is an incomplete fragment to parse again once
+ * more data arrives. With `final` the stream has ended, so a fragment running to the
+ * end of the buffer is complete if none of its elements is cut short.
+ */
+function parseMediaFragments(buffer, { final = false } = {}) {
+  const fragments = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const header = readElementHeader(buffer, offset);
+
+    if (!header) {
+      break;
+    }
+
+    if (header.id !== IDS.EBML) {
+      throw new Error(`Expected an EBML header at byte ${offset}, found element 0x${header.id.toString(16)}`);
+    }
+
+    const parsed = parseFragment(buffer, offset, final);
+
+    if (!parsed) {
+      break;
+    }
+
+    fragments.push(parsed.fragment);
+    offset = parsed.end;
+  }
+
+  return { fragments, consumed: offset };
+}
+
+/**
+ * One fragment's document starting at `start`, or null while it is incomplete
+ */
+function parseFragment(buffer, start, final) {
+  const ebmlHeader = readElementHeader(buffer, start);
+  const ebmlEnd = start + ebmlHeader.headerLength + ebmlHeader.size;
+  const segmentHeader = readElementHeader(buffer, ebmlEnd);
+
+  if (ebmlEnd > buffer.length || !segmentHeader) {
+    return null;
+  }
+
+  if (segmentHeader.id !== IDS.SEGMENT) {
+    throw new Error(`Expected a Segment at byte ${ebmlEnd}`);
+  }
+
+  const segmentEnd = segmentHeader.size === null ? null : ebmlEnd + segmentHeader.headerLength + segmentHeader.size;
+  const fragment = {
+    timecodeScale: DEFAULT_TIMECODE_SCALE,
+    tracks: [],
+    tags: {},
+    clusters: [],
+    header: { ebml: buffer.subarray(start, ebmlEnd), info: null, tracks: null }
+  };
+  let offset = ebmlEnd + segmentHeader.headerLength;
+
+  while (segmentEnd === null ? offset < buffer.length : offset < segmentEnd) {
+    const header = readElementHeader(buffer, offset);
+
+    if (!header) {
+      return null;
+    }
+
+    // The next fragment's document ends a segment of unknown size
+    if (segmentEnd === null && header.id === IDS.EBML) {
+      return { fragment: finishFragment(fragment), end: offset };
+    }
+
+    const dataStart = offset + header.headerLength;
+
+    if (header.id === IDS.CLUSTER) {
+      const cluster = parseCluster(buffer, dataStart, header.size, final);
+
+      if (!cluster) {
+        return null;
+      }
+
+      fragment.clusters.push(cluster);
+      offset = cluster.end;
+      continue;
+    }
+
+    if (header.size === null) {
+      throw new Error(`Unsupported unknown-size element 0x${header.id.toString(16)} at byte ${offset}`);
+    }
+
+    const dataEnd = dataStart + header.size;
+
+    if (dataEnd > buffer.length) {
+      return null;
+    }
+
+    const data = buffer.subarray(dataStart, dataEnd);
+
+    if (header.id === IDS.INFO) {
+      fragment.header.info = buffer.subarray(offset, dataEnd);
+      readChildren(data, (id, value) => {
+        if (id === IDS.TIMECODE_SCALE) {
+          fragment.timecodeScale = readUint(value);
+        }
+      });
+    } else if (header.id === IDS.TRACKS) {
+      fragment.header.tracks = buffer.subarray(offset, dataEnd);
+      fragment.tracks = parseTracks(data);
+    } else if (header.id === IDS.TAGS) {
+      Object.assign(fragment.tags, parseTags(data));
+    }
+
+    offset = dataEnd;
+  }
+
+  if (segmentEnd === null && !final) {
+    return null;
+  }
+
+  return { fragment: finishFragment(fragment), end: segmentEnd === null ? offset : segmentEnd };
+}
+
+/**
+ * A cluster's timecode, blocks and payload (every child except the timecode, so the
+ * writer can give the cluster a new one). Null while incomplete.
+ */
+function parseCluster(buffer, start, size, final) {
+  const end = size === null ? null : start + size;
+  const cluster = { timecode: 0, blocks: [], tags: {}, payload: [] };
+  let offset = start;
+
+  if (end !== null && end > buffer.length) {
+    return null;
+  }
+
+  while (end === null ? offset < buffer.length : offset < end) {
+    const header = readElementHeader(buffer, offset);
+
+    if (!header) {
+      return null;
+    }
+
+    if (end === null && CLUSTER_TERMINATORS.includes(header.id)) {
+      return finishCluster(cluster, offset);
+    }
+
+    const dataStart = offset + header.headerLength;
+    const dataEnd = dataStart + header.size;
+
+    if (header.size === null || dataEnd > buffer.length) {
+      return null;
+    }
+
+    const data = buffer.subarray(dataStart, dataEnd);
+
+    if (header.id === IDS.TIMECODE) {
+      cluster.timecode = readUint(data);
+    } else if (header.id === IDS.TAGS) {
+      Object.assign(cluster.tags, parseTags(data));
+    } else {
+      if (header.id === IDS.SIMPLE_BLOCK) {
+        cluster.blocks.push(parseBlock(data));
+      } else if (header.id === IDS.BLOCK_GROUP) {
+        let block = null;
+        let referenced = false;
+
+        readChildren(data, (id, value) => {
+          if (id === IDS.BLOCK) {
+            block = value;
+          } else if (id === IDS.REFERENCE_BLOCK) {
+            referenced = true;
+          }
+        });
+
+        if (block) {
+          cluster.blocks.push(parseBlock(block, !referenced));
+        }
+      }
+
+      cluster.payload.push(buffer.subarray(offset, dataEnd));
+    }
+
+    offset = dataEnd;
+  }
+
+  if (end === null && !final) {
+    return null;
+  }
+
+  return finishCluster(cluster, end === null ? offset : end);
+}
+
+function finishCluster(cluster, end) {
+  return {
+    timecode: cluster.timecode,
+    blocks: cluster.blocks,
+    tags: cluster.tags,
+    payload: Buffer.concat(cluster.payload),
+    end
+  };
+}
+
+/**
+ * Track and timecode of a block; SimpleBlocks flag keyframes, BlockGroups pass `keyframe`
+ */
+function parseBlock(data, keyframe) {
+  const track = readVint(data, 0);
+
+  return {
+    track: track.value,
+    relativeTimecode: data.readInt16BE(track.length),
+    keyframe: keyframe === undefined ? (data[track.length + 2] & 0x80) !== 0 : keyframe
+  };
+}
+
+function parseTracks(data) {
+  const tracks = [];
+
+  readChildren(data, (id, entry) => {
+    if (id !== IDS.TRACK_ENTRY) {
+      return;
+    }
+
+    const track = {};
+
+    readChildren(entry, (childId, value) => {
+      if (childId === IDS.TRACK_NUMBER) {
+        track.number = readUint(value);
+      } else if (childId === IDS.TRACK_TYPE) {
+        track.type = TRACK_TYPES[readUint(value)] || 'other';
+      } else if (childId === IDS.CODEC_ID) {
+        track.codecId = readString(value);
+      } else if (childId === IDS.DEFAULT_DURATION) {
+        track.defaultDurationMs = readUint(value) / 1e6;
+      } else if (childId === IDS.VIDEO) {
+        readChildren(value, (videoId, videoValue) => {
+          if (videoId === IDS.PIXEL_WIDTH) {
+            track.width = readUint(videoValue);
+          } else if (videoId === IDS.PIXEL_HEIGHT) {
+            track.height = readUint(videoValue);
+          }
+        });
+      }
+    });
+
+    tracks.push(track);
+  });
+
+  return tracks;
+}
+
+/**
+ * Top-level SimpleTags as { name: value }
+ */
+function parseTags(data) {
+  const tags = {};
+
+  readChildren(data, (id, tag) => {
+    if (id !== IDS.TAG) {
+      return;
+    }
+
+    readChildren(tag, (tagId, simpleTag) => {
+      if (tagId !== IDS.SIMPLE_TAG) {
+        return;
+      }
+
+      let name = null;
+      let value = null;
+
+      readChildren(simpleTag, (fieldId, field) => {
+        if (fieldId === IDS.TAG_NAME) {
+          name = readString(field);
+        } else if (fieldId === IDS.TAG_STRING) {
+          value = readString(field);
+        }
+      });
+
+      if (name) {
+        tags[name] = value;
+      }
+    });
+  });
+
+  return tags;
+}
+
+/**
+ * Fragment summary: Kinesis tags, frame counts, and when the fragment's media starts
+ * and how long it runs (milliseconds, on the cluster timeline)
+ */
+function finishFragment(fragment) {
+  const { tracks, clusters, timecodeScale } = fragment;
+  const tags = Object.assign({}, fragment.tags, ...clusters.map(cluster => cluster.tags));
+  const videoTrack = tracks.find(track => track.type === 'video');
+  const timelineTrack = videoTrack || tracks[0];
+  const toMs = units => units * timecodeScale / 1e6;
+
+  const blockTimes = clusters
+    .flatMap(cluster => cluster.blocks
+      .filter(block => !timelineTrack || block.track === timelineTrack.number)
+      .map(block => toMs(cluster.timecode + block.relativeTimecode)))
+    .sort((a, b) => a - b);
+  const blocks = clusters.flatMap(cluster => cluster.blocks);
+
+  const startMs = blockTimes.length > 0 ? blockTimes[0] : (clusters[0] ? toMs(clusters[0].timecode) : 0);
+  const durationMs = blockTimes.length > 0
+    ? blockTimes[blockTimes.length - 1] - startMs + frameSpacing(blockTimes, timelineTrack)
+    : 0;
+
+  return {
+    fragmentNumber: tags.AWS_KINESISVIDEO_FRAGMENT_NUMBER || null,
+    producerTimestamp: parseTimestampTag(tags.AWS_KINESISVIDEO_PRODUCER_TIMESTAMP),
+    serverTimestamp: parseTimestampTag(tags.AWS_KINESISVIDEO_SERVER_TIMESTAMP),
+    millisBehindNow: tags.AWS_KINESISVIDEO_MILLIS_BEHIND_NOW ? Number(tags.AWS_KINESISVIDEO_MILLIS_BEHIND_NOW) : null,
+    continuationToken: tags.AWS_KINESISVIDEO_CONTINUATION_TOKEN || null,
+    errorCode: tags.AWS_KINESISVIDEO_ERROR_CODE || null,
+    tags,
+    timecodeScale,
+    tracks,
+    clusters,
+    header: fragment.header,
+    startMs,
+    durationMs,
+    frameCount: blockTimes.length,
+    blockCount: blocks.length,
+    startsWithKeyframe: blocks.length > 0 && blocks[0].keyframe
+  };
+}
+
+/**
+ * Time one frame is shown: the track's default duration, or the median gap between frames
+ */
+function frameSpacing(blockTimes, track) {
+  if (track && track.defaultDurationMs) {
+    return track.defaultDurationMs;
+  }
+
+  const gaps = blockTimes.slice(1).map((time, index) => time - blockTimes[index]).filter(gap => gap > 0).sort((a, b) => a - b);
+  return gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 0;
+}
+
+/**
+ * Kinesis timestamp tags are seconds since the epoch ("1564086853.251"); returns milliseconds
+ */
+function parseTimestampTag(value) {
+  const seconds = Number(value);
+  return value && Number.isFinite(seconds) ? Math.round(seconds * 1000) : null;
+}
+
+/**
+ * Join consecutive fragments into one MKV file: the first fragment's header, then
+ * every cluster, with timecodes rebased so the file starts at zero. Fragments must
+ * share their track layout (see sameTracks).
+ */
+function buildSegmentFile(fragments) {
+  const first = fragments[0];
+
+  if (!first || !first.header.tracks) {
+    throw new Error('A segment needs at least one fragment with track information');
+  }
+
+  const baseTimecode = Math.min(...fragments.flatMap(fragment => fragment.clusters.map(cluster => cluster.timecode)));
+  const parts = [
+    first.header.ebml,
+    encodeId(IDS.SEGMENT),
+    Buffer.from([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]), // unknown size
+    ...(first.header.info ? [first.header.info] : []),
+    first.header.tracks
+  ];
+
+  fragments.forEach(fragment => {
+    fragment.clusters.forEach(cluster => {
+      const timecode = encodeElement(IDS.TIMECODE, encodeUint(cluster.timecode - baseTimecode));
+      parts.push(encodeElement(IDS.CLUSTER, Buffer.concat([timecode, cluster.payload])));
+    });
+  });
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Whether two fragments can share a file: same tracks with the same codec setup
+ */
+function sameTracks(a, b) {
+  return Boolean(a.header.tracks && b.header.tracks && a.header.tracks.equals(b.header.tracks) &&
+    a.timecodeScale === b.timecodeScale);
+}
+
+/**
+ * EBML primitives
+ */
+function readVint(buffer, offset) {
+  const first = buffer[offset];
+
+  if (first === undefined) {
+    return null;
+  }
+
+  if (first === 0) {
+    throw new Error(`Invalid EBML variable-length integer at byte ${offset}`);
+  }
+
+  const length = Math.clz32(first) - 23;
+
+  if (offset + length > buffer.length) {
+    return null;
+  }
+
+  let value = first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+
+  for (let index = 1; index < length; index++) {
+    value = value * 256 + buffer[offset + index];
+    allOnes = allOnes && buffer[offset + index] === 0xFF;
+  }
+
+  return { value, length, unknown: allOnes };
+}
+
+function readElementHeader(buffer, offset) {
+  const first = buffer[offset];
+
+  if (first === undefined) {
+    return null;
+  }
+
+  const idLength = Math.clz32(first) - 23;
+
+  if (idLength < 1 || idLength > 4) {
+    throw new Error(`Invalid EBML element ID at byte ${offset}`);
+  }
+
+  if (offset + idLength > buffer.length) {
+    return null;
+  }
+
+  const size = readVint(buffer, offset + idLength);
+
+  if (!size) {
+    return null;
+  }
+
+  return {
+    id: buffer.readUIntBE(offset, idLength),
+    size: size.unknown ? null : size.value,
+    headerLength: idLength + size.length
+  };
+}
+
+/**
+ * Call visit(id, data) for each child of a fully buffered element
+ */
+function readChildren(data, visit) {
+  let offset = 0;
+
+  while (offset < data.length) {
+    const header = readElementHeader(data, offset);
+
+    if (!header || header.size === null || offset + header.headerLength + header.size > data.length) {
+      throw new Error('Malformed EBML element');
+    }
+
+    const dataStart = offset + header.headerLength;
+    visit(header.id, data.subarray(dataStart, dataStart + header.size));
+    offset = dataStart + header.size;
+  }
+}
+
+function readUint(data) {
+  let value = 0;
+  for (const byte of data) {
+    value = value * 256 + byte;
+  }
+  return value;
+}
+
+function readString(data) {
+  return data.toString('utf8').replace(/\0+$/, '');
+}
+
+function encodeId(id) {
+  const length = id > 0xFFFFFF ? 4 : id > 0xFFFF ? 3 : id > 0xFF ? 2 : 1;
+  const bytes = Buffer.alloc(length);
+  bytes.writeUIntBE(id, 0, length);
+  return bytes;
+}
+
+/**
+ * Eight-byte size, so any element can be written without measuring it first
+ */
+function encodeSize(size) {
+  const bytes = Buffer.alloc(8);
+  bytes.writeBigUInt64BE(BigInt(size));
+  bytes[0] = 0x01;
+  return bytes;
+}
+
+function encodeUint(value) {
+  const bytes = Buffer.alloc(8);
+  bytes.writeBigUInt64BE(BigInt(value));
+  return bytes;
+}
+
+function encodeElement(id, data) {
+  return Buffer.concat([encodeId(id), encodeSize(data.length), data]);
+}
+
+module.exports = {
+  IDS,
+  parseMediaFragments,
+  buildSegmentFile,
+  sameTracks,
+  encodeElement,
+  encodeUint
+};
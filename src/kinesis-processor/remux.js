@@ -0,0 +1,73 @@
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// ffmpeg is provided by a Lambda layer; live segments can't be converted without it
+const FFMPEG_PATH = process.env.FFMPEG_PATH || '/opt/bin/ffmpeg';
+const REMUX_TIMEOUT_MS = 120000;
+
+/**
+ * Convert a segment MKV (see buildSegmentFile) to an MP4 Rekognition can analyze.
+ * H.264 video and AAC audio are copied as they are; anything else (e.g. VP8/VP9 from
+ * browser producers) is re-encoded. `creationTime` is written into the MP4 so the
+ * file keeps the producer time its first frame was captured at.
+ */
+async function remuxToMp4(mkv, tracks, creationTime) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'segment-'));
+  const input = path.join(workDir, 'segment.mkv');
+  const output = path.join(workDir, 'segment.mp4');
+
+  const video = tracks.find(track => track.type === 'video');
+  const audio = tracks.find(track => track.type === 'audio');
+
+  try {
+    await fs.writeFile(input, mkv);
+    await runFfmpeg([
+      '-hide_banner', '-loglevel', 'error',
+      '-i', input,
+      ...(!video ? ['-vn'] : video.codecId === 'V_MPEG4/ISO/AVC' ? ['-c:v', 'copy'] : ['-c:v', 'libx264', '-preset', 'veryfast']),
+      ...(audio ? ['-c:a', audio.codecId === 'A_AAC' ? 'copy' : 'aac'] : ['-an']),
+      '-metadata', `creation_time=${creationTime}`,
+      // Index at the front, so the clip can be read without fetching the whole file
+      '-movflags', '+faststart',
+      '-y', output
+    ]);
+
+    return await fs.readFile(output);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(FFMPEG_PATH, args);
+
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+    }, REMUX_TIMEOUT_MS);
+
+    ffmpeg.stderr.on('data', data => console.warn('ffmpeg:', data.toString().trim()));
+
+    ffmpeg.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    ffmpeg.on('close', code => {
+      clearTimeout(timer);
+
+      if (code !== 0) {
+        reject(new Error(`ffmpeg exited with ${code === null ? 'a timeout' : `code ${code}`}`));
+        return;
+      }
+
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  remuxToMp4
+};
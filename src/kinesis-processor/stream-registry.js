@@ -0,0 +1,75 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+const dynamoClient = new DynamoDBClient({});
+const dynamoDB = DynamoDBDocumentClient.from(dynamoClient);
+
+// Partition key streamName, written by the stream registry API; without it the
+// processor reads VIDEO_STREAM_NAME and attributes highlights to the stream itself
+const STREAM_REGISTRY_TABLE = process.env.STREAM_REGISTRY_TABLE;
+
+/**
+ * Which streams the processor reads and the game each one shows. A registration
+ * is ACTIVE while its stream is read live and RETIRED afterwards; a retired
+ * stream's archived media still belongs to its game.
+ */
+
+function registryEnabled() {
+  return Boolean(STREAM_REGISTRY_TABLE);
+}
+
+/**
+ * The stream's registration, or null if it was never registered
+ */
+async function getRegistration(streamName) {
+  const result = await dynamoDB.send(new GetCommand({
+    TableName: STREAM_REGISTRY_TABLE,
+    Key: { streamName }
+  }));
+
+  return result.Item || null;
+}
+
+/**
+ * Names of the streams registered as ACTIVE
+ */
+async function listActiveStreams() {
+  const streamNames = [];
+  let exclusiveStartKey;
+
+  do {
+    const result = await dynamoDB.send(new ScanCommand({
+      TableName: STREAM_REGISTRY_TABLE,
+      FilterExpression: '#status = :active',
+      ProjectionExpression: 'streamName',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':active': 'ACTIVE' },
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+
+    streamNames.push(...(result.Items || []).map(item => item.streamName));
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return streamNames;
+}
+
+/**
+ * What analysis needs to know about the registered game
+ */
+function toGame(registration) {
+  return {
+    gameId: registration.gameId,
+    sport: registration.sport,
+    teams: registration.teams || [],
+    scheduledStart: registration.scheduledStart,
+    registeredAt: registration.registeredAt
+  };
+}
+
+module.exports = {
+  registryEnabled,
+  getRegistration,
+  listActiveStreams,
+  toGame
+};
@@ -1,53 +1,112 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+
+const dynamoClient = new DynamoDBClient({});
+const dynamoDB = DynamoDBDocumentClient.from(dynamoClient);
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const HIGHLIGHTS_TABLE = process.env.HIGHLIGHTS_TABLE;
+const MAX_CANDIDATES = parseInt(process.env.MAX_CANDIDATES || '200', 10);
+// Only highlights this recent are ranked
+const CANDIDATE_WINDOW_DAYS = parseFloat(process.env.CANDIDATE_WINDOW_DAYS || '30');
+const AFFINITY_HALF_LIFE_DAYS = parseFloat(process.env.AFFINITY_HALF_LIFE_DAYS || '14');
+
+// Global secondary indexes on the highlights table, all sorted by timestamp (see highlight-generation)
+const HIGHLIGHT_INDEXES = {
+  gameId: process.env.HIGHLIGHTS_GAME_INDEX || 'gameId-timestamp-index',
+  playType: process.env.HIGHLIGHTS_PLAY_TYPE_INDEX || 'playType-timestamp-index',
+  sport: process.env.HIGHLIGHTS_SPORT_INDEX || 'sport-timestamp-index',
+  clipStatus: process.env.HIGHLIGHTS_STATUS_INDEX || 'clipStatus-timestamp-index'
+};
+
+// Validate required environment variables
+if (!USERS_TABLE) {
+  throw new Error('USERS_TABLE environment variable is required');
+}
+
+if (!HIGHLIGHTS_TABLE) {
+  throw new Error('HIGHLIGHTS_TABLE environment variable is required');
+}
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const DEFAULT_PREFERENCE_WEIGHT = 5;
+
+// How much each preference type contributes relative to the others.
+// Teams and players are the most specific signal a user can give us.
+const PREFERENCE_TYPE_FACTORS = {
+  TEAM: 1.0,
+  PLAYER: 1.0,
+  PLAY_TYPE: 0.8,
+  SPORT: 0.6
+};
+
+// How much each learned affinity dimension contributes (see user-interactions)
+const AFFINITY_DIMENSION_FACTORS = {
+  playType: 0.8,
+  sport: 0.6,
+  gameId: 0.5,
+  label: 0.3
+};
+
+// Blend of the final score. Signals the user has no data for are left out
+// and the remaining weights are rescaled.
+const SIGNAL_BLEND = {
+  preference: 0.5,
+  behavior: 0.25,
+  quality: 0.25
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Preference types and affinity dimensions that have an index to draw candidates from
+const INDEXED_PREFERENCE_TYPES = {
+  SPORT: 'sport',
+  PLAY_TYPE: 'playType'
+};
+const INDEXED_AFFINITY_DIMENSIONS = ['sport', 'playType', 'gameId'];
+// Strongest learned values per dimension that get a query of their own
+const AFFINITY_SOURCES_PER_DIMENSION = 3;
+// Filtered queries may need several round trips to fill a source's share
+const MAX_QUERY_ROUNDS = 5;
+
 /**
- * Simple demo version for personalization
+ * Ranks highlights for a user based on their stored preferences
+ * and the affinities learned from their interactions
+ *
+ *   GET /users/{userId}/highlights?limit=
+ *
+ * Preferences themselves are managed by user-preferences under /users/{userId}/preferences.
  */
 exports.handler = async (event) => {
   console.log('Event:', JSON.stringify(event, null, 2));
-  
+
   try {
     // Input validation
     const userId = event.pathParameters?.userId || 'demo-user';
-    
+
     // Validate userId format
     if (typeof userId !== 'string' || userId.trim() === '') {
       throw new Error('Invalid user ID provided');
     }
-    
+
     // Sanitize userId to prevent injection attacks
     const sanitizedUserId = userId.trim().replace(/[^a-zA-Z0-9-_]/g, '');
-    
+
     if (sanitizedUserId !== userId.trim()) {
       console.warn(`User ID sanitized from '${userId}' to '${sanitizedUserId}'`);
     }
-    
-    // Return personalized demo highlights
-    const personalizedHighlights = [
-      {
-        highlightId: 'personalized-1',
-        title: `Personalized for ${sanitizedUserId}: Epic Soccer Goal`,
-        description: 'AI-selected based on your soccer preferences',
-        duration: 15,
-        sport: 'soccer',
-        excitementLevel: 9,
-        playType: 'goal',
-        personalizedScore: 95,
-        aiEnhanced: true,
-        timestamp: new Date().toISOString()
-      },
-      {
-        highlightId: 'personalized-2',
-        title: `Trending: Basketball Highlight`,
-        description: 'Popular among users with similar preferences',
-        duration: 12,
-        sport: 'basketball',
-        excitementLevel: 8,
-        playType: 'dunk',
-        personalizedScore: 87,
-        aiEnhanced: true,
-        timestamp: new Date().toISOString()
-      }
-    ];
-    
+
+    const limit = parseLimit(event.queryStringParameters?.limit);
+
+    const profile = await getUserProfile(sanitizedUserId);
+    const candidates = await getCandidateHighlights(profile);
+
+    const { preferences, affinities } = profile;
+    console.log(`Ranking ${candidates.length} candidates against ${preferences.length} preferences`);
+
+    const personalizedHighlights = rankHighlights(candidates, profile).slice(0, limit);
+
     return {
       statusCode: 200,
       headers: {
@@ -57,14 +116,16 @@ exports.handler = async (event) => {
       body: JSON.stringify({
         message: 'Personalized highlights retrieved successfully',
         userId: sanitizedUserId,
+        preferencesApplied: preferences.length,
+        preferences,
+        learnedAffinities: Object.keys(affinities).length > 0,
         highlightsCount: personalizedHighlights.length,
-        highlights: personalizedHighlights,
-        demo: true
+        highlights: personalizedHighlights
       })
     };
   } catch (error) {
     console.error('Error personalizing highlights:', error);
-    
+
     return {
       statusCode: 500,
       headers: {
@@ -77,4 +138,393 @@ exports.handler = async (event) => {
       })
     };
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Parse the requested page size from the query string
+ */
+function parseLimit(rawLimit) {
+  const limit = parseInt(rawLimit, 10);
+
+  if (Number.isNaN(limit) || limit < 1) {
+    return DEFAULT_LIMIT;
+  }
+
+  return Math.min(limit, MAX_LIMIT);
+}
+
+/**
+ * Load a user's stored preferences and learned affinities from DynamoDB
+ */
+async function getUserProfile(userId) {
+  const result = await dynamoDB.send(new GetCommand({
+    TableName: USERS_TABLE,
+    Key: { userId }
+  }));
+
+  const item = result.Item || {};
+  const preferences = (Array.isArray(item.preferences) ? item.preferences : [])
+    .map(normalizePreference)
+    .filter(preference => preference !== null);
+
+  return {
+    preferences,
+    affinities: decayAffinities(item.affinities || {}, Date.now())
+  };
+}
+
+/**
+ * Bring stored affinities up to date with the same half-life used when they were written
+ */
+function decayAffinities(affinities, now) {
+  const decayed = {};
+
+  Object.keys(AFFINITY_DIMENSION_FACTORS).forEach(dimension => {
+    const entries = Object.entries(affinities[dimension] || {});
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    decayed[dimension] = {};
+    entries.forEach(([value, entry]) => {
+      const score = Number(entry?.score) || 0;
+      const updatedAt = Number(entry?.updatedAt) || now;
+      const ageDays = Math.max(0, now - updatedAt) / MS_PER_DAY;
+
+      decayed[dimension][value] = score * Math.pow(0.5, ageDays / AFFINITY_HALF_LIFE_DAYS);
+    });
+  });
+
+  return decayed;
+}
+
+/**
+ * Normalize a stored preference record, dropping ones we can't use
+ */
+function normalizePreference(preference) {
+  const type = typeof preference?.type === 'string' ? preference.type.toUpperCase() : null;
+  const value = typeof preference?.value === 'string' ? preference.value.trim() : '';
+
+  if (!PREFERENCE_TYPE_FACTORS[type] || value === '') {
+    return null;
+  }
+
+  const weight = Number(preference.weight);
+
+  return {
+    id: preference.id,
+    type,
+    value,
+    weight: Number.isFinite(weight) && weight > 0 ? weight : DEFAULT_PREFERENCE_WEIGHT
+  };
+}
+
+/**
+ * Pull recent, playable candidate highlights for the user's sports, play types and
+ * strongest learned affinities from the highlights table indexes, plus the newest
+ * clips overall (teams and players have no index of their own). Each source gets an
+ * equal share of MAX_CANDIDATES, newest first.
+ */
+async function getCandidateHighlights(profile) {
+  const sources = getCandidateSources(profile);
+  const since = new Date(Date.now() - CANDIDATE_WINDOW_DAYS * MS_PER_DAY).toISOString();
+  const share = Math.ceil(MAX_CANDIDATES / sources.length);
+
+  const results = await Promise.all(sources.map(source => queryCandidates(source, since, share)));
+  const candidates = new Map();
+
+  results.flat().forEach(highlight => {
+    if (!candidates.has(highlight.highlightId)) {
+      candidates.set(highlight.highlightId, highlight);
+    }
+  });
+
+  return [...candidates.values()].slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * Index partitions worth drawing candidates from, e.g. { attribute: 'sport', value: 'soccer' }
+ */
+function getCandidateSources(profile) {
+  const sources = new Map();
+  const addSource = (attribute, value) => {
+    if (value) {
+      sources.set(`${attribute}#${value}`, { attribute, value });
+    }
+  };
+
+  profile.preferences.forEach(preference => {
+    const attribute = INDEXED_PREFERENCE_TYPES[preference.type];
+
+    if (attribute) {
+      addSource(attribute, normalizeValue(preference.value));
+    }
+  });
+
+  INDEXED_AFFINITY_DIMENSIONS.forEach(dimension => {
+    Object.entries(profile.affinities[dimension] || {})
+      .filter(([, score]) => score > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, AFFINITY_SOURCES_PER_DIMENSION)
+      .forEach(([value]) => addSource(dimension, value));
+  });
+
+  addSource('clipStatus', 'completed');
+
+  return [...sources.values()];
+}
+
+/**
+ * Newest highlights of one index partition since `since` that have a clip and
+ * weren't superseded by a re-analysis of their video
+ */
+async function queryCandidates({ attribute, value }, since, limit) {
+  const items = [];
+  let exclusiveStartKey;
+  let rounds = 0;
+
+  do {
+    const result = await dynamoDB.send(new QueryCommand({
+      TableName: HIGHLIGHTS_TABLE,
+      IndexName: HIGHLIGHT_INDEXES[attribute],
+      KeyConditionExpression: '#pk = :pk AND #ts >= :since',
+      FilterExpression: 'clipGenerated = :true AND attribute_not_exists(superseded)',
+      ExpressionAttributeNames: { '#pk': attribute, '#ts': 'timestamp' },
+      ExpressionAttributeValues: { ':pk': value, ':since': since, ':true': true },
+      ScanIndexForward: false,
+      Limit: limit - items.length,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+
+    items.push(...(result.Items || []));
+    exclusiveStartKey = result.LastEvaluatedKey;
+    rounds++;
+  } while (exclusiveStartKey && items.length < limit && rounds < MAX_QUERY_ROUNDS);
+
+  return items;
+}
+
+/**
+ * Score and sort highlights for a user profile
+ */
+function rankHighlights(highlights, profile) {
+  return highlights
+    .map(highlight => {
+      const match = scoreHighlight(highlight, profile);
+      return formatHighlight(highlight, match);
+    })
+    .sort((a, b) => {
+      if (b.personalizedScore !== a.personalizedScore) {
+        return b.personalizedScore - a.personalizedScore;
+      }
+      return String(b.timestamp || '').localeCompare(String(a.timestamp || ''));
+    });
+}
+
+/**
+ * Calculate a weighted personalization score and explain what matched
+ */
+function scoreHighlight(highlight, profile) {
+  const qualityScore = calculateQualityScore(highlight);
+  const preferenceMatch = calculatePreferenceScore(highlight, profile.preferences);
+  const behaviorMatch = calculateBehaviorScore(highlight, profile.affinities);
+
+  const signals = { quality: qualityScore };
+  if (preferenceMatch) {
+    signals.preference = preferenceMatch.score;
+  }
+  if (behaviorMatch) {
+    signals.behavior = behaviorMatch.score;
+  }
+
+  let totalWeight = 0;
+  let weightedScore = 0;
+
+  Object.entries(signals).forEach(([signal, value]) => {
+    totalWeight += SIGNAL_BLEND[signal];
+    weightedScore += SIGNAL_BLEND[signal] * value;
+  });
+
+  return {
+    score: Math.round(weightedScore / totalWeight),
+    preferenceScore: preferenceMatch ? preferenceMatch.score : 0,
+    behaviorScore: behaviorMatch ? behaviorMatch.score : 0,
+    qualityScore,
+    matchedPreferences: preferenceMatch ? preferenceMatch.matched : [],
+    matchedAffinities: behaviorMatch ? behaviorMatch.matched : []
+  };
+}
+
+/**
+ * Score (0-100) how well a highlight matches the user's explicit preferences
+ */
+function calculatePreferenceScore(highlight, preferences) {
+  if (preferences.length === 0) {
+    return null;
+  }
+
+  // Per type, the best weight the user has and the best weight this highlight matched.
+  // Normalizing per type keeps users with many favorites from getting diluted scores.
+  const maxWeightByType = {};
+  const matchedWeightByType = {};
+  const matched = [];
+
+  preferences.forEach(preference => {
+    maxWeightByType[preference.type] = Math.max(maxWeightByType[preference.type] || 0, preference.weight);
+
+    if (preferenceMatches(preference, highlight)) {
+      matchedWeightByType[preference.type] = Math.max(matchedWeightByType[preference.type] || 0, preference.weight);
+      matched.push({
+        type: preference.type,
+        value: preference.value,
+        weight: preference.weight
+      });
+    }
+  });
+
+  let possible = 0;
+  let achieved = 0;
+
+  Object.keys(maxWeightByType).forEach(type => {
+    possible += PREFERENCE_TYPE_FACTORS[type] * maxWeightByType[type];
+    achieved += PREFERENCE_TYPE_FACTORS[type] * (matchedWeightByType[type] || 0);
+  });
+
+  return {
+    score: possible > 0 ? Math.round((achieved / possible) * 100) : 0,
+    matched
+  };
+}
+
+/**
+ * Score (0-100) how well a highlight matches what the user has watched, liked and shared
+ */
+function calculateBehaviorScore(highlight, affinities) {
+  const attributes = {
+    sport: [normalizeValue(highlight.sport)],
+    playType: [normalizeValue(highlight.playType)],
+    gameId: [normalizeValue(highlight.gameId)],
+    label: Array.isArray(highlight.labels) ? highlight.labels.map(normalizeValue) : []
+  };
+
+  let possible = 0;
+  let achieved = 0;
+  const matched = [];
+
+  Object.entries(affinities).forEach(([dimension, entries]) => {
+    // Affinities are relative: compare against the user's strongest value in this dimension
+    const strongest = Math.max(0, ...Object.values(entries));
+
+    if (strongest === 0) {
+      return;
+    }
+
+    let best = null;
+    attributes[dimension].forEach(value => {
+      if (value && entries[value] !== undefined && (best === null || entries[value] > entries[best])) {
+        best = value;
+      }
+    });
+
+    possible += AFFINITY_DIMENSION_FACTORS[dimension];
+
+    if (best !== null) {
+      achieved += AFFINITY_DIMENSION_FACTORS[dimension] * (entries[best] / strongest);
+      matched.push({
+        dimension,
+        value: best,
+        affinity: Math.round(entries[best] * 100) / 100
+      });
+    }
+  });
+
+  if (possible === 0) {
+    return null;
+  }
+
+  return {
+    score: Math.min(100, Math.max(0, Math.round((achieved / possible) * 100))),
+    matched
+  };
+}
+
+/**
+ * Check whether a single preference applies to a highlight
+ */
+function preferenceMatches(preference, highlight) {
+  const value = preference.value.toLowerCase();
+
+  switch (preference.type) {
+    case 'SPORT':
+      return normalizeValue(highlight.sport) === value;
+    case 'PLAY_TYPE':
+      return normalizeValue(highlight.playType) === value;
+    // Names as written on the highlight, or the canonical IDs video analysis tags
+    case 'TEAM':
+      return listIncludes(highlight.teams, value) || listIncludes(highlight.teamIds, toEntityId(value));
+    case 'PLAYER':
+      return listIncludes(highlight.players, value) || listIncludes(highlight.playerIds, toEntityId(value));
+    default:
+      return false;
+  }
+}
+
+function normalizeValue(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+/**
+ * "Real Madrid" -> "real-madrid", the form of gazetteer team and player IDs
+ */
+function toEntityId(value) {
+  return value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function listIncludes(list, value) {
+  return Array.isArray(list) && list.some(item => normalizeValue(item) === value);
+}
+
+/**
+ * Preference-independent quality score (0-100) from AI metadata
+ */
+function calculateQualityScore(highlight) {
+  const excitement = Math.min(10, Math.max(0, Number(highlight.excitementLevel) || 5));
+  const confidence = Math.min(100, Math.max(0, Number(highlight.confidence) || 70));
+
+  return Math.round(excitement * 6 + confidence * 0.4);
+}
+
+/**
+ * Shape a DynamoDB highlight item for the API response
+ */
+function formatHighlight(item, match) {
+  return {
+    highlightId: item.highlightId,
+    gameId: item.gameId,
+    title: item.aiTitle || item.title || 'Generated Highlight',
+    description: item.description || 'AI-generated gaming highlight',
+    duration: item.duration,
+    sport: item.sport || 'general',
+    teams: item.teams || [],
+    players: item.players || [],
+    excitementLevel: item.excitementLevel || 5,
+    playType: item.playType || 'general',
+    aiEnhanced: item.aiEnhanced || false,
+    timestamp: item.timestamp,
+    clipUrl: item.clipUrl || null,
+    thumbnailUrl: item.thumbnailUrl || null,
+    personalizedScore: match.score,
+    scoreBreakdown: {
+      preference: match.preferenceScore,
+      behavior: match.behaviorScore,
+      quality: match.qualityScore
+    },
+    matchedPreferences: match.matchedPreferences,
+    matchedAffinities: match.matchedAffinities
+  };
+}
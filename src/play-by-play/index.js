@@ -0,0 +1,275 @@
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+
+const s3 = new S3Client({});
+
+const PLAY_BY_PLAY_BUCKET = process.env.PLAY_BY_PLAY_BUCKET;
+
+// Validate required environment variables
+if (!PLAY_BY_PLAY_BUCKET) {
+  throw new Error('PLAY_BY_PLAY_BUCKET environment variable is required');
+}
+
+const MAX_EVENTS = 5000;
+const MAX_TEXT_LENGTH = 500;
+
+// Event types that put points on the board even when the feed leaves out the score
+const SCORING_EVENT_TYPES = ['goal', 'home-run', 'touchdown'];
+// Event types worth a highlight even when vision found nothing there
+const IMPORTANT_EVENT_TYPES = [...SCORING_EVENT_TYPES, 'penalty', 'red-card'];
+
+/**
+ * Ingests a game's play-by-play feed for video analysis
+ *
+ *   PUT /games/{gameId}/play-by-play  { sport?, offsets?, events }
+ *
+ * events:  [{ period?, clock?, videoTime?, type?, description, team?, player?, score?, scoring?, important? }]
+ *          clock is the game clock ("12:34", "45+2'" or seconds); videoTime (seconds) pins an event directly
+ * offsets: [{ period, gameClock, videoTime, videoKey? }] manual points tying the game clock to video time,
+ *          used where the scoreboard clock can't be read
+ *
+ * The normalized feed is stored as play-by-play/<gameId>.json; video analysis of the
+ * game's videos aligns it and attaches events to highlights.
+ */
+exports.handler = async (event) => {
+  try {
+    const gameId = sanitizeId(event.pathParameters?.gameId || event.gameId, 'game ID');
+    const input = event.body !== undefined ? parseBody(event.body) : event;
+
+    console.log(`Ingesting play-by-play for ${gameId}`);
+
+    const feed = {
+      gameId,
+      sport: typeof input.sport === 'string' ? input.sport.trim().toLowerCase() : undefined,
+      ingestedAt: new Date().toISOString(),
+      offsets: parseOffsets(input.offsets),
+      events: parseEvents(input.events)
+    };
+
+    const feedKey = `play-by-play/${gameId}.json`;
+
+    await s3.send(new PutObjectCommand({
+      Bucket: PLAY_BY_PLAY_BUCKET,
+      Key: feedKey,
+      Body: JSON.stringify(feed),
+      ContentType: 'application/json'
+    }));
+
+    console.log(`Stored ${feed.events.length} play-by-play events for ${gameId}: ${feedKey}`);
+
+    return buildResponse(200, {
+      message: 'Play-by-play ingested successfully',
+      gameId,
+      feedKey,
+      eventsCount: feed.events.length,
+      scoringEventsCount: feed.events.filter(playEvent => playEvent.scoring).length,
+      offsetsCount: feed.offsets.length
+    });
+  } catch (error) {
+    console.error('Error ingesting play-by-play:', error);
+
+    return buildResponse(error.name === 'ValidationError' ? 400 : 500, {
+      error: true,
+      message: 'Error ingesting play-by-play',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Normalize events in feed order. An event scores when flagged, when its score
+ * total is higher than the last score seen (games start 0-0), or by its type.
+ */
+function parseEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw validationError('events must be a non-empty array');
+  }
+
+  if (events.length > MAX_EVENTS) {
+    throw validationError(`A feed can hold at most ${MAX_EVENTS} events`);
+  }
+
+  let lastScore = [0, 0];
+
+  return events.map((input, index) => {
+    if (!input || typeof input !== 'object') {
+      throw validationError(`events[${index}] must be an object`);
+    }
+
+    const period = input.period === undefined ? 1 : input.period;
+    if (!Number.isInteger(period) || period < 1) {
+      throw validationError(`events[${index}].period must be a positive integer`);
+    }
+
+    const clockSeconds = input.clock === undefined ? null : parseClock(input.clock);
+    if (input.clock !== undefined && clockSeconds === null) {
+      throw validationError(`events[${index}].clock must look like "12:34", "45+2'" or a number of seconds`);
+    }
+
+    if (input.videoTime !== undefined && (typeof input.videoTime !== 'number' || input.videoTime < 0)) {
+      throw validationError(`events[${index}].videoTime must be a non-negative number of seconds`);
+    }
+
+    const score = parseScore(input.score);
+    if (input.score !== undefined && !score) {
+      throw validationError(`events[${index}].score must be [first, second] or { home, away }`);
+    }
+
+    const type = typeof input.type === 'string' && input.type.trim()
+      ? input.type.trim().toLowerCase().replace(/[\s_]+/g, '-')
+      : 'play';
+    let scoring = score
+      ? score[0] + score[1] > lastScore[0] + lastScore[1]
+      : SCORING_EVENT_TYPES.includes(type);
+    if (typeof input.scoring === 'boolean') {
+      scoring = input.scoring;
+    }
+
+    const playEvent = {
+      id: typeof input.id === 'string' && input.id.trim() ? input.id.trim() : `e${index + 1}`,
+      period,
+      clockSeconds,
+      type,
+      description: cleanText(input.description) || type,
+      scoring,
+      important: input.important === true || scoring || IMPORTANT_EVENT_TYPES.includes(type),
+      ...(input.clock !== undefined && { clock: formatClock(clockSeconds) }),
+      ...(input.videoTime !== undefined && { videoTime: input.videoTime }),
+      ...(cleanText(input.team) && { team: cleanText(input.team) }),
+      ...(cleanText(input.player) && { player: cleanText(input.player) }),
+      ...(score && { score }),
+      ...(scoring && score && { previousScore: lastScore })
+    };
+
+    if (score) {
+      lastScore = score;
+    }
+
+    return playEvent;
+  });
+}
+
+function parseOffsets(offsets) {
+  if (offsets === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(offsets)) {
+    throw validationError('offsets must be an array');
+  }
+
+  return offsets.map((input, index) => {
+    const clockSeconds = parseClock(input?.gameClock);
+
+    if (clockSeconds === null || typeof input.videoTime !== 'number' || input.videoTime < 0) {
+      throw validationError(`offsets[${index}] needs a gameClock and a non-negative videoTime in seconds`);
+    }
+
+    if (input.period !== undefined && (!Number.isInteger(input.period) || input.period < 1)) {
+      throw validationError(`offsets[${index}].period must be a positive integer`);
+    }
+
+    return {
+      period: input.period || 1,
+      clockSeconds,
+      videoTime: input.videoTime,
+      ...(typeof input.videoKey === 'string' && input.videoKey.trim() && { videoKey: input.videoKey.trim() })
+    };
+  });
+}
+
+/**
+ * Game clock to seconds: "12:34", "12:34.5", "45+2'" (minutes plus added time) or a number
+ */
+function parseClock(clock) {
+  if (typeof clock === 'number') {
+    return Number.isFinite(clock) && clock >= 0 ? clock : null;
+  }
+
+  if (typeof clock !== 'string') {
+    return null;
+  }
+
+  const value = clock.trim();
+  const clockMatch = value.match(/^(\d{1,3}):([0-5]\d(?:\.\d+)?)$/);
+
+  if (clockMatch) {
+    return parseInt(clockMatch[1], 10) * 60 + parseFloat(clockMatch[2]);
+  }
+
+  const minuteMatch = value.match(/^(\d{1,3})(?:\+(\d{1,2}))?'?$/);
+
+  if (minuteMatch) {
+    return (parseInt(minuteMatch[1], 10) + parseInt(minuteMatch[2] || '0', 10)) * 60;
+  }
+
+  return null;
+}
+
+function formatClock(seconds) {
+  const wholeSeconds = Math.floor(seconds);
+  return `${Math.floor(wholeSeconds / 60)}:${String(wholeSeconds % 60).padStart(2, '0')}`;
+}
+
+function parseScore(score) {
+  if (Array.isArray(score) && score.length === 2 && score.every(Number.isInteger)) {
+    return score;
+  }
+
+  if (score && Number.isInteger(score.home) && Number.isInteger(score.away)) {
+    return [score.home, score.away];
+  }
+
+  return null;
+}
+
+/**
+ * Input helpers
+ */
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+function sanitizeId(value, description) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw validationError(`Invalid ${description} provided`);
+  }
+
+  // Sanitize to prevent injection attacks
+  const sanitized = value.trim().replace(/[^a-zA-Z0-9-_:.]/g, '');
+
+  if (sanitized === '') {
+    throw validationError(`Invalid ${description} provided`);
+  }
+
+  return sanitized;
+}
+
+function parseBody(body) {
+  if (body && typeof body === 'object') {
+    return body;
+  }
+
+  try {
+    const parsed = JSON.parse(body);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    throw validationError('Request body must be valid JSON');
+  }
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+function buildResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    },
+    body: JSON.stringify(body)
+  };
+}
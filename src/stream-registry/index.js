@@ -0,0 +1,307 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { KinesisVideoClient, DescribeStreamCommand } = require('@aws-sdk/client-kinesis-video');
+
+const dynamoClient = new DynamoDBClient({});
+const dynamoDB = DynamoDBDocumentClient.from(dynamoClient, {
+  marshallOptions: { removeUndefinedValues: true }
+});
+const kinesisVideo = new KinesisVideoClient({});
+
+// Partition key streamName; read by the Kinesis processor
+const STREAM_REGISTRY_TABLE = process.env.STREAM_REGISTRY_TABLE;
+// Game records (partition key id), as in the Game type of infrastructure/graphql/schema.graphql
+const GAMES_TABLE = process.env.GAMES_TABLE;
+
+// Validate required environment variables
+if (!STREAM_REGISTRY_TABLE) {
+  throw new Error('STREAM_REGISTRY_TABLE environment variable is required');
+}
+
+if (!GAMES_TABLE) {
+  throw new Error('GAMES_TABLE environment variable is required');
+}
+
+const REGISTRATION_STATUSES = ['ACTIVE', 'RETIRED'];
+// Games that can no longer get live highlights
+const CLOSED_GAME_STATUSES = ['COMPLETED', 'CANCELLED'];
+// Kinesis video stream names
+const STREAM_NAME_PATTERN = /^[a-zA-Z0-9_.-]{1,256}$/;
+
+/**
+ * Registry of the Kinesis video streams the processor reads, each attributed to a game
+ *
+ *   GET    /streams?status=ACTIVE|RETIRED   registrations, active ones by default
+ *   GET    /streams/{streamName}
+ *   PUT    /streams/{streamName}  { gameId }  register the stream for a game
+ *   DELETE /streams/{streamName}            retire it; its media is no longer read live
+ *
+ * A registration keeps a copy of the game's sport, teams and scheduled start, so live
+ * segments are analyzed with the game's sport profile and tagged with its teams.
+ * A stream registered for one game must be retired before it can be registered for another.
+ */
+exports.handler = async (event) => {
+  console.log('Event:', JSON.stringify(event, null, 2));
+
+  try {
+    const streamName = event.pathParameters?.streamName;
+    const method = (event.httpMethod || event.requestContext?.http?.method || 'GET').toUpperCase();
+
+    switch (method) {
+      case 'GET':
+        return streamName
+          ? buildResponse(200, { stream: await getRegistration(validateStreamName(streamName)) })
+          : buildResponse(200, await listRegistrations(event.queryStringParameters?.status));
+      case 'PUT':
+        return buildResponse(200, {
+          stream: await registerStream(validateStreamName(streamName), parseBody(event.body))
+        });
+      case 'DELETE':
+        return buildResponse(200, { stream: await retireStream(validateStreamName(streamName)) });
+      default:
+        throw httpError('MethodNotAllowedError', `Method ${method} is not supported`);
+    }
+  } catch (error) {
+    console.error('Error managing stream registry:', error);
+
+    return buildResponse(statusCodeForError(error), {
+      error: true,
+      message: 'Error managing stream registry',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Registrations with the given status
+ */
+async function listRegistrations(status = 'ACTIVE') {
+  const normalizedStatus = String(status).toUpperCase();
+
+  if (!REGISTRATION_STATUSES.includes(normalizedStatus)) {
+    throw httpError('ValidationError', `status must be one of ${REGISTRATION_STATUSES.join(', ')}`);
+  }
+
+  const streams = [];
+  let exclusiveStartKey;
+
+  do {
+    const result = await dynamoDB.send(new ScanCommand({
+      TableName: STREAM_REGISTRY_TABLE,
+      FilterExpression: '#status = :status',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':status': normalizedStatus },
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+
+    streams.push(...(result.Items || []));
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return {
+    status: normalizedStatus,
+    streamsCount: streams.length,
+    streams: streams.sort((a, b) => a.streamName.localeCompare(b.streamName))
+  };
+}
+
+async function getRegistration(streamName) {
+  const registration = await findRegistration(streamName);
+
+  if (!registration) {
+    throw httpError('NotFoundError', `Stream ${streamName} is not registered`);
+  }
+
+  return registration;
+}
+
+async function findRegistration(streamName) {
+  const result = await dynamoDB.send(new GetCommand({
+    TableName: STREAM_REGISTRY_TABLE,
+    Key: { streamName },
+    ConsistentRead: true
+  }));
+
+  return result.Item || null;
+}
+
+/**
+ * Register an existing Kinesis video stream for an open game. Registering it again
+ * for the same game refreshes the copy of the game.
+ */
+async function registerStream(streamName, input) {
+  const gameId = validateGameId(input.gameId);
+  const [game, streamInfo, existing] = await Promise.all([
+    getGame(gameId),
+    describeStream(streamName),
+    findRegistration(streamName)
+  ]);
+
+  if (CLOSED_GAME_STATUSES.includes(game.status)) {
+    throw httpError('ConflictError', `Game ${gameId} is ${game.status.toLowerCase()}`);
+  }
+
+  const now = new Date().toISOString();
+  // The processor ignores stream checkpoints from before registeredAt, so a new
+  // registration starts at the live edge instead of in the previous game's media
+  const continuing = existing?.status === 'ACTIVE' && existing.gameId === gameId;
+  const registration = {
+    streamName,
+    streamArn: streamInfo.StreamARN,
+    status: 'ACTIVE',
+    gameId,
+    gameTitle: game.title,
+    sport: typeof game.sport === 'string' ? game.sport.trim().toLowerCase() : undefined,
+    teams: Array.isArray(game.teams) ? game.teams : [],
+    scheduledStart: game.startTime,
+    registeredAt: continuing ? existing.registeredAt : now,
+    updatedAt: now
+  };
+
+  try {
+    await dynamoDB.send(new PutCommand({
+      TableName: STREAM_REGISTRY_TABLE,
+      Item: registration,
+      ConditionExpression: 'attribute_not_exists(streamName) OR #status = :retired OR gameId = :gameId',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':retired': 'RETIRED', ':gameId': gameId }
+    }));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw httpError('ConflictError', `Stream ${streamName} is registered for another game; retire it first`);
+    }
+    throw error;
+  }
+
+  console.log(`Registered stream ${streamName} for game ${gameId}`);
+  return registration;
+}
+
+/**
+ * Stop reading the stream live. The registration stays, so its archived media is
+ * still attributed to the game.
+ */
+async function retireStream(streamName) {
+  const now = new Date().toISOString();
+
+  try {
+    const result = await dynamoDB.send(new UpdateCommand({
+      TableName: STREAM_REGISTRY_TABLE,
+      Key: { streamName },
+      UpdateExpression: 'SET #status = :retired, retiredAt = if_not_exists(retiredAt, :now), updatedAt = :now',
+      ConditionExpression: 'attribute_exists(streamName)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':retired': 'RETIRED', ':now': now },
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    console.log(`Retired stream ${streamName}`);
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw httpError('NotFoundError', `Stream ${streamName} is not registered`);
+    }
+    throw error;
+  }
+}
+
+async function getGame(gameId) {
+  const result = await dynamoDB.send(new GetCommand({
+    TableName: GAMES_TABLE,
+    Key: { id: gameId }
+  }));
+
+  if (!result.Item) {
+    throw httpError('NotFoundError', `Game ${gameId} not found`);
+  }
+
+  return result.Item;
+}
+
+async function describeStream(streamName) {
+  try {
+    const response = await kinesisVideo.send(new DescribeStreamCommand({ StreamName: streamName }));
+
+    if (response.StreamInfo.Status === 'DELETING') {
+      throw httpError('ConflictError', `Stream ${streamName} is being deleted`);
+    }
+
+    return response.StreamInfo;
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') {
+      throw httpError('NotFoundError', `Kinesis video stream ${streamName} not found`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validation helpers
+ */
+function validateStreamName(streamName) {
+  if (typeof streamName !== 'string' || !STREAM_NAME_PATTERN.test(streamName)) {
+    throw httpError('ValidationError', 'A valid stream name is required');
+  }
+
+  return streamName;
+}
+
+function validateGameId(gameId) {
+  if (typeof gameId !== 'string' || gameId.trim() === '') {
+    throw httpError('ValidationError', 'gameId is required');
+  }
+
+  return gameId.trim();
+}
+
+function parseBody(body) {
+  if (!body) {
+    return {};
+  }
+
+  if (typeof body === 'object') {
+    return body;
+  }
+
+  try {
+    const parsed = JSON.parse(body);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    throw httpError('ValidationError', 'Request body must be valid JSON');
+  }
+}
+
+/**
+ * Error helpers
+ */
+function httpError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+function statusCodeForError(error) {
+  switch (error.name) {
+    case 'ValidationError':
+      return 400;
+    case 'NotFoundError':
+      return 404;
+    case 'MethodNotAllowedError':
+      return 405;
+    case 'ConflictError':
+      return 409;
+    default:
+      return 500;
+  }
+}
+
+function buildResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    },
+    body: JSON.stringify(body)
+  };
+}
@@ -0,0 +1,410 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const dynamoClient = new DynamoDBClient({});
+const dynamoDB = DynamoDBDocumentClient.from(dynamoClient);
+
+const INTERACTIONS_TABLE = process.env.INTERACTIONS_TABLE;
+const HIGHLIGHTS_TABLE = process.env.HIGHLIGHTS_TABLE;
+const USERS_TABLE = process.env.USERS_TABLE;
+const AFFINITY_HALF_LIFE_DAYS = parseFloat(process.env.AFFINITY_HALF_LIFE_DAYS || '14');
+
+// Validate required environment variables
+if (!INTERACTIONS_TABLE) {
+  throw new Error('INTERACTIONS_TABLE environment variable is required');
+}
+
+if (!HIGHLIGHTS_TABLE) {
+  throw new Error('HIGHLIGHTS_TABLE environment variable is required');
+}
+
+if (!USERS_TABLE) {
+  throw new Error('USERS_TABLE environment variable is required');
+}
+
+// Mirrors the watchHighlight / likeHighlight / shareHighlight mutations
+const INTERACTION_ACTIONS = ['WATCH', 'LIKE', 'SHARE'];
+
+// How strongly each interaction moves a user's affinities
+const SIGNAL_WEIGHTS = {
+  WATCH: 1,
+  LIKE: 3,
+  UNLIKE: -3,
+  SHARE: 4
+};
+
+// Highlight attributes we learn affinities for
+const AFFINITY_DIMENSIONS = ['sport', 'playType', 'label', 'gameId'];
+
+// Keep the user record small: drop faded affinities and cap each dimension
+const MIN_AFFINITY = 0.05;
+const MAX_AFFINITIES_PER_DIMENSION = 50;
+const MAX_WRITE_ATTEMPTS = 3;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Records watch/like/share interactions and folds them into per-user affinities
+ *
+ *   POST /users/{userId}/interactions  { highlightId, action, liked? }
+ *
+ * Aggregation runs off the interactions table's DynamoDB stream.
+ */
+exports.handler = async (event) => {
+  console.log('Event:', JSON.stringify(event, null, 2));
+
+  try {
+    if (event.Records) {
+      // DynamoDB Stream event - interaction recorded
+      return await processInteractionStream(event);
+    }
+
+    const userId = sanitizeId(event.pathParameters?.userId, 'user ID');
+    const input = parseBody(event.body);
+    const interaction = await recordInteraction(userId, input);
+
+    return buildResponse(200, {
+      message: 'Interaction recorded successfully',
+      interaction
+    });
+  } catch (error) {
+    console.error('Error processing interaction:', error);
+
+    // Let the stream retry the batch instead of counting it as processed
+    if (event.Records) {
+      throw error;
+    }
+
+    return buildResponse(statusCodeForError(error), {
+      error: true,
+      message: 'Error processing interaction',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Store a single interaction on the user/highlight record (the schema's UserHighlight)
+ */
+async function recordInteraction(userId, input) {
+  const highlightId = sanitizeId(input.highlightId, 'highlight ID');
+  const action = typeof input.action === 'string' ? input.action.trim().toUpperCase() : '';
+
+  if (!INTERACTION_ACTIONS.includes(action)) {
+    throw httpError('ValidationError', `Invalid action. Expected one of: ${INTERACTION_ACTIONS.join(', ')}`);
+  }
+
+  if (action === 'LIKE' && input.liked !== undefined && typeof input.liked !== 'boolean') {
+    throw httpError('ValidationError', 'liked must be a boolean');
+  }
+
+  const highlight = await getHighlight(highlightId);
+
+  if (!highlight) {
+    throw httpError('NotFoundError', `Highlight ${highlightId} not found`);
+  }
+
+  const now = new Date().toISOString();
+  const setExpressions = ['id = :id', 'updatedAt = :now'];
+  const addExpressions = [];
+  const values = {
+    ':id': `${userId}-${highlightId}`,
+    ':now': now
+  };
+
+  switch (action) {
+    case 'WATCH':
+      setExpressions.push('watched = :true', 'lastWatchedAt = :now');
+      addExpressions.push('watchCount :one');
+      values[':true'] = true;
+      values[':one'] = 1;
+      break;
+    case 'LIKE':
+      setExpressions.push('liked = :liked', 'likedAt = :now');
+      values[':liked'] = input.liked !== false;
+      break;
+    case 'SHARE':
+      setExpressions.push('sharedAt = :now');
+      addExpressions.push('shareCount :one');
+      values[':one'] = 1;
+      break;
+  }
+
+  let updateExpression = `SET ${setExpressions.join(', ')}`;
+  if (addExpressions.length > 0) {
+    updateExpression += ` ADD ${addExpressions.join(', ')}`;
+  }
+
+  const result = await dynamoDB.send(new UpdateCommand({
+    TableName: INTERACTIONS_TABLE,
+    Key: { userId, highlightId },
+    UpdateExpression: updateExpression,
+    ExpressionAttributeValues: values,
+    ReturnValues: 'ALL_NEW'
+  }));
+
+  console.log(`Recorded ${action} from ${userId} on ${highlightId}`);
+  return result.Attributes;
+}
+
+/**
+ * Process DynamoDB stream records from the interactions table. The first record that
+ * fails is reported in batchItemFailures (the event source mapping needs
+ * ReportBatchItemFailures), and processing stops there: the stream is retried from
+ * that record, so later ones would otherwise be applied twice.
+ */
+async function processInteractionStream(event) {
+  let applied = 0;
+
+  for (const record of event.Records) {
+    if (!record.dynamodb?.NewImage) {
+      continue;
+    }
+
+    const newImage = unmarshall(record.dynamodb.NewImage);
+    const oldImage = record.dynamodb.OldImage ? unmarshall(record.dynamodb.OldImage) : {};
+    const signal = calculateSignal(oldImage, newImage);
+
+    if (signal === 0) {
+      continue;
+    }
+
+    try {
+      const highlight = await getHighlight(newImage.highlightId);
+
+      if (!highlight) {
+        console.warn(`Skipping interaction on missing highlight ${newImage.highlightId}`);
+        continue;
+      }
+
+      await updateUserAffinities(newImage.userId, highlight, signal);
+      applied++;
+    } catch (error) {
+      console.error(`Error aggregating interaction ${newImage.userId}/${newImage.highlightId}, retrying from it:`, error);
+
+      return {
+        batchItemFailures: [{ itemIdentifier: record.dynamodb.SequenceNumber }],
+        affinitiesUpdated: applied
+      };
+    }
+  }
+
+  return {
+    batchItemFailures: [],
+    affinitiesUpdated: applied
+  };
+}
+
+/**
+ * Work out what changed between two versions of an interaction record
+ */
+function calculateSignal(oldImage, newImage) {
+  let signal = 0;
+
+  const watchDelta = (newImage.watchCount || 0) - (oldImage.watchCount || 0);
+  if (watchDelta > 0) {
+    signal += SIGNAL_WEIGHTS.WATCH * watchDelta;
+  }
+
+  if (newImage.liked === true && oldImage.liked !== true) {
+    signal += SIGNAL_WEIGHTS.LIKE;
+  } else if (newImage.liked === false && oldImage.liked === true) {
+    signal += SIGNAL_WEIGHTS.UNLIKE;
+  }
+
+  const shareDelta = (newImage.shareCount || 0) - (oldImage.shareCount || 0);
+  if (shareDelta > 0) {
+    signal += SIGNAL_WEIGHTS.SHARE * shareDelta;
+  }
+
+  return signal;
+}
+
+/**
+ * Apply an interaction signal to the user's decayed affinities with a conditional write
+ */
+async function updateUserAffinities(userId, highlight, signal) {
+  const attributes = extractAffinityAttributes(highlight);
+
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const result = await dynamoDB.send(new GetCommand({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      ProjectionExpression: 'affinities, affinitiesVersion',
+      ConsistentRead: true
+    }));
+
+    const version = result.Item?.affinitiesVersion;
+    const nextAffinities = applySignal(result.Item?.affinities || {}, attributes, signal, Date.now());
+
+    const params = {
+      TableName: USERS_TABLE,
+      Key: { userId },
+      UpdateExpression: 'SET affinities = :affinities, affinitiesVersion = :nextVersion, affinitiesUpdatedAt = :now',
+      ExpressionAttributeValues: {
+        ':affinities': nextAffinities,
+        ':nextVersion': (version || 0) + 1,
+        ':now': new Date().toISOString()
+      }
+    };
+
+    if (version === undefined) {
+      params.ConditionExpression = 'attribute_not_exists(affinitiesVersion)';
+    } else {
+      params.ConditionExpression = 'affinitiesVersion = :version';
+      params.ExpressionAttributeValues[':version'] = version;
+    }
+
+    try {
+      await dynamoDB.send(new UpdateCommand(params));
+      return nextAffinities;
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+      console.warn(`Affinities for ${userId} changed concurrently (attempt ${attempt}/${MAX_WRITE_ATTEMPTS})`);
+    }
+  }
+
+  throw new Error(`Could not update affinities for ${userId} after ${MAX_WRITE_ATTEMPTS} attempts`);
+}
+
+/**
+ * Decay existing affinities to now, add the new signal and prune what has faded
+ */
+function applySignal(affinities, attributes, signal, now) {
+  const next = {};
+
+  AFFINITY_DIMENSIONS.forEach(dimension => {
+    const entries = {};
+
+    Object.entries(affinities[dimension] || {}).forEach(([value, entry]) => {
+      entries[value] = decayScore(entry, now);
+    });
+
+    (attributes[dimension] || []).forEach(value => {
+      entries[value] = (entries[value] || 0) + signal;
+    });
+
+    const kept = Object.entries(entries)
+      .filter(([, score]) => Math.abs(score) >= MIN_AFFINITY)
+      .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+      .slice(0, MAX_AFFINITIES_PER_DIMENSION);
+
+    if (kept.length > 0) {
+      next[dimension] = {};
+      kept.forEach(([value, score]) => {
+        next[dimension][value] = {
+          score: Math.round(score * 1000) / 1000,
+          updatedAt: now
+        };
+      });
+    }
+  });
+
+  return next;
+}
+
+/**
+ * Exponential decay so stale tastes fade: the score halves every AFFINITY_HALF_LIFE_DAYS
+ */
+function decayScore(entry, now) {
+  const score = Number(entry?.score) || 0;
+  const updatedAt = Number(entry?.updatedAt) || now;
+  const ageDays = Math.max(0, now - updatedAt) / MS_PER_DAY;
+
+  return score * Math.pow(0.5, ageDays / AFFINITY_HALF_LIFE_DAYS);
+}
+
+/**
+ * Pull the attributes we track affinities for off a highlight record
+ */
+function extractAffinityAttributes(highlight) {
+  const normalize = value => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+  const single = value => (normalize(value) ? [normalize(value)] : []);
+
+  return {
+    sport: single(highlight.sport),
+    playType: single(highlight.playType),
+    label: Array.isArray(highlight.labels) ? [...new Set(highlight.labels.map(normalize).filter(Boolean))] : [],
+    gameId: single(highlight.gameId)
+  };
+}
+
+/**
+ * Get highlight metadata from DynamoDB
+ */
+async function getHighlight(highlightId) {
+  const result = await dynamoDB.send(new GetCommand({
+    TableName: HIGHLIGHTS_TABLE,
+    Key: { highlightId }
+  }));
+
+  return result.Item;
+}
+
+/**
+ * Input helpers
+ */
+function sanitizeId(value, description) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw httpError('ValidationError', `Invalid ${description} provided`);
+  }
+
+  // Sanitize to prevent injection attacks
+  const sanitized = value.trim().replace(/[^a-zA-Z0-9-_:.]/g, '');
+
+  if (sanitized === '') {
+    throw httpError('ValidationError', `Invalid ${description} provided`);
+  }
+
+  return sanitized;
+}
+
+function parseBody(body) {
+  if (!body) {
+    return {};
+  }
+
+  if (typeof body === 'object') {
+    return body;
+  }
+
+  try {
+    const parsed = JSON.parse(body);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    throw httpError('ValidationError', 'Request body must be valid JSON');
+  }
+}
+
+/**
+ * Error helpers
+ */
+function httpError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+function statusCodeForError(error) {
+  switch (error.name) {
+    case 'ValidationError':
+      return 400;
+    case 'NotFoundError':
+      return 404;
+    default:
+      return 500;
+  }
+}
+
+function buildResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    },
+    body: JSON.stringify(body)
+  };
+}
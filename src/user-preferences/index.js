@@ -0,0 +1,361 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+const dynamoClient = new DynamoDBClient({});
+const dynamoDB = DynamoDBDocumentClient.from(dynamoClient);
+
+const USERS_TABLE = process.env.USERS_TABLE;
+
+// Validate required environment variables
+if (!USERS_TABLE) {
+  throw new Error('USERS_TABLE environment variable is required');
+}
+
+// Mirrors the PreferenceType enum in infrastructure/graphql/schema.graphql
+const PREFERENCE_TYPES = ['TEAM', 'PLAYER', 'PLAY_TYPE', 'SPORT'];
+const MIN_WEIGHT = 1;
+const MAX_WEIGHT = 10;
+const DEFAULT_WEIGHT = 5;
+const MAX_VALUE_LENGTH = 100;
+const MAX_PREFERENCES_PER_USER = 50;
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * CRUD API for a user's preferences, stored on the user record in DynamoDB
+ *
+ *   GET    /users/{userId}/preferences/{preferenceId?}
+ *   POST   /users/{userId}/preferences
+ *   PUT    /users/{userId}/preferences/{preferenceId}
+ *   DELETE /users/{userId}/preferences/{preferenceId}
+ */
+exports.handler = async (event) => {
+  console.log('Event:', JSON.stringify(event, null, 2));
+
+  try {
+    const userId = sanitizeUserId(event.pathParameters?.userId);
+    const preferenceId = event.pathParameters?.preferenceId;
+    const method = (event.httpMethod || event.requestContext?.http?.method || 'GET').toUpperCase();
+
+    switch (method) {
+      case 'GET':
+        return preferenceId
+          ? buildResponse(200, { preference: await getPreference(userId, preferenceId) })
+          : buildResponse(200, await listPreferences(userId));
+      case 'POST':
+        return buildResponse(201, { preference: await createPreference(userId, parseBody(event.body)) });
+      case 'PUT':
+        requirePreferenceId(preferenceId);
+        return buildResponse(200, { preference: await updatePreference(userId, preferenceId, parseBody(event.body)) });
+      case 'DELETE':
+        requirePreferenceId(preferenceId);
+        await deletePreference(userId, preferenceId);
+        return buildResponse(200, { deleted: true, preferenceId });
+      default:
+        throw httpError('MethodNotAllowedError', `Method ${method} is not supported`);
+    }
+  } catch (error) {
+    console.error('Error managing preferences:', error);
+
+    return buildResponse(statusCodeForError(error), {
+      error: true,
+      message: 'Error managing preferences',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * List all preferences stored for a user
+ */
+async function listPreferences(userId) {
+  const { preferences } = await loadUserPreferences(userId);
+
+  return {
+    userId,
+    preferencesCount: preferences.length,
+    preferences
+  };
+}
+
+/**
+ * Get a single preference by ID
+ */
+async function getPreference(userId, preferenceId) {
+  const { preferences } = await loadUserPreferences(userId);
+  const preference = preferences.find(p => p.id === preferenceId);
+
+  if (!preference) {
+    throw httpError('NotFoundError', `Preference ${preferenceId} not found`);
+  }
+
+  return preference;
+}
+
+/**
+ * Create a new preference, rejecting duplicates of the same type and value
+ */
+async function createPreference(userId, input) {
+  const type = validateType(input.type);
+  const value = validateValue(input.value);
+  const weight = input.weight === undefined ? DEFAULT_WEIGHT : validateWeight(input.weight);
+  const id = buildPreferenceId(type, value);
+  const now = new Date().toISOString();
+
+  // userId is stored on each preference, as the GraphQL Preference type reads it
+  const preference = { id, userId, type, value, weight, createdAt: now, updatedAt: now };
+
+  await modifyPreferences(userId, preferences => {
+    if (preferences.some(p => p.id === id)) {
+      throw httpError('ConflictError', `Preference ${type} '${value}' already exists`);
+    }
+
+    if (preferences.length >= MAX_PREFERENCES_PER_USER) {
+      throw httpError('ValidationError', `A user can have at most ${MAX_PREFERENCES_PER_USER} preferences`);
+    }
+
+    return [...preferences, preference];
+  });
+
+  return preference;
+}
+
+/**
+ * Update the weight of an existing preference
+ */
+async function updatePreference(userId, preferenceId, input) {
+  const weight = validateWeight(input.weight);
+  let updated;
+
+  await modifyPreferences(userId, preferences => {
+    const index = preferences.findIndex(p => p.id === preferenceId);
+
+    if (index === -1) {
+      throw httpError('NotFoundError', `Preference ${preferenceId} not found`);
+    }
+
+    updated = { ...preferences[index], weight, updatedAt: new Date().toISOString() };
+
+    const next = [...preferences];
+    next[index] = updated;
+    return next;
+  });
+
+  return updated;
+}
+
+/**
+ * Delete a preference by ID
+ */
+async function deletePreference(userId, preferenceId) {
+  await modifyPreferences(userId, preferences => {
+    if (!preferences.some(p => p.id === preferenceId)) {
+      throw httpError('NotFoundError', `Preference ${preferenceId} not found`);
+    }
+
+    return preferences.filter(p => p.id !== preferenceId);
+  });
+}
+
+/**
+ * Read the user's preferences along with the version used for optimistic locking
+ */
+async function loadUserPreferences(userId) {
+  const result = await dynamoDB.send(new GetCommand({
+    TableName: USERS_TABLE,
+    Key: { userId },
+    ConsistentRead: true
+  }));
+
+  const item = result.Item || {};
+  const preferences = (Array.isArray(item.preferences) ? item.preferences : [])
+    .map(preference => withPreferenceId(preference, userId));
+
+  return {
+    preferences,
+    version: item.preferencesVersion
+  };
+}
+
+/**
+ * Apply a change to the preference list with a conditional write,
+ * retrying when another request updated the same user first
+ */
+async function modifyPreferences(userId, applyChange) {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const { preferences, version } = await loadUserPreferences(userId);
+    const nextPreferences = applyChange(preferences);
+
+    const params = {
+      TableName: USERS_TABLE,
+      Key: { userId },
+      UpdateExpression: 'SET preferences = :preferences, preferencesVersion = :nextVersion, updatedAt = :updatedAt',
+      ExpressionAttributeValues: {
+        ':preferences': nextPreferences,
+        ':nextVersion': (version || 0) + 1,
+        ':updatedAt': new Date().toISOString()
+      }
+    };
+
+    if (version === undefined) {
+      params.ConditionExpression = 'attribute_not_exists(preferencesVersion)';
+    } else {
+      params.ConditionExpression = 'preferencesVersion = :version';
+      params.ExpressionAttributeValues[':version'] = version;
+    }
+
+    try {
+      await dynamoDB.send(new UpdateCommand(params));
+      return nextPreferences;
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+      console.warn(`Preferences for ${userId} changed concurrently (attempt ${attempt}/${MAX_WRITE_ATTEMPTS})`);
+    }
+  }
+
+  throw httpError('ConflictError', 'Preferences were modified concurrently, please retry');
+}
+
+/**
+ * Build a stable preference ID from its type and value.
+ * Using the value in the ID makes duplicate detection a simple ID comparison.
+ */
+function buildPreferenceId(type, value) {
+  const slug = value
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return `${type.toLowerCase().replace(/_/g, '-')}-${slug}`;
+}
+
+/**
+ * Older records (e.g. demo data) were written without IDs or user IDs; they are
+ * filled in here and stored with the next change to the user's preferences
+ */
+function withPreferenceId(preference, userId) {
+  if (preference.id && preference.userId) {
+    return preference;
+  }
+
+  return {
+    ...preference,
+    id: preference.id || buildPreferenceId(String(preference.type), String(preference.value)),
+    userId: preference.userId || userId
+  };
+}
+
+/**
+ * Input validation
+ */
+function validateType(type) {
+  const normalized = typeof type === 'string' ? type.trim().toUpperCase() : '';
+
+  if (!PREFERENCE_TYPES.includes(normalized)) {
+    throw httpError('ValidationError', `Invalid preference type. Expected one of: ${PREFERENCE_TYPES.join(', ')}`);
+  }
+
+  return normalized;
+}
+
+function validateValue(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw httpError('ValidationError', 'Preference value is required');
+  }
+
+  const trimmed = value.trim();
+
+  if (trimmed.length > MAX_VALUE_LENGTH) {
+    throw httpError('ValidationError', `Preference value must be at most ${MAX_VALUE_LENGTH} characters`);
+  }
+
+  if (buildPreferenceId('X', trimmed) === 'x-') {
+    throw httpError('ValidationError', 'Preference value must contain letters or digits');
+  }
+
+  return trimmed;
+}
+
+function validateWeight(weight) {
+  if (!Number.isInteger(weight) || weight < MIN_WEIGHT || weight > MAX_WEIGHT) {
+    throw httpError('ValidationError', `Weight must be an integer between ${MIN_WEIGHT} and ${MAX_WEIGHT}`);
+  }
+
+  return weight;
+}
+
+function requirePreferenceId(preferenceId) {
+  if (!preferenceId) {
+    throw httpError('ValidationError', 'Preference ID is required');
+  }
+}
+
+function sanitizeUserId(userId) {
+  if (typeof userId !== 'string' || userId.trim() === '') {
+    throw httpError('ValidationError', 'Invalid user ID provided');
+  }
+
+  // Sanitize userId to prevent injection attacks
+  const sanitizedUserId = userId.trim().replace(/[^a-zA-Z0-9-_]/g, '');
+
+  if (sanitizedUserId === '') {
+    throw httpError('ValidationError', 'Invalid user ID provided');
+  }
+
+  return sanitizedUserId;
+}
+
+function parseBody(body) {
+  if (!body) {
+    return {};
+  }
+
+  if (typeof body === 'object') {
+    return body;
+  }
+
+  try {
+    const parsed = JSON.parse(body);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    throw httpError('ValidationError', 'Request body must be valid JSON');
+  }
+}
+
+/**
+ * Error helpers
+ */
+function httpError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+function statusCodeForError(error) {
+  switch (error.name) {
+    case 'ValidationError':
+      return 400;
+    case 'NotFoundError':
+      return 404;
+    case 'MethodNotAllowedError':
+      return 405;
+    case 'ConflictError':
+      return 409;
+    default:
+      return 500;
+  }
+}
+
+function buildResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    },
+    body: JSON.stringify(body)
+  };
+}
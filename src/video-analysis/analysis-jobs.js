@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+
+const dynamoClient = new DynamoDBClient({});
+const dynamoDB = DynamoDBDocumentClient.from(dynamoClient);
+
+const ANALYSIS_JOBS_TABLE = process.env.ANALYSIS_JOBS_TABLE;
+// GSI on sourceVideo (sorted by createdAt) for listing a video's runs
+const ANALYSIS_RUNS_INDEX = process.env.ANALYSIS_RUNS_INDEX || 'sourceVideo-createdAt-index';
+
+// A finalization that hasn't finished in this long is assumed to have died with its Lambda
+const FINALIZE_LEASE_MS = parseInt(process.env.FINALIZE_LEASE_MS || '900000', 10);
+
+/**
+ * Persisted state for one analysis run of one video, so the pipeline can be resumed
+ * by whichever invocation receives the last Rekognition completion notification.
+ *
+ * Status moves RUNNING -> FINALIZING -> COMPLETED | FAILED. Each Rekognition job
+ * is tracked under jobs.<type> with its own IN_PROGRESS / SUCCEEDED / FAILED status.
+ */
+
+/**
+ * Build an ID usable as a Rekognition JobTag ([a-zA-Z0-9_.\-:]+)
+ */
+function createAnalysisId(bucket, key) {
+  const keyHash = crypto.createHash('sha1').update(`${bucket}/${key}`).digest('hex').slice(0, 16);
+  return `${keyHash}-${Date.now()}`;
+}
+
+async function createAnalysisJob(state) {
+  const now = new Date().toISOString();
+  const item = {
+    ...state,
+    status: 'RUNNING',
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await dynamoDB.send(new PutCommand({
+    TableName: ANALYSIS_JOBS_TABLE,
+    Item: item,
+    ConditionExpression: 'attribute_not_exists(analysisId)'
+  }));
+
+  return item;
+}
+
+async function getAnalysisJob(analysisId) {
+  const result = await dynamoDB.send(new GetCommand({
+    TableName: ANALYSIS_JOBS_TABLE,
+    Key: { analysisId },
+    ConsistentRead: true
+  }));
+
+  return result.Item;
+}
+
+/**
+ * Every analysis run of a video (s3://bucket/key), newest first
+ */
+async function listAnalysisRuns(sourceVideo) {
+  const runs = [];
+  let exclusiveStartKey;
+
+  do {
+    const result = await dynamoDB.send(new QueryCommand({
+      TableName: ANALYSIS_JOBS_TABLE,
+      IndexName: ANALYSIS_RUNS_INDEX,
+      KeyConditionExpression: 'sourceVideo = :sourceVideo',
+      ExpressionAttributeValues: { ':sourceVideo': sourceVideo },
+      ScanIndexForward: false,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+
+    runs.push(...(result.Items || []));
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return runs.map(run => ({
+    analysisId: run.analysisId,
+    status: run.status,
+    reanalyze: run.reanalyze || false,
+    createdAt: run.createdAt,
+    updatedAt: run.updatedAt,
+    jobs: run.jobs,
+    ...(run.highlightsCount !== undefined && { highlightsCount: run.highlightsCount }),
+    ...(run.highlightStats && { highlightStats: run.highlightStats }),
+    ...(run.error && { error: run.error })
+  }));
+}
+
+/**
+ * Record a Rekognition job's final status. Returns the updated state, or null
+ * when the analysis or job is unknown (e.g. a notification for an older run).
+ */
+async function recordJobStatus(analysisId, jobType, jobId, jobStatus) {
+  try {
+    const result = await dynamoDB.send(new UpdateCommand({
+      TableName: ANALYSIS_JOBS_TABLE,
+      Key: { analysisId },
+      UpdateExpression: 'SET jobs.#type.#status = :status, jobs.#type.completedAt = :now, updatedAt = :now',
+      ConditionExpression: 'attribute_exists(analysisId) AND jobs.#type.jobId = :jobId',
+      ExpressionAttributeNames: {
+        '#type': jobType,
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':status': jobStatus,
+        ':jobId': jobId,
+        ':now': new Date().toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      console.warn(`Ignoring ${jobType} job ${jobId}: not part of analysis ${analysisId}`);
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Take the right to run the rest of the pipeline. Only one invocation wins;
+ * a stale FINALIZING lease can be taken over after FINALIZE_LEASE_MS.
+ */
+async function claimFinalization(analysisId) {
+  const now = Date.now();
+
+  try {
+    await dynamoDB.send(new UpdateCommand({
+      TableName: ANALYSIS_JOBS_TABLE,
+      Key: { analysisId },
+      UpdateExpression: 'SET #status = :finalizing, finalizeStartedAt = :now, updatedAt = :nowIso',
+      ConditionExpression: '#status = :running OR (#status = :finalizing AND finalizeStartedAt < :staleBefore)',
+      ExpressionAttributeNames: {
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':running': 'RUNNING',
+        ':finalizing': 'FINALIZING',
+        ':now': now,
+        ':nowIso': new Date(now).toISOString(),
+        ':staleBefore': now - FINALIZE_LEASE_MS
+      }
+    }));
+
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Give up the finalization after an error that a retry may not hit again, so the
+ * retried notification can claim it
+ */
+async function releaseFinalization(analysisId, errorMessage) {
+  await setAnalysisStatus(analysisId, 'RUNNING', { lastError: errorMessage });
+}
+
+async function markAnalysisCompleted(analysisId, summary) {
+  await setAnalysisStatus(analysisId, 'COMPLETED', summary);
+}
+
+async function markAnalysisFailed(analysisId, errorMessage) {
+  await setAnalysisStatus(analysisId, 'FAILED', { error: errorMessage });
+}
+
+async function setAnalysisStatus(analysisId, status, attributes = {}) {
+  const names = { '#status': 'status' };
+  const values = {
+    ':status': status,
+    ':now': new Date().toISOString()
+  };
+  const assignments = ['#status = :status', 'updatedAt = :now'];
+
+  Object.entries(attributes).forEach(([name, value], index) => {
+    names[`#attr${index}`] = name;
+    values[`:attr${index}`] = value;
+    assignments.push(`#attr${index} = :attr${index}`);
+  });
+
+  await dynamoDB.send(new UpdateCommand({
+    TableName: ANALYSIS_JOBS_TABLE,
+    Key: { analysisId },
+    UpdateExpression: `SET ${assignments.join(', ')}`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  }));
+}
+
+module.exports = {
+  createAnalysisId,
+  createAnalysisJob,
+  getAnalysisJob,
+  listAnalysisRuns,
+  recordJobStatus,
+  claimFinalization,
+  releaseFinalization,
+  markAnalysisCompleted,
+  markAnalysisFailed
+};
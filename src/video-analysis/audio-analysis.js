@@ -0,0 +1,399 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const { TranscribeClient, StartTranscriptionJobCommand, GetTranscriptionJobCommand } = require('@aws-sdk/client-transcribe');
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const transcribe = new TranscribeClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+const s3 = new S3Client({});
+
+const ANALYSIS_BUCKET = process.env.ANALYSIS_BUCKET;
+// 'auto' lets Transcribe identify the commentary language among TRANSCRIBE_LANGUAGE_OPTIONS;
+// a language code (e.g. en-US) pins it
+const TRANSCRIBE_LANGUAGE_CODE = process.env.TRANSCRIBE_LANGUAGE_CODE || 'auto';
+// Transcribe accepts one dialect per language here, and at least two languages
+const TRANSCRIBE_LANGUAGE_OPTIONS = (process.env.TRANSCRIBE_LANGUAGE_OPTIONS || 'en-US,es-US,pt-BR')
+  .split(',')
+  .map(code => code.trim())
+  .filter(Boolean);
+// ffmpeg is provided by a Lambda layer; without it only the transcript is used
+const FFMPEG_PATH = process.env.FFMPEG_PATH || '/opt/bin/ffmpeg';
+const AUDIO_ANALYSIS_TIMEOUT_MS = parseInt(process.env.AUDIO_ANALYSIS_TIMEOUT_MS || '120000', 10);
+const AUDIO_PEAK_SENSITIVITY = parseFloat(process.env.AUDIO_PEAK_SENSITIVITY || '2.5');
+
+if (TRANSCRIBE_LANGUAGE_CODE === 'auto') {
+  validateLanguageOptions(TRANSCRIBE_LANGUAGE_OPTIONS);
+}
+
+// Transcribe job statuses in the terms of Rekognition job statuses
+const TRANSCRIPTION_JOB_STATUSES = {
+  QUEUED: 'IN_PROGRESS',
+  IN_PROGRESS: 'IN_PROGRESS',
+  COMPLETED: 'SUCCEEDED',
+  FAILED: 'FAILED'
+};
+const TRANSCRIPTION_JOB_PREFIX = 'highlights-';
+const TRANSCRIPT_POLL_INTERVAL_MS = 5000;
+
+const SAMPLE_RATE = 8000;
+const ENVELOPE_WINDOW_SECONDS = 0.5;
+const SNIPPET_CONTEXT_SECONDS = 2;
+const MAX_SNIPPET_LENGTH = 500;
+
+// Commentary that usually accompanies a big moment
+const EXCITEMENT_TERMS = [
+  'goal', 'score', 'scores', 'wow', 'unbelievable', 'incredible', 'amazing', 'what a',
+  'oh my', 'yes', 'huge', 'dunk', 'slam', 'ace', 'home run', 'save', 'stunning', 'brilliant'
+];
+
+/**
+ * Language identification fails every job on a list Transcribe rejects, so a bad
+ * TRANSCRIBE_LANGUAGE_OPTIONS stops the function at load instead
+ */
+function validateLanguageOptions(languageOptions) {
+  if (languageOptions.length < 2) {
+    throw new Error('TRANSCRIBE_LANGUAGE_OPTIONS must list at least two language codes when TRANSCRIBE_LANGUAGE_CODE is auto');
+  }
+
+  const languages = languageOptions.map(code => code.split('-')[0].toLowerCase());
+  const repeated = languageOptions.filter((code, index) => languages.indexOf(languages[index]) !== index);
+
+  if (repeated.length > 0) {
+    throw new Error(`TRANSCRIBE_LANGUAGE_OPTIONS may list one dialect per language; remove ${repeated.join(', ')}`);
+  }
+}
+
+/**
+ * Start an asynchronous Transcribe job for the video's audio track. The job is
+ * named after the analysis, so its state change events lead back to it.
+ * Returns null when transcription can't be started so the visual path can carry on.
+ */
+async function startTranscription(bucket, key, analysisId) {
+  const keyHash = crypto.createHash('sha1').update(`${bucket}/${key}`).digest('hex').slice(0, 16);
+  const jobName = `${TRANSCRIPTION_JOB_PREFIX}${analysisId || `${keyHash}-${Date.now()}`}`;
+
+  try {
+    await transcribe.send(new StartTranscriptionJobCommand({
+      TranscriptionJobName: jobName,
+      ...(TRANSCRIBE_LANGUAGE_CODE === 'auto'
+        ? { IdentifyLanguage: true, LanguageOptions: TRANSCRIBE_LANGUAGE_OPTIONS }
+        : { LanguageCode: TRANSCRIBE_LANGUAGE_CODE }),
+      Media: { MediaFileUri: `s3://${bucket}/${key}` },
+      OutputBucketName: ANALYSIS_BUCKET || bucket,
+      OutputKey: `analysis/${key}.transcript.json`
+    }));
+
+    return jobName;
+  } catch (error) {
+    console.warn('Transcription could not be started, continuing without transcript:', error.message);
+    return null;
+  }
+}
+
+/**
+ * The analysis a transcription job was started for, or null for other jobs
+ */
+function getTranscriptionAnalysisId(jobName) {
+  return typeof jobName === 'string' && jobName.startsWith(TRANSCRIPTION_JOB_PREFIX)
+    ? jobName.slice(TRANSCRIPTION_JOB_PREFIX.length)
+    : null;
+}
+
+/**
+ * A Transcribe job's status as IN_PROGRESS, SUCCEEDED or FAILED
+ */
+function toJobStatus(transcriptionJobStatus) {
+  return TRANSCRIPTION_JOB_STATUSES[transcriptionJobStatus] || 'IN_PROGRESS';
+}
+
+async function getTranscriptionStatus(jobName) {
+  const response = await transcribe.send(new GetTranscriptionJobCommand({ TranscriptionJobName: jobName }));
+
+  return toJobStatus(response.TranscriptionJob.TranscriptionJobStatus);
+}
+
+/**
+ * Wait for transcription (until the deadline, in ms since the epoch) and build the
+ * loudness envelope, then find the audio peaks. Each part is optional: whatever
+ * succeeds is returned.
+ */
+async function analyzeAudio(transcriptionJobName, bucket, key, deadline) {
+  const [words, envelope] = await Promise.all([
+    getTranscriptWords(transcriptionJobName, deadline),
+    extractLoudnessEnvelope(bucket, key)
+  ]);
+
+  const peaks = findAudioPeaks(envelope);
+  console.log(`Audio analysis: ${words.length} transcribed words, ${peaks.length} loudness peaks`);
+
+  return { words, envelope, peaks };
+}
+
+/**
+ * Poll the Transcribe job and read the timestamped words from its output. A job
+ * that hasn't finished by the deadline is given up on.
+ */
+async function getTranscriptWords(jobName, deadline = Date.now() + AUDIO_ANALYSIS_TIMEOUT_MS) {
+  if (!jobName) {
+    return [];
+  }
+
+  try {
+    let job;
+
+    do {
+      const response = await transcribe.send(new GetTranscriptionJobCommand({ TranscriptionJobName: jobName }));
+      job = response.TranscriptionJob;
+
+      if (job.TranscriptionJobStatus === 'FAILED') {
+        throw new Error(job.FailureReason || 'Transcription job failed');
+      }
+
+      if (job.TranscriptionJobStatus !== 'COMPLETED') {
+        if (Date.now() + TRANSCRIPT_POLL_INTERVAL_MS > deadline) {
+          throw new Error(`transcription job ${jobName} did not finish in time`);
+        }
+
+        // Wait before checking again
+        await new Promise(resolve => setTimeout(resolve, TRANSCRIPT_POLL_INTERVAL_MS));
+      }
+    } while (job.TranscriptionJobStatus !== 'COMPLETED');
+
+    const { bucket, key } = parseTranscriptUri(job.Transcript.TranscriptFileUri);
+    const object = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    const transcript = JSON.parse(await object.Body.transformToString());
+
+    return parseTranscriptItems(transcript.results?.items || []);
+  } catch (error) {
+    console.warn('Transcript unavailable, continuing without it:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Transcribe writes https://s3.<region>.amazonaws.com/<bucket>/<key> URIs
+ */
+function parseTranscriptUri(uri) {
+  const url = new URL(uri);
+  const [bucket, ...keyParts] = url.pathname.replace(/^\//, '').split('/');
+
+  return {
+    bucket,
+    key: decodeURIComponent(keyParts.join('/'))
+  };
+}
+
+/**
+ * Flatten Transcribe items into words with times; punctuation sticks to the previous word
+ */
+function parseTranscriptItems(items) {
+  const words = [];
+
+  items.forEach(item => {
+    const content = item.alternatives?.[0]?.content || '';
+
+    if (item.type === 'punctuation') {
+      if (words.length > 0) {
+        words[words.length - 1].text += content;
+      }
+      return;
+    }
+
+    words.push({
+      text: content,
+      startTime: parseFloat(item.start_time),
+      endTime: parseFloat(item.end_time)
+    });
+  });
+
+  return words;
+}
+
+/**
+ * Decode the audio track with ffmpeg and compute an RMS loudness envelope (dBFS per window)
+ */
+async function extractLoudnessEnvelope(bucket, key) {
+  let sourceUrl;
+
+  try {
+    sourceUrl = await getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn: 900 });
+  } catch (error) {
+    console.warn('Could not sign source URL for audio analysis:', error.message);
+    return [];
+  }
+
+  return new Promise(resolve => {
+    const samplesPerWindow = SAMPLE_RATE * ENVELOPE_WINDOW_SECONDS;
+    const envelope = [];
+    let sumSquares = 0;
+    let sampleCount = 0;
+    let leftover = null;
+
+    const ffmpeg = spawn(FFMPEG_PATH, [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', sourceUrl,
+      '-vn', '-ac', '1', '-ar', String(SAMPLE_RATE),
+      '-f', 's16le', 'pipe:1'
+    ]);
+
+    const timer = setTimeout(() => {
+      console.warn('Audio envelope extraction timed out');
+      ffmpeg.kill('SIGKILL');
+    }, AUDIO_ANALYSIS_TIMEOUT_MS);
+
+    const pushWindow = () => {
+      const rms = Math.sqrt(sumSquares / sampleCount) / 32768;
+      envelope.push({
+        time: envelope.length * ENVELOPE_WINDOW_SECONDS,
+        db: rms > 0 ? 20 * Math.log10(rms) : -96
+      });
+      sumSquares = 0;
+      sampleCount = 0;
+    };
+
+    ffmpeg.stdout.on('data', chunk => {
+      // 16-bit samples can straddle chunk boundaries
+      const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = data.length - (data.length % 2);
+      leftover = usable < data.length ? data.subarray(usable) : null;
+
+      for (let offset = 0; offset < usable; offset += 2) {
+        const sample = data.readInt16LE(offset);
+        sumSquares += sample * sample;
+        sampleCount++;
+
+        if (sampleCount === samplesPerWindow) {
+          pushWindow();
+        }
+      }
+    });
+
+    ffmpeg.stderr.on('data', data => console.warn('ffmpeg:', data.toString().trim()));
+
+    ffmpeg.on('error', error => {
+      clearTimeout(timer);
+      console.warn('ffmpeg unavailable, continuing without loudness envelope:', error.message);
+      resolve([]);
+    });
+
+    ffmpeg.on('close', () => {
+      clearTimeout(timer);
+      if (sampleCount > 0) {
+        pushWindow();
+      }
+      resolve(envelope);
+    });
+  });
+}
+
+/**
+ * Find stretches that are much louder than the video's typical level.
+ * Uses median + k * MAD so a loud broadcast overall doesn't turn everything into a peak.
+ */
+function findAudioPeaks(envelope) {
+  if (envelope.length === 0) {
+    return [];
+  }
+
+  const levels = envelope.map(point => point.db);
+  const median = percentile(levels, 0.5);
+  const mad = percentile(levels.map(level => Math.abs(level - median)), 0.5) * 1.4826;
+  const threshold = median + AUDIO_PEAK_SENSITIVITY * Math.max(mad, 1);
+  const loudest = Math.max(...levels);
+  const peaks = [];
+  let current = null;
+
+  envelope.forEach(point => {
+    if (point.db >= threshold) {
+      if (!current) {
+        current = { startTime: point.time, endTime: point.time + ENVELOPE_WINDOW_SECONDS, peakDb: point.db };
+      } else {
+        current.endTime = point.time + ENVELOPE_WINDOW_SECONDS;
+        current.peakDb = Math.max(current.peakDb, point.db);
+      }
+    } else if (current) {
+      peaks.push(current);
+      current = null;
+    }
+  });
+
+  if (current) {
+    peaks.push(current);
+  }
+
+  return peaks.map(peak => ({
+    ...peak,
+    // 0-1: how close this peak gets to the loudest moment of the video
+    intensity: loudest > median ? (peak.peakDb - median) / (loudest - median) : 0
+  }));
+}
+
+function percentile(values, fraction) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+/**
+ * Fuse audio evidence into each highlight's confidence and attach the commentary snippet
+ */
+function fuseAudioSignals(highlights, audio, audioWeight) {
+  const hasLoudness = audio.peaks.length > 0 || audio.envelope.length > 0;
+  const hasTranscript = audio.words.length > 0;
+
+  if (!hasLoudness && !hasTranscript) {
+    return highlights;
+  }
+
+  return highlights.map(highlight => {
+    const overlapping = audio.peaks.filter(peak =>
+      peak.endTime >= highlight.startTime && peak.startTime <= highlight.endTime
+    );
+    const loudness = overlapping.reduce((max, peak) => Math.max(max, peak.intensity), 0);
+
+    const snippetWords = audio.words.filter(word =>
+      word.endTime >= highlight.startTime - SNIPPET_CONTEXT_SECONDS &&
+      word.startTime <= highlight.endTime + SNIPPET_CONTEXT_SECONDS
+    );
+    const snippet = snippetWords.map(word => word.text).join(' ').slice(0, MAX_SNIPPET_LENGTH);
+    const commentary = Math.min(1, countExcitementTerms(snippet) / 3);
+
+    let audioScore;
+    if (hasLoudness && hasTranscript) {
+      audioScore = 0.7 * loudness + 0.3 * commentary;
+    } else {
+      audioScore = hasLoudness ? loudness : commentary;
+    }
+
+    // Commentary alone is a weaker cue than the crowd, so it moves confidence less
+    const weight = hasLoudness ? audioWeight : audioWeight / 2;
+
+    return {
+      ...highlight,
+      confidence: highlight.confidence * (1 - weight) + audioScore * 100 * weight,
+      audioScore: Math.round(audioScore * 100) / 100,
+      audioPeakDb: overlapping.length > 0 ? Math.max(...overlapping.map(peak => peak.peakDb)) : null,
+      transcriptSnippet: snippet || undefined
+    };
+  });
+}
+
+function countExcitementTerms(text) {
+  const lower = text.toLowerCase();
+
+  return EXCITEMENT_TERMS.reduce((count, term) => {
+    const matches = lower.match(new RegExp(`\\b${term}\\b`, 'g'));
+    return count + (matches ? matches.length : 0);
+  }, 0) + (text.match(/!/g) || []).length;
+}
+
+module.exports = {
+  startTranscription,
+  getTranscriptionAnalysisId,
+  getTranscriptionStatus,
+  toJobStatus,
+  analyzeAudio,
+  findAudioPeaks,
+  fuseAudioSignals
+};
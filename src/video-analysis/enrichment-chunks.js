@@ -0,0 +1,85 @@
+/**
+ * Splits a game's highlights into enrichment requests that fit the model's
+ * output limit, and runs them with bounded concurrency. A long match can have
+ * dozens of highlights; one oversized request truncates and loses them all.
+ */
+
+// max_tokens for each enrichment request
+const ENRICHMENT_MAX_OUTPUT_TOKENS = parseInt(process.env.ENRICHMENT_MAX_OUTPUT_TOKENS || '2000', 10);
+// Prompt-side budget per request (instructions + game context)
+const ENRICHMENT_INPUT_TOKEN_BUDGET = parseInt(process.env.ENRICHMENT_INPUT_TOKEN_BUDGET || '12000', 10);
+const ENRICHMENT_MAX_CHUNK_SIZE = parseInt(process.env.ENRICHMENT_MAX_CHUNK_SIZE || '15', 10);
+const ENRICHMENT_CONCURRENCY = parseInt(process.env.ENRICHMENT_CONCURRENCY || '3', 10);
+
+// Rough estimates: ~4 characters per token, one insight is about 90 output tokens
+const CHARS_PER_TOKEN = 4;
+const OUTPUT_TOKENS_PER_HIGHLIGHT = 90;
+const PROMPT_OVERHEAD_TOKENS = 800;
+// Leave room for the model being wordier than estimated
+const OUTPUT_SAFETY_MARGIN = 0.8;
+
+/**
+ * Group game context entries into chunks that stay within the input and output budgets
+ * and ENRICHMENT_MAX_CHUNK_SIZE entries (or a lower `maxChunkSize`, e.g. the keyframe limit).
+ * An entry too large for any budget still gets a chunk of its own.
+ */
+function planEnrichmentChunks(entries, maxChunkSize = Infinity) {
+  const chunkSizeLimit = Math.min(ENRICHMENT_MAX_CHUNK_SIZE, maxChunkSize);
+  const outputBudget = ENRICHMENT_MAX_OUTPUT_TOKENS * OUTPUT_SAFETY_MARGIN;
+  const inputBudget = ENRICHMENT_INPUT_TOKEN_BUDGET - PROMPT_OVERHEAD_TOKENS;
+  const chunks = [];
+  let current = [];
+  let inputTokens = 0;
+
+  entries.forEach(entry => {
+    const entryTokens = estimateTokens(entry);
+    const fits = current.length < chunkSizeLimit &&
+      (current.length + 1) * OUTPUT_TOKENS_PER_HIGHLIGHT <= outputBudget &&
+      inputTokens + entryTokens <= inputBudget;
+
+    if (current.length > 0 && !fits) {
+      chunks.push(current);
+      current = [];
+      inputTokens = 0;
+    }
+
+    current.push(entry);
+    inputTokens += entryTokens;
+  });
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+function estimateTokens(value) {
+  return Math.ceil(JSON.stringify(value).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Like Promise.all over `items.map(fn)`, with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, fn, limit = ENRICHMENT_CONCURRENCY) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  ENRICHMENT_MAX_OUTPUT_TOKENS,
+  planEnrichmentChunks,
+  mapWithConcurrency
+};
@@ -0,0 +1,317 @@
+const { BedrockRuntimeClient, InvokeModelCommand, ConverseCommand } = require('@aws-sdk/client-bedrock-runtime');
+const {
+  INSIGHTS_TOOL,
+  buildInsightsPrompt,
+  validateHighlightInsights,
+  extractJsonObject
+} = require('./highlight-insights');
+const { ENRICHMENT_MAX_OUTPUT_TOKENS } = require('./enrichment-chunks');
+
+const bedrockRuntime = new BedrockRuntimeClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const BEDROCK_MODEL_ID = process.env.BEDROCK_MODEL_ID || 'anthropic.claude-3-haiku-20240307-v1:0';
+// Initial request plus corrections when the model's answer fails validation
+const BEDROCK_MAX_ATTEMPTS = parseInt(process.env.BEDROCK_MAX_ATTEMPTS || '2', 10);
+const ENRICHMENT_PROVIDER = process.env.ENRICHMENT_PROVIDER || 'bedrock';
+
+// Converse models that accept images alongside text
+const VISION_MODEL_PATTERN = /(nova-(lite|pro|premier)|llama3-2-(11|90)b|pixtral|claude-3)/;
+// Converse models that accept a toolConfig; others reject the request, so they are asked for JSON text
+const TOOL_USE_MODEL_PATTERN = /(claude-(3|sonnet|opus|haiku)|nova-(micro|lite|pro|premier)|llama3-1-|llama3-2-(11|90)b|llama3-3-|llama4-|mistral-large|pixtral|command-r|jamba|palmyra-x)/;
+
+/**
+ * Highlight enrichment providers. Each one turns a game context (highlights with
+ * ids, labels, confidence, commentary) plus optional keyframes into insights keyed
+ * by highlight id, following the contract in highlight-insights.js:
+ *
+ *   { name, aiGenerated, supportsImages, generateInsights({ gameContext, keyframes }) }
+ *     -> { [id]: { excitementLevel, playType, title, targetAudience } }
+ *
+ * Highlights missing from the result are left to the caller's fallback.
+ */
+
+/**
+ * Claude models through InvokeModel with a forced tool call
+ */
+const bedrockAnthropicProvider = {
+  name: 'bedrock-anthropic',
+  aiGenerated: true,
+  supportsImages: true,
+
+  async generateInsights({ gameContext, keyframes }) {
+    return await runInsightsConversation({
+      content: buildPromptContent(gameContext, keyframes),
+      highlightIds: gameContext.highlights.map(h => h.id),
+
+      toMessage(role, content) {
+        return {
+          role,
+          content: content.map(block => (block.type === 'image'
+            ? { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: block.data } }
+            : { type: 'text', text: block.text }))
+        };
+      },
+
+      async invoke(messages) {
+        const response = await bedrockRuntime.send(new InvokeModelCommand({
+          modelId: BEDROCK_MODEL_ID,
+          contentType: 'application/json',
+          accept: 'application/json',
+          body: JSON.stringify({
+            anthropic_version: 'bedrock-2023-05-31',
+            max_tokens: ENRICHMENT_MAX_OUTPUT_TOKENS,
+            tools: [INSIGHTS_TOOL],
+            tool_choice: { type: 'tool', name: INSIGHTS_TOOL.name },
+            messages
+          })
+        }));
+        const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+        const content = responseBody.content || [];
+        const toolUse = content.find(block => block.type === 'tool_use' && block.name === INSIGHTS_TOOL.name);
+
+        return {
+          message: { role: 'assistant', content },
+          toolUse: toolUse && { id: toolUse.id, input: toolUse.input },
+          text: content.filter(block => block.type === 'text').map(block => block.text).join('\n')
+        };
+      },
+
+      toolErrorMessage(toolUse, feedback) {
+        return {
+          role: 'user',
+          content: [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: feedback }]
+        };
+      }
+    });
+  }
+};
+
+/**
+ * Any Bedrock model family behind the Converse API (Amazon Nova, Meta Llama,
+ * Mistral, Cohere...). Tool use is offered but not forced to models that support
+ * it, since not every family supports forcing it; other models are asked for the
+ * JSON in text, which is accepted from tool-capable models as well.
+ */
+const bedrockConverseProvider = {
+  name: 'bedrock-converse',
+  aiGenerated: true,
+  supportsImages: VISION_MODEL_PATTERN.test(BEDROCK_MODEL_ID),
+
+  async generateInsights({ gameContext, keyframes }) {
+    const supportsTools = TOOL_USE_MODEL_PATTERN.test(BEDROCK_MODEL_ID);
+
+    return await runInsightsConversation({
+      content: buildPromptContent(gameContext, keyframes, { tools: supportsTools }),
+      highlightIds: gameContext.highlights.map(h => h.id),
+
+      toMessage(role, content) {
+        return {
+          role,
+          content: content.map(block => (block.type === 'image'
+            ? { image: { format: 'jpeg', source: { bytes: Buffer.from(block.data, 'base64') } } }
+            : { text: block.text }))
+        };
+      },
+
+      async invoke(messages) {
+        const response = await bedrockRuntime.send(new ConverseCommand({
+          modelId: BEDROCK_MODEL_ID,
+          messages,
+          inferenceConfig: { maxTokens: ENRICHMENT_MAX_OUTPUT_TOKENS },
+          ...(supportsTools && {
+            toolConfig: {
+              tools: [{
+                toolSpec: {
+                  name: INSIGHTS_TOOL.name,
+                  description: INSIGHTS_TOOL.description,
+                  inputSchema: { json: INSIGHTS_TOOL.input_schema }
+                }
+              }]
+            }
+          })
+        }));
+        const message = response.output?.message || { role: 'assistant', content: [] };
+        const toolUse = message.content.find(block => block.toolUse?.name === INSIGHTS_TOOL.name)?.toolUse;
+
+        return {
+          message,
+          toolUse: toolUse && { id: toolUse.toolUseId, input: toolUse.input },
+          text: message.content.filter(block => block.text).map(block => block.text).join('\n')
+        };
+      },
+
+      toolErrorMessage(toolUse, feedback) {
+        return {
+          role: 'user',
+          content: [{ toolResult: { toolUseId: toolUse.id, content: [{ text: feedback }], status: 'error' } }]
+        };
+      }
+    });
+  }
+};
+
+/**
+ * Deterministic, offline insights from the detection data alone. Used to run the
+ * pipeline without model access and as a cost/quality baseline.
+ */
+const rulesProvider = {
+  name: 'rules',
+  aiGenerated: false,
+  supportsImages: false,
+
+  async generateInsights({ gameContext }) {
+    const insights = {};
+
+    gameContext.highlights.forEach(highlight => {
+      const playType = inferPlayType(highlight);
+      const excitementLevel = Math.min(10, Math.max(1, Math.round((highlight.confidence || 0) / 10)));
+
+      insights[highlight.id] = {
+        excitementLevel,
+        playType,
+        title: `${formatWords(playType === 'general' ? gameContext.gameType : playType)} at ${formatClock(highlight.startTime)}`,
+        targetAudience: excitementLevel >= 8 ? 'all fans' : `${formatWords(gameContext.gameType)} fans`
+      };
+    });
+
+    return insights;
+  }
+};
+
+// Commentary words and Rekognition labels that point to a play type, most specific first
+const PLAY_TYPE_CUES = [
+  { playType: 'home-run', commentary: ['home run', 'homer'], labels: [] },
+  { playType: 'dunk', commentary: ['dunk', 'slam'], labels: ['Dunk'] },
+  { playType: 'three-pointer', commentary: ['three pointer', 'from downtown'], labels: [] },
+  { playType: 'ace', commentary: ['ace'], labels: [] },
+  { playType: 'save', commentary: ['save', 'saved', 'stopped'], labels: [] },
+  { playType: 'goal', commentary: ['goal', 'scores'], labels: ['Goal'] },
+  { playType: 'celebration', commentary: [], labels: ['Celebration'] }
+];
+
+function inferPlayType(highlight) {
+  const commentary = (highlight.commentary || '').toLowerCase();
+  const labels = highlight.labels || [];
+
+  const byCommentary = PLAY_TYPE_CUES.find(cue =>
+    cue.commentary.some(term => new RegExp(`\\b${term}\\b`).test(commentary))
+  );
+  if (byCommentary) {
+    return byCommentary.playType;
+  }
+
+  const byLabel = PLAY_TYPE_CUES.find(cue => cue.labels.some(label => labels.includes(label)));
+  return byLabel ? byLabel.playType : 'general';
+}
+
+function formatWords(value) {
+  return value.split(/[-_]/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+function formatClock(seconds) {
+  const wholeSeconds = Math.floor(seconds || 0);
+  return `${Math.floor(wholeSeconds / 60)}:${String(wholeSeconds % 60).padStart(2, '0')}`;
+}
+
+const PROVIDERS = {
+  'bedrock-anthropic': bedrockAnthropicProvider,
+  'bedrock-converse': bedrockConverseProvider,
+  rules: rulesProvider
+};
+
+// Fail at load rather than after the video has been analyzed
+getEnrichmentProvider();
+
+/**
+ * Provider selected by ENRICHMENT_PROVIDER. "bedrock" picks the Anthropic or
+ * Converse provider from BEDROCK_MODEL_ID (including cross-region profiles like us.anthropic.*).
+ */
+function getEnrichmentProvider(name = ENRICHMENT_PROVIDER) {
+  if (name === 'bedrock') {
+    return /(^|\.)anthropic\./.test(BEDROCK_MODEL_ID) ? bedrockAnthropicProvider : bedrockConverseProvider;
+  }
+
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown ENRICHMENT_PROVIDER '${name}'. Expected bedrock, ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Keyframe images (each group introduced by its highlight id) followed by the instructions,
+ * as provider-neutral { type: 'text' | 'image' } blocks
+ */
+function buildPromptContent(gameContext, keyframes = {}, options) {
+  const content = [];
+
+  Object.entries(keyframes).forEach(([highlightId, frames]) => {
+    content.push({
+      type: 'text',
+      text: `Keyframes for highlight ${highlightId} at ${frames.map(frame => `${frame.time}s`).join(', ')}:`
+    });
+
+    frames.forEach(frame => content.push({ type: 'image', data: frame.data }));
+  });
+
+  content.push({ type: 'text', text: buildInsightsPrompt(gameContext, options) });
+  return content;
+}
+
+/**
+ * Ask for insights, validate them, and send problems back for correction until every
+ * highlight has a valid insight or BEDROCK_MAX_ATTEMPTS calls have been made.
+ * The adapter maps the conversation onto one model API.
+ */
+async function runInsightsConversation({ content, highlightIds, toMessage, invoke, toolErrorMessage }) {
+  const messages = [toMessage('user', content)];
+  let insights = {};
+
+  for (let attempt = 1; attempt <= BEDROCK_MAX_ATTEMPTS; attempt++) {
+    console.log(`Calling Bedrock for highlight enhancement (attempt ${attempt})...`);
+    let reply;
+
+    try {
+      reply = await invoke(messages);
+    } catch (error) {
+      if (attempt === 1) {
+        throw error;
+      }
+      // Keep what the earlier attempts produced
+      console.warn('Bedrock correction request failed:', error.message);
+      break;
+    }
+
+    // A model that answered in prose may still have written the JSON out
+    const output = reply.toolUse ? reply.toolUse.input : extractJsonObject(reply.text);
+    const result = validateHighlightInsights(output, highlightIds);
+    insights = { ...result.insights, ...insights };
+
+    const missingIds = highlightIds.filter(id => !insights[id]);
+    if (missingIds.length === 0) {
+      break;
+    }
+
+    console.warn(`Bedrock insights incomplete for ${missingIds.join(', ')}:`, result.errors);
+
+    // Send the problems back and ask for the highlights still missing
+    const feedback = `These problems were found: ${result.errors.join('; ')}. ` + (reply.toolUse
+      ? `Call ${INSIGHTS_TOOL.name} again with corrected entries for highlight ids: ${missingIds.join(', ')}.`
+      : `Reply with only the JSON object again, with corrected entries for highlight ids: ${missingIds.join(', ')}.`);
+
+    messages.push(reply.message);
+    messages.push(reply.toolUse
+      ? toolErrorMessage(reply.toolUse, feedback)
+      : toMessage('user', [{ type: 'text', text: feedback }]));
+  }
+
+  return insights;
+}
+
+module.exports = {
+  getEnrichmentProvider
+};
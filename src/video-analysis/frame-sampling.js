@@ -0,0 +1,126 @@
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { RekognitionClient, DetectLabelsCommand } = require('@aws-sdk/client-rekognition');
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { mapWithConcurrency } = require('./enrichment-chunks');
+
+const rekognition = new RekognitionClient({});
+const s3 = new S3Client({});
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || '/opt/bin/ffmpeg';
+// Frames per second of video sent to image label detection
+const LIVE_FRAME_SAMPLE_RATE = parseFloat(process.env.LIVE_FRAME_SAMPLE_RATE || '1');
+// DetectLabels requests in flight at once; keep under the account's Rekognition TPS quota
+const LIVE_FRAME_CONCURRENCY = parseInt(process.env.LIVE_FRAME_CONCURRENCY || '5', 10);
+const LIVE_FRAME_WIDTH = parseInt(process.env.LIVE_FRAME_WIDTH || '960', 10);
+const FRAME_SAMPLING_TIMEOUT_MS = 30000;
+const MAX_LABELS_PER_FRAME = 50;
+
+if (!(LIVE_FRAME_SAMPLE_RATE > 0)) {
+  throw new Error('LIVE_FRAME_SAMPLE_RATE must be a positive number of frames per second');
+}
+
+/**
+ * Label detection on frames sampled from a video, for when Rekognition video jobs
+ * are too slow: a 30 second segment at 1 frame per second is 30 image requests that
+ * finish in seconds instead of a job that takes minutes.
+ *
+ * Results come back in the shape of GetLabelDetection (labels by timestamp) and
+ * GetPersonTracking, so the same clustering turns them into highlights. Images have
+ * no person tracking; a frame's Person instances are numbered instead, so the
+ * number of people in a highlight is the most seen in one frame.
+ */
+async function detectFrameLabels(bucket, key, minConfidence) {
+  const sourceUrl = await getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn: 900 });
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'frames-'));
+
+  try {
+    const framePaths = await sampleFrames(sourceUrl, workDir);
+    const frameLabels = await mapWithConcurrency(framePaths, async (framePath, index) => {
+      const timestamp = Math.round((index * 1000) / LIVE_FRAME_SAMPLE_RATE);
+
+      try {
+        const response = await rekognition.send(new DetectLabelsCommand({
+          Image: { Bytes: await fs.readFile(framePath) },
+          MinConfidence: minConfidence,
+          MaxLabels: MAX_LABELS_PER_FRAME
+        }));
+
+        return { timestamp, labels: response.Labels || [] };
+      } catch (error) {
+        console.warn(`Labels for the frame at ${timestamp}ms could not be detected:`, error.message);
+        return { timestamp, labels: [] };
+      }
+    }, LIVE_FRAME_CONCURRENCY);
+
+    console.log(`Detected labels on ${framePaths.length} frames of ${key} at ${LIVE_FRAME_SAMPLE_RATE} fps`);
+
+    return {
+      frameCount: framePaths.length,
+      labelResults: {
+        VideoMetadata: { DurationMillis: Math.round((framePaths.length * 1000) / LIVE_FRAME_SAMPLE_RATE) },
+        Labels: frameLabels.flatMap(({ timestamp, labels }) => labels.map(label => ({
+          Timestamp: timestamp,
+          Label: label,
+          Confidence: label.Confidence
+        })))
+      },
+      personResults: {
+        Persons: frameLabels.flatMap(({ timestamp, labels }) => {
+          const person = labels.find(label => label.Name === 'Person');
+          return (person?.Instances || []).map((instance, index) => ({ Timestamp: timestamp, Person: { Index: index } }));
+        })
+      }
+    };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Decode the video once, writing LIVE_FRAME_SAMPLE_RATE scaled JPEGs per second.
+ * Frame n (from 0) shows the video at n / LIVE_FRAME_SAMPLE_RATE seconds.
+ */
+function sampleFrames(sourceUrl, workDir) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(FFMPEG_PATH, [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', sourceUrl,
+      '-an',
+      '-vf', `fps=${LIVE_FRAME_SAMPLE_RATE},scale=${LIVE_FRAME_WIDTH}:-2`,
+      '-q:v', '4',
+      path.join(workDir, 'frame-%05d.jpg')
+    ]);
+
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+    }, FRAME_SAMPLING_TIMEOUT_MS);
+
+    ffmpeg.stderr.on('data', data => console.warn('ffmpeg:', data.toString().trim()));
+
+    ffmpeg.on('error', error => {
+      clearTimeout(timer);
+      reject(error.code === 'ENOENT' ? new Error(`ffmpeg not found at ${FFMPEG_PATH}`) : error);
+    });
+
+    ffmpeg.on('close', code => {
+      clearTimeout(timer);
+
+      if (code !== 0) {
+        reject(new Error(`ffmpeg exited with ${code === null ? 'a timeout' : `code ${code}`}`));
+        return;
+      }
+
+      fs.readdir(workDir)
+        .then(files => files.filter(name => name.endsWith('.jpg')).sort().map(name => path.join(workDir, name)))
+        .then(resolve, reject);
+    });
+  });
+}
+
+module.exports = {
+  detectFrameLabels
+};
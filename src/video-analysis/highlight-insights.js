@@ -0,0 +1,181 @@
+/**
+ * Contract for AI-generated highlight insights. The model is asked to answer
+ * through the record_highlight_insights tool, whose input must match
+ * INSIGHTS_SCHEMA; each insight refers back to its highlight by `id`.
+ */
+
+const PLAY_TYPES = [
+  'goal', 'shot', 'save', 'assist', 'tackle', 'skill-move', 'dunk', 'three-pointer',
+  'block', 'ace', 'rally', 'home-run', 'strikeout', 'catch', 'check', 'penalty',
+  'score', 'celebration', 'general'
+];
+
+const MAX_TITLE_LENGTH = 100;
+
+const INSIGHTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    highlights: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'The id of the highlight this insight is for' },
+          excitementLevel: { type: 'integer', minimum: 1, maximum: 10 },
+          playType: { type: 'string', enum: PLAY_TYPES },
+          title: { type: 'string', maxLength: MAX_TITLE_LENGTH },
+          targetAudience: { type: 'string', description: 'Who the clip appeals to most, e.g. casual fans' }
+        },
+        required: ['id', 'excitementLevel', 'playType', 'title']
+      }
+    }
+  },
+  required: ['highlights']
+};
+
+const INSIGHTS_TOOL = {
+  name: 'record_highlight_insights',
+  description: 'Record excitement level, play type, title and target audience for each highlight, keyed by highlight id.',
+  input_schema: INSIGHTS_SCHEMA
+};
+
+/**
+ * Instructions shared by every model provider. `gameContext.highlights` carry the ids
+ * the insights must refer back to. Models called without the tool get its schema
+ * to answer in JSON text instead.
+ */
+function buildInsightsPrompt(gameContext, { tools = true } = {}) {
+  const answerFormat = tools
+    ? `Record your analysis with the ${INSIGHTS_TOOL.name} tool, with one entry per highlight id. If you cannot call tools, reply with only the JSON object the tool expects.`
+    : `Reply with only a JSON object matching this JSON schema, with one entry per highlight id:\n${JSON.stringify(INSIGHTS_SCHEMA)}`;
+
+  return `Analyze these gaming video highlights and provide enhanced context:
+
+Game Context: ${JSON.stringify(gameContext, null, 2)}
+
+Where a highlight includes commentary, it is the broadcast transcript around that moment - use it to ground the play type and title.
+
+Where a highlight includes playByPlay, those are the official play-by-play descriptions of what happened during it - prefer them over labels when naming the play.
+
+Where a highlight includes scoreEvents, the score changed during it - it is a scoring play, and the title should reflect the new score.
+
+Where keyframes are attached for a highlight, they show what happened on screen during it - base the excitement level, play type and title on what is visible in them rather than on the labels alone.
+
+For each highlight, provide:
+1. Excitement level (1-10)
+2. Play type classification
+3. Recommended title
+4. Target audience appeal
+
+${answerFormat}`;
+}
+
+/**
+ * Check a model response against INSIGHTS_SCHEMA. Small deviations are repaired
+ * (numeric strings, out-of-range levels, play type spelling, long titles);
+ * anything else is reported in `errors` so the caller can ask again.
+ * Returns { insights: { [id]: insight }, errors: [string] }.
+ */
+function validateHighlightInsights(response, expectedIds) {
+  const insights = {};
+  const errors = [];
+
+  if (!response || !Array.isArray(response.highlights)) {
+    return { insights, errors: ['Response must be an object with a "highlights" array'] };
+  }
+
+  response.highlights.forEach((item, position) => {
+    const id = item && typeof item.id === 'string' ? item.id : null;
+
+    if (!id || !expectedIds.includes(id)) {
+      errors.push(`highlights[${position}]: unknown or missing id ${JSON.stringify(item?.id)}`);
+      return;
+    }
+
+    if (insights[id]) {
+      errors.push(`${id}: returned more than once`);
+      return;
+    }
+
+    const itemErrors = [];
+    const excitementLevel = repairExcitementLevel(item.excitementLevel);
+    const title = typeof item.title === 'string' ? item.title.trim().slice(0, MAX_TITLE_LENGTH) : '';
+
+    if (excitementLevel === null) {
+      itemErrors.push(`${id}: excitementLevel must be an integer from 1 to 10`);
+    }
+
+    if (!title) {
+      itemErrors.push(`${id}: title is required`);
+    }
+
+    if (typeof item.playType !== 'string') {
+      itemErrors.push(`${id}: playType must be one of ${PLAY_TYPES.join(', ')}`);
+    }
+
+    if (itemErrors.length > 0) {
+      errors.push(...itemErrors);
+      return;
+    }
+
+    insights[id] = {
+      excitementLevel,
+      playType: repairPlayType(item.playType),
+      title,
+      targetAudience: typeof item.targetAudience === 'string' && item.targetAudience.trim()
+        ? item.targetAudience.trim()
+        : 'general'
+    };
+  });
+
+  expectedIds
+    .filter(id => !insights[id] && !errors.some(error => error.startsWith(`${id}:`)))
+    .forEach(id => errors.push(`${id}: no insight returned`));
+
+  return { insights, errors };
+}
+
+function repairExcitementLevel(value) {
+  const level = typeof value === 'string' ? parseFloat(value) : value;
+
+  if (typeof level !== 'number' || !Number.isFinite(level)) {
+    return null;
+  }
+
+  return Math.min(10, Math.max(1, Math.round(level)));
+}
+
+/**
+ * "Skill Move" / "skill_move" -> "skill-move"; anything outside the list becomes "general"
+ */
+function repairPlayType(value) {
+  const playType = value.trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return PLAY_TYPES.includes(playType) ? playType : 'general';
+}
+
+/**
+ * Pull a JSON object out of a free-text answer, for models that ignore the tool
+ */
+function extractJsonObject(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  PLAY_TYPES,
+  INSIGHTS_SCHEMA,
+  INSIGHTS_TOOL,
+  buildInsightsPrompt,
+  validateHighlightInsights,
+  extractJsonObject
+};
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, PutCommand, UpdateCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+
+const dynamoClient = new DynamoDBClient({});
+const dynamoDB = DynamoDBDocumentClient.from(dynamoClient, {
+  marshallOptions: { removeUndefinedValues: true }
+});
+
+const HIGHLIGHTS_TABLE = process.env.HIGHLIGHTS_TABLE;
+const HIGHLIGHTS_GAME_INDEX = process.env.HIGHLIGHTS_GAME_INDEX || 'gameId-timestamp-index';
+
+// Attributes a re-analysis must not touch: identity, creation time and clip state
+const PRESERVED_ATTRIBUTES = ['highlightId', 'timestamp', 'processed', 'clipGenerated', 'clipStatus'];
+// Clip of a window that moved, cleared so the clip processor cuts the new window
+const CLIP_ATTRIBUTES = ['clipUrl', 'thumbnailUrl', 'mediaConvertJobId', 'clipGenerationStarted', 'clipGeneratedAt', 'clipError'];
+// Share of the combined window two windows of the same video must overlap to be one highlight
+const MIN_WINDOW_OVERLAP = 0.5;
+
+/**
+ * Highlight records keyed by the video and window they cover, so analyzing the same
+ * video again finds the same records instead of creating (and clipping) duplicates.
+ * Window edges can shift between runs (shot snapping, padding, profile changes), so
+ * a window that mostly overlaps a stored one of the same video takes its ID.
+ *
+ * A normal run only adds highlights that don't exist yet. A re-analysis also
+ * refreshes the metadata of existing ones (bumping `version`) and marks highlights
+ * of earlier runs it no longer finds as superseded.
+ */
+
+/**
+ * Deterministic ID from the source video and the window, to the whole second
+ */
+function buildHighlightId(gameId, sourceVideo, startTime, endTime) {
+  const window = `${Math.round(startTime)}-${Math.round(endTime)}`;
+  const hash = crypto.createHash('sha1').update(`${sourceVideo}#${window}`).digest('hex').slice(0, 16);
+
+  return `${gameId}-${hash}`;
+}
+
+/**
+ * The video's stored highlights that no run has superseded
+ */
+async function findStoredHighlights(gameId, sourceVideo) {
+  const highlights = [];
+  let exclusiveStartKey;
+
+  do {
+    const result = await dynamoDB.send(new QueryCommand({
+      TableName: HIGHLIGHTS_TABLE,
+      IndexName: HIGHLIGHTS_GAME_INDEX,
+      KeyConditionExpression: 'gameId = :gameId',
+      FilterExpression: 'sourceVideo = :sourceVideo AND attribute_not_exists(superseded)',
+      ExpressionAttributeValues: {
+        ':gameId': gameId,
+        ':sourceVideo': sourceVideo
+      },
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+
+    highlights.push(...(result.Items || []));
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return highlights;
+}
+
+/**
+ * Give each new highlight the ID of the stored highlight whose window it mostly
+ * overlaps, so a re-run with shifted edges updates that record instead of adding
+ * another. Each stored highlight is claimed once; exact ID matches claim first.
+ */
+function matchStoredHighlights(items, stored) {
+  const candidates = stored.filter(highlight => !highlight.provisional);
+  const storedIds = new Set(candidates.map(highlight => highlight.highlightId));
+  const claimed = new Set(items.map(item => item.highlightId).filter(id => storedIds.has(id)));
+
+  return items.map(item => {
+    if (storedIds.has(item.highlightId)) {
+      return item;
+    }
+
+    const match = candidates
+      .filter(highlight => !claimed.has(highlight.highlightId))
+      .map(highlight => ({ highlight, overlap: windowOverlap(item, highlight) }))
+      .filter(candidate => candidate.overlap >= MIN_WINDOW_OVERLAP)
+      .sort((a, b) => b.overlap - a.overlap)[0];
+
+    if (!match) {
+      return item;
+    }
+
+    claimed.add(match.highlight.highlightId);
+    return { ...item, highlightId: match.highlight.highlightId };
+  });
+}
+
+/**
+ * Overlap of two windows as a share of the time they cover together
+ */
+function windowOverlap(a, b) {
+  const overlap = Math.min(a.endTime, b.endTime) - Math.max(a.startTime, b.startTime);
+  const union = Math.max(a.endTime, b.endTime) - Math.min(a.startTime, b.startTime);
+
+  return overlap > 0 && union > 0 ? overlap / union : 0;
+}
+
+/**
+ * Write a highlight unless one with its ID exists. Returns whether it was written.
+ */
+async function putHighlightIfNew(item) {
+  try {
+    await dynamoDB.send(new PutCommand({
+      TableName: HIGHLIGHTS_TABLE,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(highlightId)'
+    }));
+
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Replace an existing highlight's analysis metadata with a re-analysis result,
+ * and bring it back if an earlier run superseded it. The clip is kept unless the
+ * window moved from the `stored` one.
+ */
+async function updateHighlightAnalysis(item, stored) {
+  const names = {};
+  const values = {
+    ':one': 1,
+    ':now': new Date().toISOString()
+  };
+  const assignments = ['version = if_not_exists(version, :one) + :one', 'updatedAt = :now'];
+  const removals = ['superseded', 'supersededBy', 'supersededAt'];
+
+  if (stored && (stored.startTime !== item.startTime || stored.endTime !== item.endTime)) {
+    values[':false'] = false;
+    values[':pending'] = 'pending';
+    assignments.push('clipGenerated = :false', 'clipStatus = :pending');
+    removals.push(...CLIP_ATTRIBUTES);
+  }
+
+  Object.entries(item)
+    .filter(([name]) => !PRESERVED_ATTRIBUTES.includes(name) && name !== 'version')
+    .forEach(([name, value], index) => {
+      names[`#attr${index}`] = name;
+
+      // Attributes this run didn't produce shouldn't keep the previous run's values
+      if (value === undefined) {
+        removals.push(`#attr${index}`);
+      } else {
+        values[`:attr${index}`] = value;
+        assignments.push(`#attr${index} = :attr${index}`);
+      }
+    });
+
+  await dynamoDB.send(new UpdateCommand({
+    TableName: HIGHLIGHTS_TABLE,
+    Key: { highlightId: item.highlightId },
+    UpdateExpression: `SET ${assignments.join(', ')} REMOVE ${removals.join(', ')}`,
+    ConditionExpression: 'attribute_exists(highlightId)',
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  }));
+}
+
+/**
+ * Mark the video's highlights that aren't in `currentIds` as superseded by `analysisId`.
+ * Returns how many were marked.
+ */
+async function supersedeHighlights(gameId, sourceVideo, currentIds, analysisId) {
+  const stale = (await findStoredHighlights(gameId, sourceVideo))
+    .filter(highlight => !currentIds.includes(highlight.highlightId));
+
+  for (const highlight of stale) {
+    await dynamoDB.send(new UpdateCommand({
+      TableName: HIGHLIGHTS_TABLE,
+      Key: { highlightId: highlight.highlightId },
+      UpdateExpression: 'SET superseded = :true, supersededBy = :analysisId, supersededAt = :now',
+      ExpressionAttributeValues: {
+        ':true': true,
+        ':analysisId': analysisId,
+        ':now': new Date().toISOString()
+      }
+    }));
+  }
+
+  return stale.length;
+}
+
+module.exports = {
+  buildHighlightId,
+  findStoredHighlights,
+  matchStoredHighlights,
+  putHighlightIfNew,
+  updateHighlightAnalysis,
+  supersedeHighlights
+};
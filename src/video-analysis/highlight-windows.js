@@ -0,0 +1,191 @@
+/**
+ * Turns raw label clusters into clip windows: pre-roll/post-roll padding,
+ * optional snapping to shot boundaries, trimming around excluded ranges
+ * (technical cues such as black frames or credits), clamping to the video
+ * and merging overlaps.
+ *
+ * Windows are plain highlight objects with startTime/endTime in seconds.
+ * `labelHits` (number of label detections behind a window) is used to weight
+ * confidence when windows are merged.
+ */
+
+/**
+ * Apply padding, snapping and merging to a list of highlight windows
+ */
+function buildHighlightWindows(highlights, options) {
+  const {
+    paddingBefore = 0,
+    paddingAfter = 0,
+    videoDuration,
+    shots = [],
+    snapTolerance = 0,
+    excludedRanges = []
+  } = options;
+
+  const windows = highlights.map(highlight => {
+    let startTime = highlight.startTime - paddingBefore;
+    let endTime = highlight.endTime + paddingAfter;
+
+    if (shots.length > 0 && snapTolerance > 0) {
+      const snapped = snapToShots(startTime, endTime, shots, snapTolerance);
+      startTime = snapped.startTime;
+      endTime = snapped.endTime;
+    }
+
+    const trimmed = trimExcludedRanges(startTime, endTime, excludedRanges);
+
+    if (!trimmed) {
+      return null;
+    }
+
+    const clamped = clampWindow(trimmed.startTime, trimmed.endTime, videoDuration);
+
+    return {
+      ...highlight,
+      startTime: clamped.startTime,
+      endTime: clamped.endTime,
+      duration: round(clamped.endTime - clamped.startTime)
+    };
+  });
+
+  return mergeOverlappingWindows(windows.filter(window => window && window.duration > 0));
+}
+
+/**
+ * Cut excluded ranges out of a window. When a range falls in the middle,
+ * keep the longer side. Returns null when nothing usable is left.
+ */
+function trimExcludedRanges(startTime, endTime, excludedRanges) {
+  let start = startTime;
+  let end = endTime;
+
+  excludedRanges.forEach(range => {
+    if (range.endTime <= start || range.startTime >= end) {
+      return;
+    }
+
+    if (range.startTime <= start && range.endTime >= end) {
+      end = start;
+    } else if (range.startTime <= start) {
+      start = range.endTime;
+    } else if (range.endTime >= end) {
+      end = range.startTime;
+    } else if (range.startTime - start >= end - range.endTime) {
+      end = range.startTime;
+    } else {
+      start = range.endTime;
+    }
+  });
+
+  return end > start ? { startTime: start, endTime: end } : null;
+}
+
+/**
+ * Keep a window inside the source video
+ */
+function clampWindow(startTime, endTime, videoDuration) {
+  const start = Math.max(0, startTime);
+  const end = videoDuration > 0 ? Math.min(endTime, videoDuration) : endTime;
+
+  return {
+    startTime: round(start),
+    endTime: round(Math.max(start, end))
+  };
+}
+
+/**
+ * Move window edges onto nearby shot cuts so clips don't start or end mid-shot.
+ * Starts prefer the cut before them (keeping the build-up), ends prefer the cut after.
+ */
+function snapToShots(startTime, endTime, shots, tolerance) {
+  const startCandidates = shots.map(shot => shot.startTime);
+  const endCandidates = shots.map(shot => shot.endTime);
+
+  const snappedStart = findSnapPoint(startTime, startCandidates, tolerance, 'before');
+  const snappedEnd = findSnapPoint(endTime, endCandidates, tolerance, 'after');
+
+  // Never let snapping collapse or invert a window
+  if (snappedEnd <= snappedStart) {
+    return { startTime, endTime };
+  }
+
+  return {
+    startTime: snappedStart,
+    endTime: snappedEnd
+  };
+}
+
+function findSnapPoint(time, candidates, tolerance, preference) {
+  const nearby = candidates.filter(candidate => Math.abs(candidate - time) <= tolerance);
+
+  if (nearby.length === 0) {
+    return time;
+  }
+
+  const preferred = nearby.filter(candidate => (preference === 'before' ? candidate <= time : candidate >= time));
+  const pool = preferred.length > 0 ? preferred : nearby;
+
+  return pool.reduce((best, candidate) => (
+    Math.abs(candidate - time) < Math.abs(best - time) ? candidate : best
+  ));
+}
+
+/**
+ * Merge windows that overlap once padded, so one moment produces one clip
+ */
+function mergeOverlappingWindows(windows) {
+  const sorted = [...windows].sort((a, b) => a.startTime - b.startTime);
+  const merged = [];
+
+  sorted.forEach(window => {
+    const previous = merged[merged.length - 1];
+
+    if (previous && window.startTime <= previous.endTime) {
+      merged[merged.length - 1] = mergeWindows(previous, window);
+    } else {
+      merged.push(window);
+    }
+  });
+
+  return merged;
+}
+
+function mergeWindows(a, b) {
+  const hitsA = a.labelHits || 1;
+  const hitsB = b.labelHits || 1;
+  const startTime = Math.min(a.startTime, b.startTime);
+  const endTime = Math.max(a.endTime, b.endTime);
+
+  return {
+    ...a,
+    startTime,
+    endTime,
+    duration: round(endTime - startTime),
+    confidence: (a.confidence * hitsA + b.confidence * hitsB) / (hitsA + hitsB),
+    labels: Array.from(new Set([...(a.labels || []), ...(b.labels || [])])),
+    labelHits: hitsA + hitsB,
+    ...((a.personCount !== undefined || b.personCount !== undefined) && {
+      personCount: Math.max(a.personCount || 0, b.personCount || 0)
+    }),
+    ...((a.scoreEvents || b.scoreEvents) && {
+      scoreEvents: mergeScoreEvents(a.scoreEvents || [], b.scoreEvents || [])
+    })
+  };
+}
+
+/**
+ * Score events of both windows in time order, each once
+ */
+function mergeScoreEvents(eventsA, eventsB) {
+  const byKey = new Map([...eventsA, ...eventsB].map(event => [JSON.stringify(event), event]));
+  return Array.from(byKey.values()).sort((a, b) => a.time - b.time);
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+module.exports = {
+  buildHighlightWindows,
+  mergeOverlappingWindows
+};
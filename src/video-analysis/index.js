@@ -1,39 +1,160 @@
-const { RekognitionClient, StartLabelDetectionCommand, StartPersonTrackingCommand, GetLabelDetectionCommand, GetPersonTrackingCommand } = require('@aws-sdk/client-rekognition');
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
-const { S3Client } = require('@aws-sdk/client-s3');
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
-const { ComprehendClient, DetectSentimentCommand, DetectEntitiesCommand, DetectKeyPhrasesCommand } = require('@aws-sdk/client-comprehend');
+const { RekognitionClient, StartLabelDetectionCommand, StartPersonTrackingCommand, StartSegmentDetectionCommand, StartTextDetectionCommand, GetLabelDetectionCommand, GetPersonTrackingCommand, GetSegmentDetectionCommand, GetTextDetectionCommand } = require('@aws-sdk/client-rekognition');
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { getSportProfile } = require('./sport-profiles');
+const { buildHighlightWindows } = require('./highlight-windows');
+const { getEnrichmentProvider } = require('./enrichment-providers');
+const { planEnrichmentChunks, mapWithConcurrency } = require('./enrichment-chunks');
+const {
+  buildHighlightId,
+  findStoredHighlights,
+  matchStoredHighlights,
+  putHighlightIfNew,
+  updateHighlightAnalysis,
+  supersedeHighlights
+} = require('./highlight-store');
+const { withStreamTime, storeLiveHighlights, reconcileProvisionalHighlights } = require('./live-windows');
+const { detectFrameLabels } = require('./frame-sampling');
+const { KEYFRAME_HIGHLIGHTS_PER_REQUEST, extractKeyframes } = require('./keyframes');
+const {
+  startTranscription,
+  getTranscriptionAnalysisId,
+  getTranscriptionStatus,
+  toJobStatus,
+  analyzeAudio,
+  fuseAudioSignals
+} = require('./audio-analysis');
+const { analyzeTexts } = require('./text-analysis');
+const { tagSportsEntities } = require('./sports-entities');
+const { readOnScreenText, attachOnScreenText } = require('./on-screen-text');
+const { DETECTION_MODES, buildScoreAnchoredHighlights, mergeWithScoreAnchors } = require('./score-anchors');
+const {
+  loadPlayByPlay,
+  alignPlayByPlay,
+  toScoreEvents,
+  buildMissedEventHighlights,
+  attachPlayByPlay
+} = require('./play-by-play');
+const {
+  createAnalysisId,
+  createAnalysisJob,
+  getAnalysisJob,
+  listAnalysisRuns,
+  recordJobStatus,
+  claimFinalization,
+  releaseFinalization,
+  markAnalysisCompleted,
+  markAnalysisFailed
+} = require('./analysis-jobs');
 
 const rekognition = new RekognitionClient({});
-const dynamoClient = new DynamoDBClient({});
-const dynamoDB = DynamoDBDocumentClient.from(dynamoClient);
 const s3 = new S3Client({});
-const bedrockRuntime = new BedrockRuntimeClient({
-  region: process.env.AWS_REGION || 'us-east-1'
-});
-const comprehend = new ComprehendClient({
-  region: process.env.AWS_REGION || 'us-east-1'
-});
 
 // Environment variable validation
 const HIGHLIGHTS_TABLE = process.env.HIGHLIGHTS_TABLE;
 const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
-const BEDROCK_MODEL_ID = process.env.BEDROCK_MODEL_ID || 'anthropic.claude-3-haiku-20240307-v1:0';
+const SNAP_TO_SHOT_BOUNDARIES = process.env.SNAP_TO_SHOT_BOUNDARIES !== 'false';
+const SHOT_SNAP_TOLERANCE_SECONDS = parseFloat(process.env.SHOT_SNAP_TOLERANCE_SECONDS || '1.5');
+const ANALYSIS_BUCKET = process.env.ANALYSIS_BUCKET;
+// Share of the highlight confidence driven by crowd noise / commentary
+const AUDIO_FUSION_WEIGHT = parseFloat(process.env.AUDIO_FUSION_WEIGHT || '0.3');
+// Scoreboard, game clock and jersey numbers read with Rekognition text detection
+const ENABLE_TEXT_DETECTION = process.env.ENABLE_TEXT_DETECTION !== 'false';
+// labels (label clusters), score (windows around score changes) or combined
+const HIGHLIGHT_DETECTION_MODE = process.env.HIGHLIGHT_DETECTION_MODE || 'combined';
+// With both set, Rekognition reports job completion through SNS instead of being polled
+const REKOGNITION_SNS_TOPIC_ARN = process.env.REKOGNITION_SNS_TOPIC_ARN;
+const REKOGNITION_ROLE_ARN = process.env.REKOGNITION_ROLE_ARN;
+const ANALYSIS_JOBS_TABLE = process.env.ANALYSIS_JOBS_TABLE;
+const USE_JOB_NOTIFICATIONS = Boolean(REKOGNITION_SNS_TOPIC_ARN && REKOGNITION_ROLE_ARN);
+// With job notifications, an EventBridge rule also sends Transcribe job state changes here,
+// and the analysis waits for the transcription like for its Rekognition jobs
+const TRACK_TRANSCRIPTION_JOBS = USE_JOB_NOTIFICATIONS && process.env.TRANSCRIBE_JOB_EVENTS === 'true';
+// Time left after waiting for an untracked transcription, for enrichment and storage
+const FINALIZE_RESERVE_MS = 120000;
+// Highlights are written one conditional put at a time, this many in flight
+const HIGHLIGHT_WRITE_CONCURRENCY = 5;
+// Kinesis segments get one canned highlight instead of analysis, for demos without real stream video
+const LIVE_SEGMENT_DEMO_MODE = process.env.LIVE_SEGMENT_DEMO_MODE === 'true';
+// video (Rekognition video jobs only) or frames (provisional highlights from sampled
+// frames within seconds, settled by the video jobs when they finish)
+const LIVE_DETECTOR = process.env.LIVE_DETECTOR || 'video';
+const LIVE_DETECTORS = ['video', 'frames'];
+
+// Rekognition API names in completion notifications
+const JOB_TYPES_BY_API = {
+  StartLabelDetection: 'label',
+  StartPersonTracking: 'person',
+  StartSegmentDetection: 'segment',
+  StartTextDetection: 'text'
+};
+
+// How Rekognition returns results: labels by TIMESTAMP or NAME, one entry per
+// TIMESTAMPS or per SEGMENTS of continuous detection; persons by TIMESTAMP or INDEX
+const LABEL_SORT_BY = process.env.LABEL_SORT_BY || 'TIMESTAMP';
+const LABEL_AGGREGATE_BY = process.env.LABEL_AGGREGATE_BY || 'TIMESTAMPS';
+const PERSON_SORT_BY = process.env.PERSON_SORT_BY || 'TIMESTAMP';
+const RESULTS_PAGE_SIZE = 1000;
+
+// Technical cues that never belong in a highlight (ad breaks, slates, credits...)
+const EXCLUDED_TECHNICAL_CUES = ['BlackFrames', 'ColorBars', 'EndCredits', 'OpeningCredits', 'Slate', 'StudioLogo'];
 
 // Validate required environment variables
 if (!HIGHLIGHTS_TABLE) {
   throw new Error('HIGHLIGHTS_TABLE environment variable is required');
 }
 
+if (!['TIMESTAMP', 'NAME'].includes(LABEL_SORT_BY)) {
+  throw new Error('LABEL_SORT_BY must be TIMESTAMP or NAME');
+}
+
+if (!['TIMESTAMPS', 'SEGMENTS'].includes(LABEL_AGGREGATE_BY)) {
+  throw new Error('LABEL_AGGREGATE_BY must be TIMESTAMPS or SEGMENTS');
+}
+
+if (!['TIMESTAMP', 'INDEX'].includes(PERSON_SORT_BY)) {
+  throw new Error('PERSON_SORT_BY must be TIMESTAMP or INDEX');
+}
+
+if (!LIVE_DETECTORS.includes(LIVE_DETECTOR)) {
+  throw new Error(`LIVE_DETECTOR must be one of ${LIVE_DETECTORS.join(', ')}`);
+}
+
+if (!DETECTION_MODES.includes(HIGHLIGHT_DETECTION_MODE)) {
+  throw new Error(`HIGHLIGHT_DETECTION_MODE must be one of ${DETECTION_MODES.join(', ')}`);
+}
+
+if (USE_JOB_NOTIFICATIONS && !ANALYSIS_JOBS_TABLE) {
+  throw new Error('ANALYSIS_JOBS_TABLE environment variable is required when REKOGNITION_SNS_TOPIC_ARN is set');
+}
+
 /**
  * Analyzes video content using AWS Rekognition and Bedrock
  * to identify potential highlight moments
  */
-exports.handler = async (event) => {
+exports.handler = async (event, context) => {
   console.log('Event:', JSON.stringify(event, null, 2));
   
   try {
+    // Rekognition job completion notifications delivered through SNS
+    if (isJobNotification(event) && event.Records) {
+      return await handleJobNotifications(event.Records, context);
+    }
+    
+    // Transcribe job state changes delivered through EventBridge
+    if (isJobNotification(event)) {
+      return await handleTranscriptionEvent(event.detail, context);
+    }
+    
+    // Re-check a persisted analysis, e.g. after a lost notification or a finalization that timed out
+    if (event.action === 'resume') {
+      return await resumeAnalysis(event.analysisId, context);
+    }
+    
+    // Analysis runs of one video, newest first
+    if (event.action === 'listRuns') {
+      return await listRuns(event.bucket, event.key);
+    }
+    
     // Input validation and sanitization
     const bucket = event.bucket || event.detail?.bucket?.name;
     const key = event.key || event.detail?.object?.key;
@@ -65,58 +186,86 @@ exports.handler = async (event) => {
     
     console.log(`Processing video from ${sanitizedBucket}/${sanitizedKey} (source: ${source})`);
     
-    // Handle Kinesis segments differently
-    if (isKinesisSegment) {
-      console.log('Processing Kinesis Video Stream segment');
-      console.log('Kinesis metadata:', event.kinesisMetadata);
-      
-      // For demo: Kinesis segments are JSON files, not actual video
-      // In production, these would be real video segments
-      if (key.includes('live-streams/')) {
-        console.log('Note: Processing mock Kinesis segment for demo purposes');
-        return await processMockKinesisSegment(sanitizedBucket, sanitizedKey, event);
-      }
-    }
-    
-    // Start label detection job
-    const labelDetectionResponse = await startLabelDetection(sanitizedBucket, sanitizedKey);
-    const labelJobId = labelDetectionResponse.JobId;
+    // Kinesis segments are analyzed like uploads, then merged with the stream's other windows
+    const live = isKinesisSegment ? parseLiveSegment(event) : null;
     
-    // Wait for label detection to complete
-    const labelResults = await waitForJobCompletion('label', labelJobId);
+    if (live && LIVE_SEGMENT_DEMO_MODE) {
+      console.log('Note: Processing mock Kinesis segment for demo purposes');
+      return await processMockKinesisSegment(sanitizedBucket, sanitizedKey, event);
+    }
     
-    // Start person tracking job
-    const personTrackingResponse = await startPersonTracking(sanitizedBucket, sanitizedKey);
-    const personJobId = personTrackingResponse.JobId;
+    // Score changes from a play-by-play feed, in seconds of video time
+    const scoreEvents = parseScoreEvents(event.scoreEvents);
     
-    // Wait for person tracking to complete
-    const personResults = await waitForJobCompletion('person', personJobId);
+    // Re-analysis refreshes this video's stored highlights and supersedes ones no longer found
+    if (event.reanalyze !== undefined && typeof event.reanalyze !== 'boolean') {
+      throw validationError('reanalyze must be a boolean');
+    }
+    const reanalyze = event.reanalyze === true;
+    const analysisId = createAnalysisId(sanitizedBucket, sanitizedKey);
     
-    // Analyze results to find potential highlights
-    const potentialHighlights = analyzeResults(labelResults, personResults);
+    // Start every Rekognition job and the transcription at once
+    const [labelJobId, personJobId, segmentJobId, textJobId, transcriptionJobName] = await Promise.all([
+      startLabelDetection(sanitizedBucket, sanitizedKey, analysisId),
+      startPersonTracking(sanitizedBucket, sanitizedKey, analysisId),
+      startSegmentDetection(sanitizedBucket, sanitizedKey, analysisId),
+      startTextDetection(sanitizedBucket, sanitizedKey, analysisId),
+      startTranscription(sanitizedBucket, sanitizedKey, analysisId)
+    ]);
     
-    // Enhance highlights with Bedrock AI analysis
-    const enhancedHighlights = await enhanceWithBedrock(potentialHighlights, sanitizedBucket, sanitizedKey);
+    const analysis = {
+      analysisId,
+      bucket: sanitizedBucket,
+      key: sanitizedKey,
+      source,
+      sourceVideo: `s3://${sanitizedBucket}/${sanitizedKey}`,
+      // Segments of a registered stream belong to its game; others to the stream itself
+      gameId: live ? (live.game?.gameId || `live-${live.streamName}`) : extractGameIdFromKey(sanitizedKey),
+      sport: live?.game?.sport || extractGameTypeFromKey(sanitizedKey),
+      ...(live?.game && { teams: live.game.teams }),
+      ...(live && { live }),
+      reanalyze,
+      transcriptionJobName,
+      ...(scoreEvents.length > 0 && { scoreEvents }),
+      jobs: {
+        label: { jobId: labelJobId, status: 'IN_PROGRESS' },
+        person: { jobId: personJobId, status: 'IN_PROGRESS' },
+        ...(segmentJobId && { segment: { jobId: segmentJobId, status: 'IN_PROGRESS' } }),
+        ...(textJobId && { text: { jobId: textJobId, status: 'IN_PROGRESS' } }),
+        ...(transcriptionJobName && TRACK_TRANSCRIPTION_JOBS && {
+          transcript: { jobId: transcriptionJobName, status: 'IN_PROGRESS' }
+        })
+      }
+    };
     
-    // Further enhance with Comprehend text analysis
-    const comprehendEnhancedHighlights = await enhanceWithComprehend(enhancedHighlights);
+    // While the jobs run, sampled frames give the live segment provisional highlights
+    const provisionalHighlights = live && LIVE_DETECTOR === 'frames'
+      ? await storeProvisionalHighlights(analysis)
+      : null;
     
-    // Store highlight metadata
-    await storeHighlightMetadata(sanitizedBucket, sanitizedKey, comprehendEnhancedHighlights);
+    if (USE_JOB_NOTIFICATIONS) {
+      // Rekognition publishes to SNS when each job finishes; the last one resumes the analysis
+      await createAnalysisJob(analysis);
+      console.log(`Analysis ${analysisId} started, waiting for job completion notifications`);
+      
+      return {
+        statusCode: 202,
+        body: {
+          message: 'Video analysis started',
+          analysisId,
+          videoKey: key,
+          jobs: analysis.jobs,
+          ...(provisionalHighlights && { provisionalHighlights })
+        }
+      };
+    }
     
-    // Note: Clip generation will be triggered automatically by DynamoDB stream
-    console.log(`Stored ${comprehendEnhancedHighlights.length} highlights. Clip generation will be triggered by DynamoDB stream.`);
+    // No notification channel configured: wait for the jobs in this invocation
+    const response = await waitAndFinalize(analysis, context);
     
-    return {
-      statusCode: 200,
-      body: {
-        message: 'Video analysis completed successfully',
-        videoKey: key,
-        highlightsCount: potentialHighlights.length,
-        highlights: comprehendEnhancedHighlights,
-        clipGenerationNote: 'Clip generation triggered via DynamoDB stream'
-      }
-    };
+    return provisionalHighlights
+      ? { ...response, body: { ...response.body, provisionalHighlights } }
+      : response;
   } catch (error) {
     console.error('Error processing video:', {
       error: error.message,
@@ -127,6 +276,12 @@ exports.handler = async (event) => {
       timestamp: new Date().toISOString()
     });
     
+    // SNS and EventBridge invoke asynchronously: only a thrown error gets the notification
+    // retried and, once retries run out, sent to the function's on-failure destination
+    if (isJobNotification(event)) {
+      throw error;
+    }
+    
     // Return structured error response
     const errorResponse = {
       statusCode: error.name === 'ValidationError' ? 400 : 500,
@@ -148,10 +303,415 @@ exports.handler = async (event) => {
   }
 };
 
+/**
+ * Poll every job of the analysis, then finalize it. With a jobs table the run is
+ * still recorded there, so it shows up in the video's analysis runs.
+ */
+async function waitAndFinalize(analysis, context) {
+  const { analysisId, jobs } = analysis;
+  
+  if (ANALYSIS_JOBS_TABLE) {
+    await createAnalysisJob(analysis);
+  }
+  
+  try {
+    const [labelResults, personResults, segmentResults, textResults] = await Promise.all([
+      waitForJobCompletion('label', jobs.label.jobId),
+      waitForJobCompletion('person', jobs.person.jobId),
+      jobs.segment
+        ? waitForJobCompletion('segment', jobs.segment.jobId).catch(error => {
+          console.warn('Segment detection failed, continuing without shot boundaries:', error.message);
+          return null;
+        })
+        : null,
+      jobs.text
+        ? waitForJobCompletion('text', jobs.text.jobId).catch(error => {
+          console.warn('Text detection failed, continuing without on-screen text:', error.message);
+          return null;
+        })
+        : null
+    ]);
+    
+    const response = await finalizeAnalysis(analysis, { labelResults, personResults, segmentResults, textResults }, context);
+    
+    if (ANALYSIS_JOBS_TABLE) {
+      await markAnalysisCompleted(analysisId, summarizeRun(response));
+    }
+    
+    return response;
+  } catch (error) {
+    if (ANALYSIS_JOBS_TABLE) {
+      await markAnalysisFailed(analysisId, error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Label detection on sampled frames of a live segment, clustered with the sport's
+ * rules and stored as provisional highlights. Best effort: without them the segment
+ * still gets its full analysis.
+ */
+async function storeProvisionalHighlights(analysis) {
+  const sportProfile = getSportProfile(getAnalysisGame(analysis).sport);
+  
+  try {
+    const { frameCount, labelResults, personResults } = await detectFrameLabels(
+      analysis.bucket, analysis.key, sportProfile.minConfidence);
+    const highlights = analyzeResults(labelResults, personResults, sportProfile, getHighlightWindowOptions(labelResults))
+      .map(highlight => ({ ...highlight, detectionSource: 'frame-sampling' }));
+    const highlightStats = await storeHighlightMetadata(analysis, highlights, { provisional: true });
+    
+    return { frameCount, highlightsCount: highlights.length, highlightStats };
+  } catch (error) {
+    console.warn('Frame sampling failed, continuing with the full analysis only:', error.message);
+    return null;
+  }
+}
+
+/**
+ * What a completed run records about its highlights
+ */
+function summarizeRun(response) {
+  return {
+    highlightsCount: response.body.highlightsCount,
+    highlightStats: response.body.highlightStats
+  };
+}
+
+/**
+ * List a video's analysis runs from the jobs table, newest first
+ */
+async function listRuns(bucket, key) {
+  if (!ANALYSIS_JOBS_TABLE) {
+    throw validationError('Listing analysis runs requires ANALYSIS_JOBS_TABLE');
+  }
+  
+  if (typeof bucket !== 'string' || !bucket.trim() || typeof key !== 'string' || !key.trim()) {
+    throw validationError('bucket and key are required to list analysis runs');
+  }
+  
+  const sourceVideo = `s3://${bucket.trim()}/${key.trim()}`;
+  const runs = await listAnalysisRuns(sourceVideo);
+  
+  return {
+    statusCode: 200,
+    body: {
+      sourceVideo,
+      runs
+    }
+  };
+}
+
+/**
+ * Record each finished Rekognition job and continue any analysis whose jobs are all done.
+ * A finalization that fails for any reason but a failed label job is thrown, so the
+ * notification is retried.
+ */
+async function handleJobNotifications(records, context) {
+  const results = [];
+  
+  for (const record of records) {
+    // { JobId, Status, API, JobTag, Timestamp, Video: {...} }
+    const message = JSON.parse(record.Sns.Message);
+    const jobType = JOB_TYPES_BY_API[message.API];
+    
+    if (!jobType || !message.JobTag) {
+      console.warn('Ignoring notification for unknown job:', message.JobId, message.API);
+      continue;
+    }
+    
+    const analysis = await recordJobStatus(message.JobTag, jobType, message.JobId, message.Status);
+    
+    if (analysis) {
+      results.push(await continueAnalysis(analysis, { retryable: true, context }));
+    }
+  }
+  
+  return {
+    statusCode: 200,
+    body: {
+      message: 'Job notifications processed',
+      results
+    }
+  };
+}
+
+/**
+ * Record a finished transcription and continue its analysis, like a Rekognition job
+ */
+async function handleTranscriptionEvent(detail = {}, context) {
+  const { TranscriptionJobName: jobName, TranscriptionJobStatus: transcriptionStatus } = detail;
+  const analysisId = getTranscriptionAnalysisId(jobName);
+  const jobStatus = toJobStatus(transcriptionStatus);
+  
+  if (!analysisId || jobStatus === 'IN_PROGRESS') {
+    console.warn('Ignoring transcription event:', jobName, transcriptionStatus);
+    return { statusCode: 200, body: { message: 'Transcription event ignored' } };
+  }
+  
+  const analysis = await recordJobStatus(analysisId, 'transcript', jobName, jobStatus);
+  
+  return {
+    statusCode: 200,
+    body: {
+      message: 'Transcription event processed',
+      results: analysis ? [await continueAnalysis(analysis, { retryable: true, context })] : []
+    }
+  };
+}
+
+/**
+ * Rekognition notifications (SNS) and Transcribe job state changes (EventBridge)
+ */
+function isJobNotification(event) {
+  return event.Records?.[0]?.EventSource === 'aws:sns'
+    || (event.source === 'aws.transcribe' && event['detail-type'] === 'Transcribe Job State Change');
+}
+
+/**
+ * Refresh the status of jobs still marked IN_PROGRESS straight from Rekognition,
+ * then continue the analysis as if their notifications had arrived
+ */
+async function resumeAnalysis(analysisId, context) {
+  if (!analysisId) {
+    throw validationError('analysisId is required to resume an analysis');
+  }
+  
+  let analysis = await getAnalysisJob(analysisId);
+  
+  if (!analysis) {
+    throw validationError(`Analysis not found: ${analysisId}`);
+  }
+  
+  for (const [jobType, job] of Object.entries(analysis.jobs)) {
+    if (job.status !== 'IN_PROGRESS') {
+      continue;
+    }
+    
+    const jobStatus = await getJobStatus(jobType, job.jobId);
+    
+    if (jobStatus !== 'IN_PROGRESS') {
+      analysis = await recordJobStatus(analysisId, jobType, job.jobId, jobStatus) || analysis;
+    }
+  }
+  
+  const result = await continueAnalysis(analysis, { context });
+  
+  return {
+    statusCode: result.status === 'FAILED' ? 500 : 200,
+    body: result
+  };
+}
+
+/**
+ * Once no job is pending, exactly one invocation claims the analysis and finalizes it.
+ * When retryable, an error other than a failed label job releases the claim and is
+ * rethrown instead of failing the analysis.
+ */
+async function continueAnalysis(analysis, { retryable = false, context } = {}) {
+  const { analysisId } = analysis;
+  const pendingJobs = Object.keys(analysis.jobs).filter(jobType => analysis.jobs[jobType].status === 'IN_PROGRESS');
+  
+  if (analysis.status !== 'RUNNING' && analysis.status !== 'FINALIZING') {
+    return { analysisId, status: analysis.status };
+  }
+  
+  if (pendingJobs.length > 0) {
+    return { analysisId, status: 'RUNNING', pendingJobs };
+  }
+  
+  if (!(await claimFinalization(analysisId))) {
+    console.log(`Analysis ${analysisId} is already being finalized`);
+    return { analysisId, status: 'FINALIZING' };
+  }
+  
+  try {
+    // Labels drive detection; person tracking, segments and on-screen text only refine it
+    if (analysis.jobs.label.status !== 'SUCCEEDED') {
+      const error = new Error('label detection job failed');
+      error.permanent = true;
+      throw error;
+    }
+    
+    const [labelResults, personResults, segmentResults, textResults] = await Promise.all([
+      getJobResults('label', analysis.jobs.label.jobId),
+      getSucceededJobResults('person', analysis.jobs.person),
+      getSucceededJobResults('segment', analysis.jobs.segment),
+      getSucceededJobResults('text', analysis.jobs.text)
+    ]);
+    
+    const response = await finalizeAnalysis(analysis, { labelResults, personResults, segmentResults, textResults }, context);
+    await markAnalysisCompleted(analysisId, summarizeRun(response));
+    
+    return { analysisId, status: 'COMPLETED', highlightsCount: response.body.highlightsCount };
+  } catch (error) {
+    if (retryable && !error.permanent) {
+      console.error(`Finalizing analysis ${analysisId} failed, releasing it for a retry:`, error.message);
+      await releaseFinalization(analysisId, error.message);
+      throw error;
+    }
+    
+    console.error(`Analysis ${analysisId} failed:`, error.message);
+    await markAnalysisFailed(analysisId, error.message);
+    
+    return { analysisId, status: 'FAILED', error: error.message };
+  }
+}
+
+async function getSucceededJobResults(jobType, job) {
+  if (!job || job.status !== 'SUCCEEDED') {
+    if (job) {
+      console.warn(`${jobType} job ${job.jobId} ended ${job.status}, continuing without it`);
+    }
+    return null;
+  }
+  
+  return await getJobResults(jobType, job.jobId);
+}
+
+/**
+ * Everything after the Rekognition jobs: detection, audio fusion, AI enrichment and storage
+ */
+async function finalizeAnalysis(analysis, { labelResults, personResults, segmentResults, textResults }, context) {
+  const { bucket, key, transcriptionJobName } = analysis;
+  const { gameId, sport } = getAnalysisGame(analysis);
+  
+  // Collect shot boundaries and technical cues, and keep them with the video
+  const videoSegments = parseVideoSegments(segmentResults);
+  await storeAnalysisArtifact(bucket, key, 'segments', videoSegments);
+  
+  // Scoreboard readings, score changes and jersey numbers over the whole video
+  const onScreenText = readOnScreenText(textResults);
+  await storeAnalysisArtifact(bucket, key, 'ocr', onScreenText);
+  
+  // Analyze results to find potential highlights using the sport's detection rules
+  const sportProfile = getSportProfile(sport);
+  const windowOptions = getHighlightWindowOptions(labelResults, videoSegments);
+  const visualHighlights = HIGHLIGHT_DETECTION_MODE === 'score'
+    ? []
+    : analyzeResults(labelResults, personResults, sportProfile, windowOptions);
+  
+  // Place the game's play-by-play feed on this video using scoreboard clock reads and manual offsets
+  const playByPlay = alignPlayByPlay(await loadPlayByPlay(gameId), {
+    videoKey: key,
+    clockDirection: sportProfile.clockDirection,
+    clockReadings: onScreenText.readings,
+    videoDuration: windowOptions.videoDuration
+  });
+  
+  if (playByPlay.length > 0) {
+    await storeAnalysisArtifact(bucket, key, 'play-by-play', { events: playByPlay });
+  }
+  
+  // Score changes on the scoreboard or in the play-by-play feed anchor their own windows
+  const scoreEvents = HIGHLIGHT_DETECTION_MODE === 'labels'
+    ? []
+    : [
+      ...onScreenText.scoreChanges.map(change => ({ ...change, source: 'scoreboard' })),
+      ...toScoreEvents(playByPlay),
+      ...(analysis.scoreEvents || [])
+    ];
+  const anchoredHighlights = buildScoreAnchoredHighlights(scoreEvents, sportProfile, windowOptions);
+  
+  // Important feed events that neither labels nor score changes caught (when enabled)
+  const eventHighlights = buildMissedEventHighlights(
+    playByPlay,
+    [...visualHighlights, ...anchoredHighlights],
+    sportProfile,
+    windowOptions
+  );
+  
+  // Fuse crowd noise / commentary peaks into the confidence and attach transcript snippets
+  const audioAnalysis = await analyzeAudio(transcriptionJobName, bucket, key, getTranscriptDeadline(context));
+  const potentialHighlights = mergeWithScoreAnchors(
+    fuseAudioSignals([...visualHighlights, ...eventHighlights], audioAnalysis, AUDIO_FUSION_WEIGHT),
+    fuseAudioSignals(anchoredHighlights, audioAnalysis, AUDIO_FUSION_WEIGHT)
+  );
+  
+  // Feed events describe the highlights they fall in
+  const describedHighlights = attachPlayByPlay(potentialHighlights, playByPlay);
+  
+  // Enrich highlights with AI (or rules-based) analysis
+  const enhancedHighlights = await enrichHighlights(describedHighlights, bucket, key, sport);
+  
+  // Further enhance with Comprehend text analysis
+  const comprehendEnhancedHighlights = await enhanceWithComprehend(enhancedHighlights);
+  
+  // Tag canonical teams and players so TEAM / PLAYER preferences can match
+  const entityHighlights = tagSportsEntities(comprehendEnhancedHighlights, { sport, gameId, teams: analysis.teams });
+  
+  // Game clock, score changes and the players whose jersey numbers are on screen
+  const taggedHighlights = attachOnScreenText(entityHighlights, onScreenText, sport);
+  
+  // Store highlight metadata
+  const highlightStats = await storeHighlightMetadata(analysis, taggedHighlights, { videoDuration: windowOptions.videoDuration });
+  
+  // Note: Clip generation will be triggered automatically by DynamoDB stream
+  console.log(`Stored ${taggedHighlights.length} highlights. Clip generation will be triggered by DynamoDB stream.`);
+  
+  return {
+    statusCode: 200,
+    body: {
+      message: 'Video analysis completed successfully',
+      analysisId: analysis.analysisId,
+      videoKey: key,
+      highlightsCount: potentialHighlights.length,
+      highlightStats,
+      highlights: taggedHighlights,
+      clipGenerationNote: 'Clip generation triggered via DynamoDB stream'
+    }
+  };
+}
+
+/**
+ * Validate play-by-play score events from the invocation: [{ time (seconds of video), from?, to?, description? }]
+ */
+function parseScoreEvents(scoreEvents) {
+  if (scoreEvents === undefined) {
+    return [];
+  }
+  
+  if (!Array.isArray(scoreEvents)) {
+    throw validationError('scoreEvents must be an array');
+  }
+  
+  return scoreEvents.map((scoreEvent, index) => {
+    if (!scoreEvent || typeof scoreEvent.time !== 'number' || scoreEvent.time < 0) {
+      throw validationError(`scoreEvents[${index}].time must be a non-negative number of seconds`);
+    }
+    
+    return {
+      time: scoreEvent.time,
+      source: 'play-by-play',
+      ...(Array.isArray(scoreEvent.from) && { from: scoreEvent.from }),
+      ...(Array.isArray(scoreEvent.to) && { to: scoreEvent.to }),
+      ...(typeof scoreEvent.description === 'string' && { description: scoreEvent.description })
+    };
+  });
+}
+
+/**
+ * SNS completion channel for Rekognition jobs; the analysis ID comes back as the JobTag
+ */
+function buildJobNotificationParams(analysisId) {
+  if (!USE_JOB_NOTIFICATIONS) {
+    return { JobTag: analysisId };
+  }
+  
+  return {
+    JobTag: analysisId,
+    NotificationChannel: {
+      SNSTopicArn: REKOGNITION_SNS_TOPIC_ARN,
+      RoleArn: REKOGNITION_ROLE_ARN
+    }
+  };
+}
+
 /**
  * Start label detection job in Rekognition
  */
-async function startLabelDetection(bucket, key) {
+async function startLabelDetection(bucket, key, analysisId) {
   const params = {
     Video: {
       S3Object: {
@@ -159,72 +719,299 @@ async function startLabelDetection(bucket, key) {
         Name: key
       }
     },
-    MinConfidence: 70
+    MinConfidence: 70,
+    ...buildJobNotificationParams(analysisId)
   };
   
-  return await rekognition.send(new StartLabelDetectionCommand(params));
+  const response = await rekognition.send(new StartLabelDetectionCommand(params));
+  return response.JobId;
 }
 
 /**
  * Start person tracking job in Rekognition
  */
-async function startPersonTracking(bucket, key) {
+async function startPersonTracking(bucket, key, analysisId) {
   const params = {
     Video: {
       S3Object: {
         Bucket: bucket,
         Name: key
       }
-    }
+    },
+    ...buildJobNotificationParams(analysisId)
   };
   
-  return await rekognition.send(new StartPersonTrackingCommand(params));
+  const response = await rekognition.send(new StartPersonTrackingCommand(params));
+  return response.JobId;
 }
 
 /**
- * Wait for Rekognition job to complete
+ * Start shot and technical cue detection in Rekognition.
+ * Segments only refine clip windows, so a failure here doesn't stop the analysis.
  */
-async function waitForJobCompletion(jobType, jobId) {
-  let jobCompleted = false;
-  let results;
+async function startSegmentDetection(bucket, key, analysisId) {
+  const params = {
+    Video: {
+      S3Object: {
+        Bucket: bucket,
+        Name: key
+      }
+    },
+    SegmentTypes: ['SHOT', 'TECHNICAL_CUE'],
+    Filters: {
+      ShotFilter: { MinSegmentConfidence: 80 },
+      TechnicalCueFilter: { MinSegmentConfidence: 80 }
+    },
+    ...buildJobNotificationParams(analysisId)
+  };
+  
+  try {
+    const response = await rekognition.send(new StartSegmentDetectionCommand(params));
+    return response.JobId;
+  } catch (error) {
+    console.warn('Segment detection could not be started, continuing without shot boundaries:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Start text detection in Rekognition for scoreboard, game clock and jersey number overlays.
+ * Like segments, on-screen text only refines highlights, so a failure here doesn't stop the analysis.
+ */
+async function startTextDetection(bucket, key, analysisId) {
+  if (!ENABLE_TEXT_DETECTION) {
+    return null;
+  }
   
-  while (!jobCompleted) {
-    let response;
+  const params = {
+    Video: {
+      S3Object: {
+        Bucket: bucket,
+        Name: key
+      }
+    },
+    Filters: {
+      // Skip tiny, low-confidence text such as sponsor boards and crowd signs
+      WordFilter: {
+        MinConfidence: 80,
+        MinBoundingBoxHeight: 0.02
+      }
+    },
+    ...buildJobNotificationParams(analysisId)
+  };
+  
+  try {
+    const response = await rekognition.send(new StartTextDetectionCommand(params));
+    return response.JobId;
+  } catch (error) {
+    console.warn('Text detection could not be started, continuing without on-screen text:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Split segment detection results into shots and technical cues (in seconds)
+ */
+function parseVideoSegments(segmentResults) {
+  const videoSegments = { shots: [], technicalCues: [] };
+  
+  if (!segmentResults) {
+    return videoSegments;
+  }
+  
+  (segmentResults.Segments || []).forEach(segment => {
+    const startTime = segment.StartTimestampMillis / 1000;
+    const endTime = segment.EndTimestampMillis / 1000;
     
-    if (jobType === 'label') {
-      response = await rekognition.send(new GetLabelDetectionCommand({ JobId: jobId }));
-    } else if (jobType === 'person') {
-      response = await rekognition.send(new GetPersonTrackingCommand({ JobId: jobId }));
+    if (segment.Type === 'SHOT') {
+      videoSegments.shots.push({
+        index: segment.ShotSegment?.Index,
+        startTime,
+        endTime,
+        confidence: segment.ShotSegment?.Confidence
+      });
+    } else if (segment.Type === 'TECHNICAL_CUE') {
+      videoSegments.technicalCues.push({
+        type: segment.TechnicalCueSegment?.Type,
+        startTime,
+        endTime,
+        confidence: segment.TechnicalCueSegment?.Confidence
+      });
     }
+  });
+  
+  console.log(`Detected ${videoSegments.shots.length} shots and ${videoSegments.technicalCues.length} technical cues`);
+  return videoSegments;
+}
+
+/**
+ * Store per-video analysis output in S3 as analysis/<video key>.<name>.json,
+ * e.g. shot/technical cue boundaries (segments) or the scoreboard timeline (ocr)
+ */
+async function storeAnalysisArtifact(bucket, key, name, data) {
+  const artifactKey = `analysis/${key}.${name}.json`;
+  
+  try {
+    await s3.send(new PutObjectCommand({
+      Bucket: ANALYSIS_BUCKET || bucket,
+      Key: artifactKey,
+      Body: JSON.stringify({
+        sourceVideo: `s3://${bucket}/${key}`,
+        detectedAt: new Date().toISOString(),
+        ...data
+      }),
+      ContentType: 'application/json'
+    }));
     
-    jobCompleted = response.JobStatus === 'SUCCEEDED';
-    
-    if (jobCompleted) {
-      results = response;
-    } else if (response.JobStatus === 'FAILED') {
+    console.log(`Stored ${name} analysis: ${artifactKey}`);
+  } catch (error) {
+    console.warn(`Failed to store ${name} analysis:`, error.message);
+  }
+}
+
+/**
+ * Wait for Rekognition job to complete, then collect all of its results
+ */
+async function waitForJobCompletion(jobType, jobId) {
+  let jobStatus = await getJobStatus(jobType, jobId);
+  
+  while (jobStatus !== 'SUCCEEDED') {
+    if (jobStatus === 'FAILED') {
       throw new Error(`${jobType} detection job failed`);
-    } else {
-      // Wait before checking again
-      await new Promise(resolve => setTimeout(resolve, 5000));
     }
+    
+    // Wait before checking again
+    await new Promise(resolve => setTimeout(resolve, 5000));
+    jobStatus = await getJobStatus(jobType, jobId);
+  }
+  
+  return await getJobResults(jobType, jobId);
+}
+
+/**
+ * How long an untracked transcription can be waited for, leaving FINALIZE_RESERVE_MS
+ * of the invocation; undefined outside Lambda
+ */
+function getTranscriptDeadline(context) {
+  if (!context || typeof context.getRemainingTimeInMillis !== 'function') {
+    return undefined;
+  }
+  
+  return Date.now() + Math.max(context.getRemainingTimeInMillis() - FINALIZE_RESERVE_MS, 0);
+}
+
+/**
+ * Check a Rekognition (or transcription) job's status without pulling its results
+ */
+async function getJobStatus(jobType, jobId) {
+  if (jobType === 'transcript') {
+    return await getTranscriptionStatus(jobId);
+  }
+  
+  const { Command } = getResultsRequest(jobType);
+  const response = await rekognition.send(new Command({ JobId: jobId, MaxResults: 1 }));
+  
+  return response.JobStatus;
+}
+
+/**
+ * Fetch a Rekognition job's status and, once it has succeeded, every page of its results.
+ * Items from all pages are concatenated; the rest of the response is the first page's.
+ */
+async function getJobResults(jobType, jobId) {
+  const { Command, itemsKey, params } = getResultsRequest(jobType);
+  const response = await rekognition.send(new Command({ JobId: jobId, MaxResults: RESULTS_PAGE_SIZE, ...params }));
+  
+  if (response.JobStatus !== 'SUCCEEDED') {
+    return response;
+  }
+  
+  const items = [...(response[itemsKey] || [])];
+  let nextToken = response.NextToken;
+  let pageCount = 1;
+  
+  while (nextToken) {
+    const page = await rekognition.send(new Command({
+      JobId: jobId,
+      MaxResults: RESULTS_PAGE_SIZE,
+      NextToken: nextToken,
+      ...params
+    }));
+    
+    items.push(...(page[itemsKey] || []));
+    nextToken = page.NextToken;
+    pageCount++;
+  }
+  
+  console.log(`Fetched ${items.length} ${itemsKey.toLowerCase()} for ${jobType} job in ${pageCount} page(s)`);
+  
+  return {
+    ...response,
+    [itemsKey]: items,
+    NextToken: undefined
+  };
+}
+
+function getResultsRequest(jobType) {
+  if (jobType === 'label') {
+    return {
+      Command: GetLabelDetectionCommand,
+      itemsKey: 'Labels',
+      params: { SortBy: LABEL_SORT_BY, AggregateBy: LABEL_AGGREGATE_BY }
+    };
+  } else if (jobType === 'person') {
+    return {
+      Command: GetPersonTrackingCommand,
+      itemsKey: 'Persons',
+      params: { SortBy: PERSON_SORT_BY }
+    };
+  } else if (jobType === 'segment') {
+    return {
+      Command: GetSegmentDetectionCommand,
+      itemsKey: 'Segments',
+      params: {}
+    };
+  } else if (jobType === 'text') {
+    return {
+      Command: GetTextDetectionCommand,
+      itemsKey: 'TextDetections',
+      params: {}
+    };
   }
   
-  return results;
+  throw new Error(`Unknown Rekognition job type: ${jobType}`);
+}
+
+/**
+ * Clip window settings shared by label clusters and score anchors: the video's
+ * duration, shot boundaries windows can snap to and technical cues they must stay out of
+ */
+function getHighlightWindowOptions(labelResults, videoSegments = {}) {
+  return {
+    videoDuration: (labelResults?.VideoMetadata?.DurationMillis || 0) / 1000,
+    shots: SNAP_TO_SHOT_BOUNDARIES ? (videoSegments.shots || []) : [],
+    snapTolerance: SHOT_SNAP_TOLERANCE_SECONDS,
+    excludedRanges: (videoSegments.technicalCues || [])
+      .filter(cue => EXCLUDED_TECHNICAL_CUES.includes(cue.type))
+  };
 }
 
 /**
- * Analyze Rekognition results to identify potential highlights
+ * Analyze Rekognition results to identify potential highlights.
+ * `windowOptions` come from getHighlightWindowOptions; the sport profile adds padding.
  */
-function analyzeResults(labelResults, personResults) {
+function analyzeResults(labelResults, personResults, profile, windowOptions = {}) {
   const potentialHighlights = [];
-  const interestingLabels = ['Ball', 'Sports', 'Goal', 'Celebration', 'Person', 'Crowd'];
   const labelTimestamps = {};
   
   // Process label results
   if (labelResults && labelResults.Labels) {
     labelResults.Labels.forEach(label => {
-      if (interestingLabels.includes(label.Label.Name) && label.Confidence > 85) {
-        const timestamp = label.Timestamp;
+      const weight = profile.labels[label.Label.Name];
+      
+      if (weight && label.Confidence >= profile.minConfidence) {
+        // Labels aggregated by SEGMENTS span a start and end instead of a single timestamp
+        const timestamp = label.Timestamp ?? label.StartTimestampMillis;
         
         if (!labelTimestamps[timestamp]) {
           labelTimestamps[timestamp] = [];
@@ -232,7 +1019,9 @@ function analyzeResults(labelResults, personResults) {
         
         labelTimestamps[timestamp].push({
           name: label.Label.Name,
-          confidence: label.Confidence
+          confidence: label.Confidence,
+          endTimestamp: label.EndTimestampMillis ?? timestamp,
+          weight
         });
       }
     });
@@ -240,71 +1029,89 @@ function analyzeResults(labelResults, personResults) {
   
   // Find clusters of interesting events
   const timestamps = Object.keys(labelTimestamps).map(Number).sort((a, b) => a - b);
+  const clusters = [];
   let currentCluster = [];
   let lastTimestamp = 0;
   
   timestamps.forEach(timestamp => {
-    if (currentCluster.length === 0 || timestamp - lastTimestamp < 5000) {
-      // Add to current cluster if within 5 seconds
+    if (currentCluster.length === 0 || timestamp - lastTimestamp < profile.clusterGapMs) {
+      // Add to current cluster if within the sport's gap
       currentCluster.push(timestamp);
     } else {
-      // Process the completed cluster
-      if (currentCluster.length >= 3) {
-        const startTime = currentCluster[0];
-        const endTime = currentCluster[currentCluster.length - 1];
-        
-        potentialHighlights.push({
-          startTime: startTime / 1000, // Convert to seconds
-          endTime: endTime / 1000,
-          duration: (endTime - startTime) / 1000,
-          confidence: calculateClusterConfidence(currentCluster, labelTimestamps),
-          labels: getUniqueLabels(currentCluster, labelTimestamps)
-        });
-      }
+      clusters.push(currentCluster);
       
       // Start a new cluster
       currentCluster = [timestamp];
     }
     
-    lastTimestamp = timestamp;
+    lastTimestamp = Math.max(lastTimestamp, getLatestEnd([timestamp], labelTimestamps));
   });
   
   // Process the last cluster
-  if (currentCluster.length >= 3) {
-    const startTime = currentCluster[0];
-    const endTime = currentCluster[currentCluster.length - 1];
-    
-    potentialHighlights.push({
-      startTime: startTime / 1000,
-      endTime: endTime / 1000,
-      duration: (endTime - startTime) / 1000,
-      confidence: calculateClusterConfidence(currentCluster, labelTimestamps),
-      labels: getUniqueLabels(currentCluster, labelTimestamps)
+  clusters.push(currentCluster);
+  
+  clusters
+    .filter(cluster => cluster.length > 0 && cluster.length >= profile.minClusterSize)
+    .forEach(cluster => {
+      const startTime = cluster[0] / 1000; // Convert to seconds
+      const endTime = getLatestEnd(cluster, labelTimestamps) / 1000;
+      
+      potentialHighlights.push({
+        startTime,
+        endTime,
+        duration: endTime - startTime,
+        confidence: calculateClusterConfidence(cluster, labelTimestamps),
+        labels: getUniqueLabels(cluster, labelTimestamps),
+        labelHits: cluster.reduce((count, timestamp) => count + labelTimestamps[timestamp].length, 0),
+        sport: profile.sport
+      });
     });
-  }
+  
+  // Add lead-in/lead-out, snap to shot cuts and merge windows that now overlap
+  const highlightWindows = buildHighlightWindows(potentialHighlights, {
+    ...windowOptions,
+    paddingBefore: profile.paddingBefore,
+    paddingAfter: profile.paddingAfter
+  });
   
   // Enhance with person tracking data
-  enhanceWithPersonData(potentialHighlights, personResults);
+  enhanceWithPersonData(highlightWindows, personResults);
   
   // Sort by confidence
-  return potentialHighlights.sort((a, b) => b.confidence - a.confidence);
+  return highlightWindows.sort((a, b) => b.confidence - a.confidence);
 }
 
 /**
- * Calculate confidence score for a cluster of events
+ * Calculate confidence score for a cluster of events,
+ * weighting each label by how much it matters for the sport
  */
 function calculateClusterConfidence(cluster, labelTimestamps) {
-  let totalConfidence = 0;
-  let count = 0;
+  let weightedConfidence = 0;
+  let totalWeight = 0;
+  
+  cluster.forEach(timestamp => {
+    labelTimestamps[timestamp].forEach(label => {
+      weightedConfidence += label.confidence * label.weight;
+      totalWeight += label.weight;
+    });
+  });
+  
+  return totalWeight > 0 ? weightedConfidence / totalWeight : 0;
+}
+
+/**
+ * Latest moment any label in the cluster was still detected (ms)
+ */
+function getLatestEnd(cluster, labelTimestamps) {
+  let latestEnd = 0;
   
   cluster.forEach(timestamp => {
     labelTimestamps[timestamp].forEach(label => {
-      totalConfidence += label.confidence;
-      count++;
+      latestEnd = Math.max(latestEnd, label.endTimestamp);
     });
   });
   
-  return count > 0 ? totalConfidence / count : 0;
+  return latestEnd;
 }
 
 /**
@@ -340,7 +1147,7 @@ function enhanceWithPersonData(highlights, personResults) {
     // Count unique persons
     const uniquePersonIds = new Set();
     personsInHighlight.forEach(person => {
-      if (person.Person && person.Person.Index) {
+      if (person.Person && person.Person.Index !== undefined) {
         uniquePersonIds.add(person.Person.Index);
       }
     });
@@ -355,136 +1162,207 @@ function enhanceWithPersonData(highlights, personResults) {
 }
 
 /**
- * Store highlight metadata in DynamoDB
+ * Store highlight metadata in DynamoDB under IDs derived from the video and window.
+ * Returns how many highlights were created, updated, already stored and superseded.
+ * Provisional highlights of a live segment get IDs of their own, so the full
+ * analysis finding the same window doesn't collide with them.
  */
-async function storeHighlightMetadata(bucket, key, highlights) {
-  const gameId = extractGameIdFromKey(key);
+async function storeHighlightMetadata(analysis, highlights, { provisional = false, videoDuration } = {}) {
+  const { analysisId, bucket, key, reanalyze, live } = analysis;
+  const { gameId, sport } = getAnalysisGame(analysis);
+  const sourceVideo = `s3://${bucket}/${key}`;
   const timestamp = new Date().toISOString();
   
-  const putRequests = highlights.map((highlight, index) => {
-    const highlightId = `${gameId}-${timestamp}-${index}`;
+  const items = highlights.map((highlight, index) => ({
+    highlightId: buildHighlightId(gameId, provisional ? `${sourceVideo}#provisional` : sourceVideo,
+      highlight.startTime, highlight.endTime),
+    timestamp,
+    analysisId,
+    version: 1,
+    gameId,
+    sport,
+    sourceVideo,
+    startTime: highlight.startTime,
+    endTime: highlight.endTime,
+    duration: highlight.duration,
+    confidence: highlight.confidence,
+    labels: highlight.labels,
+    personCount: highlight.personCount || 0,
+    excitementLevel: highlight.excitementLevel || 5,
+    playType: highlight.playType || 'general',
+    aiTitle: highlight.aiTitle || `Highlight ${index + 1}`,
+    aiEnhanced: highlight.aiEnhanced || false,
+    enrichmentProvider: highlight.enrichmentProvider,
+    comprehendEnhanced: highlight.comprehendEnhanced || false,
+    titleSentiment: highlight.titleSentiment,
+    titleEntities: highlight.titleEntities,
+    titleKeyPhrases: highlight.titleKeyPhrases,
+    gamingContext: highlight.gamingContext,
+    audioScore: highlight.audioScore,
+    transcriptSnippet: highlight.transcriptSnippet,
+    transcriptSentiment: highlight.transcriptSentiment,
+    transcriptKeyPhrases: highlight.transcriptKeyPhrases,
+    language: highlight.language,
+    players: highlight.players || [],
+    playerIds: highlight.playerIds || [],
+    teams: highlight.teams || [],
+    teamIds: highlight.teamIds || [],
+    detectionSource: highlight.detectionSource,
+    scoreEvents: highlight.scoreEvents || [],
+    description: highlight.description,
+    playByPlay: highlight.playByPlay || [],
+    gameClockStart: highlight.gameClockStart,
+    gameClockEnd: highlight.gameClockEnd,
+    scoreChanges: highlight.scoreChanges || [],
+    jerseyNumbers: highlight.jerseyNumbers || [],
+    candidatePlayers: highlight.candidatePlayers || [],
+    processed: true,
+    clipGenerated: false,
+    clipStatus: 'pending',
+    ...(provisional && { provisional: true })
+  }));
+  
+  // Live windows overlap: detections join the stream's stored highlights instead of superseding them
+  if (live) {
+    const liveItems = items.map(item => withStreamTime({
+      ...item,
+      source: 'kinesis-video-streams',
+      streamName: live.streamName,
+      segmentId: live.segmentId,
+      isLiveSegment: true
+    }, live.producerStartTime));
+    const liveStats = await storeLiveHighlights(gameId, liveItems);
+    
+    if (provisional || LIVE_DETECTOR !== 'frames') {
+      return { ...liveStats, updated: 0, superseded: 0 };
+    }
+    
+    // The full analysis settles the provisional highlights of the segment's stretch of stream
+    const segmentRange = withStreamTime({ startTime: 0, endTime: videoDuration || live.segmentDuration || 0 }, live.producerStartTime);
+    const reconciled = segmentRange.streamStartTime
+      ? await reconcileProvisionalHighlights(gameId, { ...segmentRange, sourceVideo, analysisId }, liveItems)
+      : { confirmed: 0, dropped: 0 };
     
     return {
-      PutRequest: {
-        Item: {
-          highlightId,
-          timestamp,
-          gameId,
-          sourceVideo: `s3://${bucket}/${key}`,
-          startTime: highlight.startTime,
-          endTime: highlight.endTime,
-          duration: highlight.duration,
-          confidence: highlight.confidence,
-          labels: highlight.labels,
-          personCount: highlight.personCount || 0,
-          excitementLevel: highlight.excitementLevel || 5,
-          playType: highlight.playType || 'general',
-          aiTitle: highlight.aiTitle || `Highlight ${index + 1}`,
-          aiEnhanced: highlight.aiEnhanced || false,
-          comprehendEnhanced: highlight.comprehendEnhanced || false,
-          titleSentiment: highlight.titleSentiment,
-          titleEntities: highlight.titleEntities,
-          titleKeyPhrases: highlight.titleKeyPhrases,
-          gamingContext: highlight.gamingContext,
-          processed: true,
-          clipGenerated: false,
-          clipStatus: 'pending'
-        }
-      }
+      ...liveStats,
+      updated: 0,
+      superseded: reconciled.confirmed + reconciled.dropped,
+      provisionalConfirmed: reconciled.confirmed,
+      provisionalDropped: reconciled.dropped
     };
-  });
+  }
   
-  // Batch write to DynamoDB
-  for (let i = 0; i < putRequests.length; i += 25) {
-    const batch = putRequests.slice(i, i + 25);
-    
-    await dynamoDB.send(new BatchWriteCommand({
-      RequestItems: {
-        [HIGHLIGHTS_TABLE]: batch
-      }
-    }));
+  // Highlights that already exist are left alone (and not clipped again) unless re-analyzing
+  const stats = { created: 0, updated: 0, unchanged: 0, superseded: 0 };
+  const stored = await findStoredHighlights(gameId, sourceVideo);
+  const storedById = new Map(stored.map(highlight => [highlight.highlightId, highlight]));
+  const matchedItems = matchStoredHighlights(items, stored);
+  
+  await mapWithConcurrency(matchedItems, async item => {
+    if (await putHighlightIfNew(item)) {
+      stats.created++;
+    } else if (reanalyze) {
+      await updateHighlightAnalysis(item, storedById.get(item.highlightId));
+      stats.updated++;
+    } else {
+      stats.unchanged++;
+    }
+  }, HIGHLIGHT_WRITE_CONCURRENCY);
+  
+  if (reanalyze) {
+    stats.superseded = await supersedeHighlights(gameId, sourceVideo, matchedItems.map(item => item.highlightId), analysisId);
   }
+  
+  console.log(`Highlights for ${sourceVideo}: ${stats.created} created, ${stats.updated} updated, ` +
+    `${stats.unchanged} already stored, ${stats.superseded} superseded`);
+  
+  return stats;
 }
 
 /**
- * Enhance highlights using Amazon Bedrock for contextual understanding
+ * Add excitement level, play type, title and audience to each highlight using the
+ * configured enrichment provider (a Bedrock model, or local rules). Insights are
+ * matched to highlights by id; highlights without one keep detection-only metadata.
  */
-async function enhanceWithBedrock(highlights, bucket, key) {
-  try {
-    // Prepare context for Bedrock analysis
-    const gameContext = {
-      videoSource: `s3://${bucket}/${key}`,
-      gameType: extractGameTypeFromKey(key),
-      highlights: highlights.map(h => ({
-        startTime: h.startTime,
-        duration: h.duration,
-        labels: h.labels,
-        confidence: h.confidence
-      }))
-    };
-
-    // Use Claude 3 Haiku for fast, cost-effective analysis
-    const prompt = `Analyze these gaming video highlights and provide enhanced context:
-
-Game Context: ${JSON.stringify(gameContext, null, 2)}
-
-For each highlight, provide:
-1. Excitement level (1-10)
-2. Play type classification (goal, save, skill move, celebration, etc.)
-3. Recommended title
-4. Target audience appeal
-
-Respond in JSON format with enhanced metadata for each highlight.`;
-
-    const params = {
-      modelId: BEDROCK_MODEL_ID,
-      contentType: 'application/json',
-      accept: 'application/json',
-      body: JSON.stringify({
-        anthropic_version: 'bedrock-2023-05-31',
-        max_tokens: 2000,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
-    };
-
-    console.log('Calling Bedrock for highlight enhancement...');
-    const response = await bedrockRuntime.send(new InvokeModelCommand(params));
-    const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-    
-    if (responseBody.content && responseBody.content[0] && responseBody.content[0].text) {
-      const aiAnalysis = JSON.parse(responseBody.content[0].text);
+async function enrichHighlights(highlights, bucket, key, sport = extractGameTypeFromKey(key)) {
+  if (highlights.length === 0) {
+    return highlights;
+  }
+  
+  const provider = getEnrichmentProvider();
+  
+  // Explicit ids let insights come back in any order
+  const highlightIds = highlights.map((highlight, index) => `h${index + 1}`);
+  
+  // Context for the enrichment provider
+  const gameContext = {
+    videoSource: `s3://${bucket}/${key}`,
+    gameType: sport
+  };
+  const contextEntries = highlights.map((h, index) => ({
+    id: highlightIds[index],
+    startTime: h.startTime,
+    duration: h.duration,
+    labels: h.labels,
+    confidence: h.confidence,
+    commentary: h.transcriptSnippet,
+    scoreEvents: h.scoreEvents,
+    playByPlay: h.playByPlay?.map(event => event.description)
+  }));
+  
+  // Long games are split into requests that fit the model's token limits,
+  // so a failed or truncated request only costs its own highlights
+  const chunks = planEnrichmentChunks(
+    contextEntries,
+    provider.supportsImages ? KEYFRAME_HIGHLIGHTS_PER_REQUEST : Infinity
+  );
+  
+  const chunkInsights = await mapWithConcurrency(chunks, async (chunk, chunkIndex) => {
+    try {
+      // Frames from inside each highlight window let the model see the play itself
+      const keyframes = provider.supportsImages
+        ? await extractKeyframes(bucket, key, chunk.map(entry => ({
+          id: entry.id,
+          startTime: entry.startTime,
+          endTime: entry.startTime + entry.duration
+        })))
+        : {};
       
-      // Merge AI insights with existing highlights
-      return highlights.map((highlight, index) => {
-        const aiInsight = aiAnalysis.highlights?.[index] || {};
-        return {
-          ...highlight,
-          excitementLevel: aiInsight.excitementLevel || highlight.confidence / 10,
-          playType: aiInsight.playType || 'general',
-          aiTitle: aiInsight.title || `Highlight ${index + 1}`,
-          targetAudience: aiInsight.targetAudience || 'general',
-          aiEnhanced: true
-        };
-      });
+      return await provider.generateInsights({ gameContext: { ...gameContext, highlights: chunk }, keyframes });
+    } catch (error) {
+      console.warn(`Enrichment chunk ${chunkIndex + 1}/${chunks.length} with ${provider.name} failed, using original highlights:`, error.message);
+      return {};
     }
-  } catch (error) {
-    console.warn('Bedrock enhancement failed, using original highlights:', error.message);
-    // Return original highlights with basic AI enhancement flag
-    return highlights.map(highlight => ({
-      ...highlight,
-      aiEnhanced: false,
-      excitementLevel: highlight.confidence / 10,
-      playType: 'detected',
-      aiTitle: `Auto-detected Highlight`
-    }));
-  }
+  });
+  
+  const insights = Object.assign({}, ...chunkInsights);
   
-  return highlights;
+  return highlights.map((highlight, index) => {
+    const insight = insights[highlightIds[index]];
+    // A score change already settles the play type
+    const anchoredPlayType = highlight.detectionSource === 'score-change' ? highlight.playType : null;
+    
+    if (!insight) {
+      // Keep original highlight data with basic AI enhancement flag
+      return {
+        ...highlight,
+        aiEnhanced: false,
+        excitementLevel: highlight.confidence / 10,
+        playType: anchoredPlayType || 'detected',
+        aiTitle: `Auto-detected Highlight`
+      };
+    }
+    
+    return {
+      ...highlight,
+      excitementLevel: insight.excitementLevel,
+      playType: anchoredPlayType || insight.playType,
+      aiTitle: insight.title,
+      targetAudience: insight.targetAudience,
+      aiEnhanced: provider.aiGenerated,
+      enrichmentProvider: provider.name
+    };
+  });
 }
 
 /**
@@ -500,6 +1378,54 @@ function extractGameTypeFromKey(key) {
   return 'general_sports';
 }
 
+/**
+ * Game and sport an analysis attributes its highlights to. Analyses persisted
+ * before these were recorded fall back to the key.
+ */
+function getAnalysisGame(analysis) {
+  return {
+    gameId: analysis.gameId || extractGameIdFromKey(analysis.key),
+    sport: analysis.sport || extractGameTypeFromKey(analysis.key)
+  };
+}
+
+/**
+ * Kinesis segment context from the processor's invocation
+ */
+function parseLiveSegment(event) {
+  if (typeof event.streamName !== 'string' || !event.streamName.trim()) {
+    throw validationError('streamName is required for Kinesis segments');
+  }
+  
+  return {
+    streamName: event.streamName.trim(),
+    segmentId: typeof event.segmentId === 'string' ? event.segmentId : undefined,
+    // Wall-clock time of second 0 of the segment, which places its highlights on the stream
+    producerStartTime: event.kinesisMetadata?.producerStartTime,
+    segmentDuration: event.kinesisMetadata?.segmentDuration,
+    game: parseLiveGame(event.game)
+  };
+}
+
+/**
+ * The game a registered stream shows: { gameId, sport?, teams? }
+ */
+function parseLiveGame(game) {
+  if (game === undefined) {
+    return undefined;
+  }
+  
+  if (!game || typeof game.gameId !== 'string' || !game.gameId.trim()) {
+    throw validationError('game.gameId is required when a game is given');
+  }
+  
+  return {
+    gameId: game.gameId.trim(),
+    sport: typeof game.sport === 'string' && game.sport.trim() ? game.sport.trim().toLowerCase() : undefined,
+    teams: Array.isArray(game.teams) ? game.teams.filter(team => typeof team === 'string') : []
+  };
+}
+
 /**
  * Extract game ID from S3 key
  */
@@ -509,41 +1435,68 @@ function extractGameIdFromKey(key) {
   return parts.length >= 2 ? parts[1] : 'unknown-game';
 }
 
+function validationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
 /**
- * Enhance highlights with Amazon Comprehend text analysis
+ * Enhance highlights with Amazon Comprehend text analysis.
+ * All titles, descriptions and commentary snippets go through the batch APIs together,
+ * each analyzed in its own detected language.
  */
 async function enhanceWithComprehend(highlights) {
   console.log('Enhancing highlights with Comprehend text analysis...');
   
   try {
-    const enhancedHighlights = [];
+    // Which text of which highlight each document is
+    const documents = [];
+    highlights.forEach((highlight, highlightIndex) => {
+      [['title', 'aiTitle'], ['description', 'description'], ['transcript', 'transcriptSnippet']]
+        .filter(([, attribute]) => highlight[attribute])
+        .forEach(([field, attribute]) => documents.push({ highlightIndex, field, text: highlight[attribute] }));
+    });
     
-    for (const highlight of highlights) {
+    const analyses = await analyzeTexts(documents.map(document => document.text));
+    const byHighlight = highlights.map(() => ({}));
+    documents.forEach((document, index) => {
+      byHighlight[document.highlightIndex][document.field] = analyses[index];
+    });
+    
+    const enhancedHighlights = highlights.map((highlight, index) => {
+      const { title, description, transcript } = byHighlight[index];
       const enhanced = { ...highlight };
       
-      // Analyze the AI-generated title with Comprehend
-      if (highlight.aiTitle) {
-        const titleAnalysis = await analyzeTextWithComprehend(highlight.aiTitle);
-        enhanced.titleSentiment = titleAnalysis.sentiment;
-        enhanced.titleEntities = titleAnalysis.entities;
-        enhanced.titleKeyPhrases = titleAnalysis.keyPhrases;
+      if (title) {
+        enhanced.titleSentiment = title.sentiment;
+        enhanced.titleEntities = title.entities;
+        enhanced.titleKeyPhrases = title.keyPhrases;
+      }
+      
+      if (description) {
+        enhanced.descriptionSentiment = description.sentiment;
+        enhanced.descriptionEntities = description.entities;
       }
       
-      // Analyze the description if available
-      if (highlight.description) {
-        const descriptionAnalysis = await analyzeTextWithComprehend(highlight.description);
-        enhanced.descriptionSentiment = descriptionAnalysis.sentiment;
-        enhanced.descriptionEntities = descriptionAnalysis.entities;
+      // What the commentators said around the moment
+      if (transcript) {
+        enhanced.transcriptSentiment = transcript.sentiment;
+        enhanced.transcriptEntities = transcript.entities;
+        enhanced.transcriptKeyPhrases = transcript.keyPhrases;
       }
       
+      // The commentary is the best evidence of the broadcast's language
+      enhanced.language = transcript?.language || description?.language || title?.language || undefined;
+      
       // Generate gaming-specific sentiment context
       enhanced.gamingContext = generateGamingContext(enhanced);
       enhanced.comprehendEnhanced = true;
       
-      enhancedHighlights.push(enhanced);
-    }
+      return enhanced;
+    });
     
-    console.log(`Enhanced ${enhancedHighlights.length} highlights with Comprehend analysis`);
+    console.log(`Enhanced ${enhancedHighlights.length} highlights with Comprehend analysis (${documents.length} texts)`);
     return enhancedHighlights;
     
   } catch (error) {
@@ -555,63 +1508,6 @@ async function enhanceWithComprehend(highlights) {
   }
 }
 
-/**
- * Analyze text with Amazon Comprehend
- */
-async function analyzeTextWithComprehend(text) {
-  try {
-    const analysis = {
-      sentiment: null,
-      entities: [],
-      keyPhrases: []
-    };
-    
-    // Detect sentiment
-    const sentimentCommand = new DetectSentimentCommand({
-      Text: text,
-      LanguageCode: 'en'
-    });
-    const sentimentResult = await comprehend.send(sentimentCommand);
-    analysis.sentiment = {
-      sentiment: sentimentResult.Sentiment,
-      confidence: sentimentResult.SentimentScore[sentimentResult.Sentiment]
-    };
-    
-    // Detect entities
-    const entitiesCommand = new DetectEntitiesCommand({
-      Text: text,
-      LanguageCode: 'en'
-    });
-    const entitiesResult = await comprehend.send(entitiesCommand);
-    analysis.entities = entitiesResult.Entities.map(entity => ({
-      text: entity.Text,
-      type: entity.Type,
-      confidence: entity.Score
-    }));
-    
-    // Detect key phrases
-    const keyPhrasesCommand = new DetectKeyPhrasesCommand({
-      Text: text,
-      LanguageCode: 'en'
-    });
-    const keyPhrasesResult = await comprehend.send(keyPhrasesCommand);
-    analysis.keyPhrases = keyPhrasesResult.KeyPhrases.map(phrase => ({
-      text: phrase.Text,
-      confidence: phrase.Score
-    }));
-    
-    return analysis;
-    
-  } catch (error) {
-    console.error('Error analyzing text with Comprehend:', error);
-    return {
-      sentiment: null,
-      entities: [],
-      keyPhrases: []
-    };
-  }
-}
-
 /**
  * Generate gaming-specific context based on Comprehend analysis
  */
@@ -643,11 +1539,10 @@ function generateGamingContext(highlight) {
   }
   
   // Analyze entities for gameplay type
-  if (highlight.titleEntities && highlight.titleEntities.length > 0) {
-    const entities = highlight.titleEntities;
-    
+  const gameplayEntities = [...(highlight.titleEntities || []), ...(highlight.transcriptEntities || [])];
+  if (gameplayEntities.length > 0) {
     // Look for sports/gaming related entities
-    for (const entity of entities) {
+    for (const entity of gameplayEntities) {
       const text = entity.text.toLowerCase();
       if (text.includes('goal') || text.includes('score')) {
         context.gameplayType = 'scoring';
@@ -684,12 +1579,15 @@ function generateGamingContext(highlight) {
 }
 
 /**
- * Process mock Kinesis segment for demo purposes
- * In production, this would process real video segments from Kinesis
+ * Canned highlight for a Kinesis segment, used with LIVE_SEGMENT_DEMO_MODE so the
+ * live pipeline can be shown without a camera feeding the stream
  */
 async function processMockKinesisSegment(bucket, key, event) {
   console.log('Processing mock Kinesis segment - simulating real-time analysis');
   
+  // Same sport as analyzed live segments, so the canned highlights show up by sport
+  const sport = event.game?.sport || extractGameTypeFromKey(key);
+  
   try {
     // Create mock highlights based on Kinesis segment metadata
     const mockHighlights = [
@@ -710,14 +1608,14 @@ async function processMockKinesisSegment(bucket, key, event) {
       }
     ];
     
-    // Enhance with Bedrock for consistency
-    const enhancedHighlights = await enhanceWithBedrock(mockHighlights, bucket, key);
+    // Enrich the same way as uploaded videos for consistency
+    const enhancedHighlights = await enrichHighlights(mockHighlights, bucket, key, sport);
     
     // Add Comprehend analysis
     const comprehendEnhancedHighlights = await enhanceWithComprehend(enhancedHighlights);
     
     // Store in DynamoDB with Kinesis-specific metadata
-    await storeKinesisHighlightMetadata(bucket, key, comprehendEnhancedHighlights, event);
+    const highlightStats = await storeKinesisHighlightMetadata(bucket, key, comprehendEnhancedHighlights, event, sport);
     
     return {
       statusCode: 200,
@@ -728,6 +1626,7 @@ async function processMockKinesisSegment(bucket, key, event) {
         segmentId: event.segmentId,
         streamName: event.streamName,
         highlightsCount: mockHighlights.length,
+        highlightStats,
         highlights: comprehendEnhancedHighlights,
         processingNote: 'Mock processing - demonstrates Kinesis integration'
       }
@@ -748,56 +1647,44 @@ async function processMockKinesisSegment(bucket, key, event) {
 }
 
 /**
- * Store Kinesis-sourced highlight metadata with additional context
+ * Store Kinesis-sourced highlight metadata with additional context. Highlights are
+ * placed on the stream's timeline and merged with the ones earlier or later
+ * (overlapping) windows of the stream produced.
  */
-async function storeKinesisHighlightMetadata(bucket, key, highlights, event) {
+async function storeKinesisHighlightMetadata(bucket, key, highlights, event, sport) {
   const segmentId = event.segmentId || 'unknown-segment';
   const streamName = event.streamName || 'unknown-stream';
+  const gameId = event.game?.gameId || `live-${streamName}`;
+  const sourceVideo = `s3://${bucket}/${key}`;
   const timestamp = new Date().toISOString();
   
-  const putRequests = highlights.map((highlight, index) => {
-    const highlightId = `kinesis-${segmentId}-${timestamp}-${index}`;
-    
-    return {
-      PutRequest: {
-        Item: {
-          highlightId,
-          timestamp,
-          gameId: `live-${streamName}`,
-          sourceVideo: `s3://${bucket}/${key}`,
-          startTime: highlight.startTime,
-          endTime: highlight.endTime,
-          duration: highlight.duration,
-          confidence: highlight.confidence,
-          labels: highlight.labels,
-          personCount: highlight.personCount || 0,
-          excitementLevel: highlight.excitementLevel,
-          playType: highlight.playType,
-          aiTitle: highlight.aiTitle,
-          aiEnhanced: highlight.aiEnhanced,
-          comprehendEnhanced: highlight.comprehendEnhanced || false,
-          // Kinesis-specific fields
-          source: 'kinesis-video-streams',
-          streamName: streamName,
-          segmentId: segmentId,
-          isLiveSegment: true,
-          streamTimestamp: event.kinesisMetadata?.streamTimestamp,
-          processed: true
-        }
-      }
-    };
-  });
-  
-  // Batch write to DynamoDB
-  for (let i = 0; i < putRequests.length; i += 25) {
-    const batch = putRequests.slice(i, i + 25);
-    
-    await dynamoDB.send(new BatchWriteCommand({
-      RequestItems: {
-        [HIGHLIGHTS_TABLE]: batch
-      }
-    }));
-  }
+  const items = highlights.map(highlight => withStreamTime({
+    highlightId: buildHighlightId(gameId, sourceVideo, highlight.startTime, highlight.endTime),
+    timestamp,
+    version: 1,
+    gameId,
+    sport,
+    sourceVideo,
+    startTime: highlight.startTime,
+    endTime: highlight.endTime,
+    duration: highlight.duration,
+    confidence: highlight.confidence,
+    labels: highlight.labels,
+    personCount: highlight.personCount || 0,
+    excitementLevel: highlight.excitementLevel,
+    playType: highlight.playType,
+    aiTitle: highlight.aiTitle,
+    aiEnhanced: highlight.aiEnhanced,
+    comprehendEnhanced: highlight.comprehendEnhanced || false,
+    language: highlight.language,
+    // Kinesis-specific fields
+    source: 'kinesis-video-streams',
+    streamName: streamName,
+    segmentId: segmentId,
+    isLiveSegment: true,
+    streamTimestamp: event.kinesisMetadata?.streamTimestamp,
+    processed: true
+  }, event.kinesisMetadata?.producerStartTime));
   
-  console.log(`Stored ${highlights.length} Kinesis highlights in DynamoDB`);
+  return await storeLiveHighlights(gameId, items);
 }
\ No newline at end of file
@@ -0,0 +1,131 @@
+const { spawn } = require('child_process');
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const s3 = new S3Client({});
+
+// ffmpeg is provided by a Lambda layer; without it Bedrock gets the text context only
+const FFMPEG_PATH = process.env.FFMPEG_PATH || '/opt/bin/ffmpeg';
+const KEYFRAMES_PER_HIGHLIGHT = parseInt(process.env.KEYFRAMES_PER_HIGHLIGHT || '3', 10);
+const KEYFRAME_WIDTH = parseInt(process.env.KEYFRAME_WIDTH || '512', 10);
+// Claude on Bedrock accepts at most 20 images per request
+const MAX_KEYFRAMES_PER_REQUEST = parseInt(process.env.MAX_KEYFRAMES_PER_REQUEST || '20', 10);
+const FRAME_CAPTURE_TIMEOUT_MS = 20000;
+
+// How many highlights one request can carry keyframes for
+const KEYFRAME_HIGHLIGHTS_PER_REQUEST = KEYFRAMES_PER_HIGHLIGHT > 0
+  ? Math.max(1, Math.floor(MAX_KEYFRAMES_PER_REQUEST / KEYFRAMES_PER_HIGHLIGHT))
+  : Infinity;
+
+/**
+ * Capture evenly spaced JPEG frames inside each highlight window.
+ * `windows` are { id, startTime, endTime } in seconds, best first; frames go to as many
+ * as fit in one request (KEYFRAME_HIGHLIGHTS_PER_REQUEST). Returns { [id]: [{ time, data (base64 JPEG) }] }.
+ */
+async function extractKeyframes(bucket, key, windows) {
+  const keyframes = {};
+
+  if (windows.length === 0 || KEYFRAMES_PER_HIGHLIGHT <= 0) {
+    return keyframes;
+  }
+
+  let sourceUrl;
+
+  try {
+    sourceUrl = await getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn: 900 });
+  } catch (error) {
+    console.warn('Could not sign source URL for keyframes:', error.message);
+    return keyframes;
+  }
+
+  const selected = windows.slice(0, KEYFRAME_HIGHLIGHTS_PER_REQUEST);
+
+  for (const window of selected) {
+    const frames = [];
+
+    for (const time of sampleTimes(window.startTime, window.endTime, KEYFRAMES_PER_HIGHLIGHT)) {
+      try {
+        const image = await captureFrame(sourceUrl, time);
+
+        if (image.length > 0) {
+          frames.push({ time, data: image.toString('base64') });
+        }
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          console.warn('ffmpeg unavailable, continuing without keyframes');
+          return keyframes;
+        }
+        console.warn(`Keyframe at ${time}s could not be captured:`, error.message);
+      }
+    }
+
+    if (frames.length > 0) {
+      keyframes[window.id] = frames;
+    }
+  }
+
+  console.log(`Captured keyframes for ${Object.keys(keyframes).length} of ${windows.length} highlights`);
+  return keyframes;
+}
+
+/**
+ * n times spread across the window, avoiding its very edges
+ */
+function sampleTimes(startTime, endTime, count) {
+  const duration = Math.max(0, endTime - startTime);
+  const times = [];
+
+  for (let i = 1; i <= count; i++) {
+    times.push(Math.round((startTime + (duration * i) / (count + 1)) * 10) / 10);
+  }
+
+  return times;
+}
+
+/**
+ * Decode a single frame at `time` seconds as a scaled JPEG
+ */
+function captureFrame(sourceUrl, time) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    // -ss before -i seeks in the input, which avoids decoding everything before the frame
+    const ffmpeg = spawn(FFMPEG_PATH, [
+      '-hide_banner', '-loglevel', 'error',
+      '-ss', String(time),
+      '-i', sourceUrl,
+      '-frames:v', '1',
+      '-vf', `scale=${KEYFRAME_WIDTH}:-2`,
+      '-q:v', '5',
+      '-f', 'image2pipe', '-vcodec', 'mjpeg', 'pipe:1'
+    ]);
+
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+    }, FRAME_CAPTURE_TIMEOUT_MS);
+
+    ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpeg.stderr.on('data', data => console.warn('ffmpeg:', data.toString().trim()));
+
+    ffmpeg.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    ffmpeg.on('close', code => {
+      clearTimeout(timer);
+
+      if (code !== 0) {
+        reject(new Error(`ffmpeg exited with ${code === null ? 'a timeout' : `code ${code}`}`));
+        return;
+      }
+
+      resolve(Buffer.concat(chunks));
+    });
+  });
+}
+
+module.exports = {
+  KEYFRAME_HIGHLIGHTS_PER_REQUEST,
+  extractKeyframes
+};
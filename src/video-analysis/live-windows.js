@@ -0,0 +1,354 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { putHighlightIfNew } = require('./highlight-store');
+
+const dynamoClient = new DynamoDBClient({});
+const dynamoDB = DynamoDBDocumentClient.from(dynamoClient, {
+  marshallOptions: { removeUndefinedValues: true }
+});
+
+const HIGHLIGHTS_TABLE = process.env.HIGHLIGHTS_TABLE;
+const HIGHLIGHTS_GAME_INDEX = process.env.HIGHLIGHTS_GAME_INDEX || 'gameId-timestamp-index';
+// Live detections this close together (seconds of stream time) are one highlight
+const LIVE_MERGE_GAP_SECONDS = parseFloat(process.env.LIVE_MERGE_GAP_SECONDS || '2');
+// Merging stops growing a highlight past this length
+const MAX_LIVE_HIGHLIGHT_SECONDS = parseFloat(process.env.MAX_LIVE_HIGHLIGHT_SECONDS || '90');
+// Live highlights written this recently are the ones a new window can merge into
+const LIVE_MERGE_LOOKBACK_MS = 30 * 60 * 1000;
+const MERGE_ATTEMPTS = 3;
+
+/**
+ * Live segments are overlapping windows of one stream, analyzed independently and
+ * in any order. The same play can be detected in two windows, or cut in two at a
+ * window boundary. Before live highlights are written they are placed on the
+ * stream's timeline (producer time) and merged into stored highlights of the same
+ * game they overlap, so each play ends up as one highlight whatever order the
+ * windows finish in.
+ *
+ * Two windows finishing at the same time can both find nothing stored and both
+ * insert the play. After inserting, a window looks again, and of the overlapping
+ * highlights the one with the smallest ID takes in the others, which are
+ * superseded. The game index is eventually consistent, so an insert made just
+ * before the second look can still be missed; the next window overlapping both
+ * copies then merges into one of them only.
+ *
+ * A merged highlight lists the segment detections it was built from in `segments`;
+ * its sourceVideo and window are those of the segment that saw most of it.
+ *
+ * Provisional highlights (found quickly on sampled frames) only merge with each
+ * other. The full analysis of a segment settles the provisional highlights around
+ * it: those it also found are superseded by its highlights, and those that none of
+ * their segments' full analyses found are dropped.
+ */
+
+/**
+ * Stream times of a highlight found `startTime`..`endTime` seconds into a segment
+ * whose first frame was captured at `producerStartTime`
+ */
+function withStreamTime(highlight, producerStartTime) {
+  const segmentStart = Date.parse(producerStartTime);
+
+  if (!Number.isFinite(segmentStart)) {
+    return highlight;
+  }
+
+  return {
+    ...highlight,
+    streamStartTime: new Date(segmentStart + highlight.startTime * 1000).toISOString(),
+    streamEndTime: new Date(segmentStart + highlight.endTime * 1000).toISOString()
+  };
+}
+
+/**
+ * Write live highlight items, merging each into an overlapping stored highlight of
+ * its game where there is one. Returns how many were created, merged and already stored.
+ */
+async function storeLiveHighlights(gameId, items) {
+  const stats = { created: 0, merged: 0, unchanged: 0 };
+  const timed = items.filter(item => item.streamStartTime).sort((a, b) => a.streamStartTime.localeCompare(b.streamStartTime));
+  const stored = timed.length > 0
+    ? await findStoredLiveHighlights(gameId, timed[0].streamStartTime, timed[timed.length - 1].streamEndTime)
+    : [];
+
+  for (const item of items) {
+    const target = item.streamStartTime && stored.find(highlight =>
+      highlight.highlightId !== item.highlightId && isProvisional(highlight) === isProvisional(item) &&
+      canMerge(highlight, item));
+
+    if (isProvisional(item) && item.streamStartTime && stored.some(highlight =>
+      !isProvisional(highlight) && overlaps(highlight, item))) {
+      // The full analysis already found this play
+      stats.unchanged++;
+    } else if (target) {
+      const { highlight, changed } = await mergeIntoStored(target.highlightId, item);
+      stored.splice(stored.indexOf(target), 1, highlight);
+      stats[changed ? 'merged' : 'unchanged']++;
+    } else if (await putHighlightIfNew(item)) {
+      const { highlight, merged } = await settleConcurrentInserts(gameId, item);
+      stored.push(highlight);
+      stats[merged ? 'merged' : 'created']++;
+    } else {
+      stats.unchanged++;
+    }
+  }
+
+  console.log(`Live highlights for ${gameId}: ${stats.created} created, ${stats.merged} merged across windows, ` +
+    `${stats.unchanged} already stored`);
+
+  return stats;
+}
+
+/**
+ * Settle the provisional highlights around a segment once its full analysis has
+ * stored `items`. `segment` is { sourceVideo, streamStartTime, streamEndTime, analysisId }.
+ * Returns how many were confirmed and how many dropped.
+ */
+async function reconcileProvisionalHighlights(gameId, segment, items) {
+  const stats = { confirmed: 0, dropped: 0 };
+  const stored = await findStoredLiveHighlights(gameId, segment.streamStartTime, segment.streamEndTime);
+  // Stored highlights first: an item merged into one isn't a record of its own
+  const confirmed = [
+    ...stored.filter(highlight => !isProvisional(highlight)),
+    ...items.filter(item => item.streamStartTime)
+  ];
+
+  for (const provisional of stored.filter(isProvisional)) {
+    const match = confirmed.find(highlight => overlaps(highlight, provisional));
+
+    if (!match && !getPieces(provisional).some(piece => piece.sourceVideo === segment.sourceVideo)) {
+      continue;
+    }
+
+    const { highlight, changed } = await rewriteStored(provisional.highlightId, current => {
+      if (current.superseded || (!match && (current.reviewedBy || []).includes(segment.sourceVideo))) {
+        return null;
+      }
+
+      const settled = {
+        ...current,
+        superseded: true,
+        supersededBy: segment.analysisId,
+        supersededAt: new Date().toISOString(),
+        version: (current.version || 1) + 1
+      };
+
+      if (match) {
+        return { ...settled, confirmedBy: match.highlightId };
+      }
+
+      // Dropped once the full analysis of every segment it came from has missed it
+      const reviewedBy = [...new Set([...(current.reviewedBy || []), segment.sourceVideo])];
+      return getPieces(current).every(piece => reviewedBy.includes(piece.sourceVideo))
+        ? { ...settled, reviewedBy }
+        : { ...current, reviewedBy, version: (current.version || 1) + 1 };
+    });
+
+    if (changed && highlight.superseded) {
+      stats[highlight.confirmedBy ? 'confirmed' : 'dropped']++;
+    }
+  }
+
+  console.log(`Provisional highlights for ${gameId}: ${stats.confirmed} confirmed, ${stats.dropped} dropped ` +
+    `by the full analysis of ${segment.sourceVideo}`);
+
+  return stats;
+}
+
+/**
+ * Look for highlights of the same play another window inserted concurrently with
+ * `item`. All of them are merged into the one with the smallest ID, whichever window
+ * gets here first. Returns the highlight holding the play and whether that is
+ * another one than `item`.
+ */
+async function settleConcurrentInserts(gameId, item) {
+  const rivals = (await findStoredLiveHighlights(gameId, item.streamStartTime, item.streamEndTime))
+    .filter(highlight => highlight.highlightId !== item.highlightId &&
+      isProvisional(highlight) === isProvisional(item) && canMerge(highlight, item));
+
+  if (rivals.length === 0) {
+    return { highlight: item, merged: false };
+  }
+
+  const [survivor, ...duplicates] = [item, ...rivals].sort((a, b) => a.highlightId.localeCompare(b.highlightId));
+  let highlight = survivor;
+
+  for (const duplicate of duplicates) {
+    for (const piece of getPieces(duplicate)) {
+      ({ highlight } = await mergeIntoStored(survivor.highlightId, { ...duplicate, ...piece }));
+    }
+
+    await rewriteStored(duplicate.highlightId, current => (current.superseded ? null : {
+      ...current,
+      superseded: true,
+      mergedInto: survivor.highlightId,
+      supersededAt: new Date().toISOString(),
+      version: (current.version || 1) + 1
+    }));
+  }
+
+  console.log(`Merged ${duplicates.length} concurrently inserted live highlight(s) into ${survivor.highlightId}`);
+
+  return { highlight, merged: survivor.highlightId !== item.highlightId };
+}
+
+/**
+ * Recently written live highlights of the game near [from, to] in stream time
+ */
+async function findStoredLiveHighlights(gameId, from, to) {
+  const highlights = [];
+  let exclusiveStartKey;
+
+  do {
+    const result = await dynamoDB.send(new QueryCommand({
+      TableName: HIGHLIGHTS_TABLE,
+      IndexName: HIGHLIGHTS_GAME_INDEX,
+      KeyConditionExpression: 'gameId = :gameId AND #timestamp >= :since',
+      FilterExpression: 'streamEndTime >= :from AND streamStartTime <= :to AND attribute_not_exists(superseded)',
+      ExpressionAttributeNames: { '#timestamp': 'timestamp' },
+      ExpressionAttributeValues: {
+        ':gameId': gameId,
+        ':since': new Date(Date.now() - LIVE_MERGE_LOOKBACK_MS).toISOString(),
+        ':from': shiftTime(from, -LIVE_MERGE_GAP_SECONDS),
+        ':to': shiftTime(to, LIVE_MERGE_GAP_SECONDS)
+      },
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+
+    highlights.push(...(result.Items || []));
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return highlights;
+}
+
+function isProvisional(highlight) {
+  return highlight.provisional === true;
+}
+
+function overlaps(a, b) {
+  return b.streamStartTime <= shiftTime(a.streamEndTime, LIVE_MERGE_GAP_SECONDS) &&
+    b.streamEndTime >= shiftTime(a.streamStartTime, -LIVE_MERGE_GAP_SECONDS);
+}
+
+function canMerge(stored, item) {
+  const start = Math.min(Date.parse(stored.streamStartTime), Date.parse(item.streamStartTime));
+  const end = Math.max(Date.parse(stored.streamEndTime), Date.parse(item.streamEndTime));
+
+  return overlaps(stored, item) && (end - start) / 1000 <= MAX_LIVE_HIGHLIGHT_SECONDS;
+}
+
+/**
+ * Merge a detection into a stored highlight. Returns the highlight and whether it
+ * changed; a segment analyzed again doesn't merge twice.
+ */
+function mergeIntoStored(highlightId, item) {
+  return rewriteStored(highlightId, stored =>
+    getPieces(stored).some(piece => piece.sourceVideo === item.sourceVideo &&
+      piece.startTime === item.startTime && piece.endTime === item.endTime)
+      ? null
+      : mergeHighlights(stored, item));
+}
+
+/**
+ * Replace a stored highlight with `rewrite(stored)` (null leaves it as it is),
+ * re-reading it if another window's analysis changed it in the meantime
+ */
+async function rewriteStored(highlightId, rewrite) {
+  for (let attempt = 1; ; attempt++) {
+    const { Item: stored } = await dynamoDB.send(new GetCommand({
+      TableName: HIGHLIGHTS_TABLE,
+      Key: { highlightId },
+      ConsistentRead: true
+    }));
+
+    const rewritten = rewrite(stored);
+
+    if (!rewritten) {
+      return { highlight: stored, changed: false };
+    }
+
+    try {
+      await dynamoDB.send(new PutCommand({
+        TableName: HIGHLIGHTS_TABLE,
+        Item: rewritten,
+        ConditionExpression: 'version = :version',
+        ExpressionAttributeValues: { ':version': stored.version }
+      }));
+
+      return { highlight: rewritten, changed: true };
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException' || attempt >= MERGE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * One highlight covering both in stream time. Title and enrichment stay with the
+ * stored highlight; detection signals are combined.
+ */
+function mergeHighlights(stored, item) {
+  const pieces = [...getPieces(stored), toPiece(item)];
+  // The segment that saw most of the play holds the clip source; later wins ties
+  const primary = pieces.reduce((best, piece) =>
+    piece.endTime - piece.startTime >= best.endTime - best.startTime ? piece : best);
+  const windowChanged = primary.sourceVideo !== stored.sourceVideo ||
+    primary.startTime !== stored.startTime || primary.endTime !== stored.endTime;
+
+  return {
+    ...(windowChanged ? withoutClip(stored) : stored),
+    sourceVideo: primary.sourceVideo,
+    segmentId: primary.segmentId,
+    startTime: primary.startTime,
+    endTime: primary.endTime,
+    duration: primary.endTime - primary.startTime,
+    streamStartTime: [stored.streamStartTime, item.streamStartTime].sort()[0],
+    streamEndTime: [stored.streamEndTime, item.streamEndTime].sort()[1],
+    confidence: Math.max(stored.confidence || 0, item.confidence || 0),
+    labels: [...new Set([...(stored.labels || []), ...(item.labels || [])])],
+    personCount: Math.max(stored.personCount || 0, item.personCount || 0),
+    segments: pieces,
+    version: (stored.version || 1) + 1,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * The highlight without its clip of the old window; the clip processor picks up
+ * the `pending` status on the stream's MODIFY event and clips the new window
+ */
+function withoutClip(highlight) {
+  const { clipUrl, thumbnailUrl, mediaConvertJobId, clipGenerationStarted, clipGeneratedAt, clipError, ...rest } = highlight;
+
+  return {
+    ...rest,
+    clipGenerated: false,
+    clipStatus: 'pending'
+  };
+}
+
+function getPieces(highlight) {
+  return highlight.segments || [toPiece(highlight)];
+}
+
+function toPiece(highlight) {
+  return {
+    segmentId: highlight.segmentId,
+    sourceVideo: highlight.sourceVideo,
+    startTime: highlight.startTime,
+    endTime: highlight.endTime,
+    streamStartTime: highlight.streamStartTime,
+    streamEndTime: highlight.streamEndTime
+  };
+}
+
+function shiftTime(isoTime, seconds) {
+  return new Date(Date.parse(isoTime) + seconds * 1000).toISOString();
+}
+
+module.exports = {
+  withStreamTime,
+  storeLiveHighlights,
+  reconcileProvisionalHighlights
+};
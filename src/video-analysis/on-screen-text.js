@@ -0,0 +1,245 @@
+const { findPlayersByJerseyNumber } = require('./sports-entities');
+
+/**
+ * Reads Rekognition text detections: the broadcast scoreboard (score and game
+ * clock) and jersey numbers. Scores are only trusted once the same reading is
+ * seen in consecutive samples, since OCR of a moving broadcast is noisy.
+ */
+
+// Lines whose tops are this close (fraction of frame height) form one row, e.g. "BAR" "1" "RMA" "0"
+const ROW_TOLERANCE = 0.015;
+// Jersey numbers are big on screen; small lone digits are usually graphics
+const JERSEY_MIN_HEIGHT = parseFloat(process.env.JERSEY_MIN_HEIGHT || '0.04');
+const MIN_STABLE_READINGS = 2;
+// Scoreboards update a few seconds after the play that changed them
+const SCOREBOARD_LAG_SECONDS = parseFloat(process.env.SCOREBOARD_LAG_SECONDS || '15');
+const MAX_JERSEY_NUMBERS = 5;
+
+const CLOCK_PATTERN = /\b(\d{1,2}):([0-5]\d)\b/g;
+const DASH_SCORE_PATTERN = /\b(\d{1,3})\s*[-–]\s*(\d{1,3})\b/;
+// "Q4", "P2", "2ND", "3RD"
+const PERIOD_PATTERN = /\b(?:[QP]([1-9])|([1-9])(?:ST|ND|RD|TH))\b/i;
+
+/**
+ * Turn raw text detections into a timeline of scoreboard readings, the score
+ * changes in it, and jersey number sightings. Times are in seconds.
+ */
+function readOnScreenText(textResults) {
+  const onScreenText = { readings: [], scoreChanges: [], jerseySightings: [] };
+
+  if (!textResults || !textResults.TextDetections) {
+    return onScreenText;
+  }
+
+  const linesByTime = {};
+
+  textResults.TextDetections
+    .filter(detection => detection.TextDetection?.Type === 'LINE')
+    .forEach(detection => {
+      const box = detection.TextDetection.Geometry?.BoundingBox || {};
+
+      if (!linesByTime[detection.Timestamp]) {
+        linesByTime[detection.Timestamp] = [];
+      }
+
+      linesByTime[detection.Timestamp].push({
+        text: detection.TextDetection.DetectedText,
+        top: box.Top || 0,
+        left: box.Left || 0,
+        height: box.Height || 0
+      });
+    });
+
+  Object.keys(linesByTime).map(Number).sort((a, b) => a - b).forEach(timestamp => {
+    const time = timestamp / 1000;
+    const rows = groupRows(linesByTime[timestamp]);
+    const reading = readScoreboard(rows);
+
+    if (reading.score || reading.clock) {
+      onScreenText.readings.push({ time, ...reading });
+    }
+
+    rows
+      .filter(row => row.lines.length === 1 && /^\d{1,2}$/.test(row.text) && row.lines[0].height >= JERSEY_MIN_HEIGHT)
+      .forEach(row => onScreenText.jerseySightings.push({ time, number: parseInt(row.text, 10) }));
+  });
+
+  onScreenText.scoreChanges = findScoreChanges(onScreenText.readings);
+
+  console.log(`On-screen text: ${onScreenText.readings.length} scoreboard readings, ` +
+    `${onScreenText.scoreChanges.length} score changes, ${onScreenText.jerseySightings.length} jersey sightings`);
+
+  return onScreenText;
+}
+
+/**
+ * Group lines into rows by vertical position, reading each row left to right
+ */
+function groupRows(lines) {
+  const rows = [];
+
+  [...lines].sort((a, b) => a.top - b.top).forEach(line => {
+    const row = rows.find(candidate => Math.abs(candidate.top - line.top) <= ROW_TOLERANCE);
+
+    if (row) {
+      row.lines.push(line);
+    } else {
+      rows.push({ top: line.top, lines: [line] });
+    }
+  });
+
+  return rows.map(row => {
+    const ordered = row.lines.sort((a, b) => a.left - b.left);
+    return { top: row.top, lines: ordered, text: ordered.map(line => line.text).join(' ') };
+  });
+}
+
+/**
+ * Find the score, game clock and period among a frame's rows. A row holding both
+ * score and clock is the scoreboard; otherwise take the first row that reads as a score.
+ */
+function readScoreboard(rows) {
+  const readings = rows.map(row => ({
+    score: parseScore(row.text),
+    clock: parseClock(row.text),
+    text: row.text
+  }));
+
+  const scoreboard = readings.find(reading => reading.score && reading.clock) ||
+    readings.find(reading => reading.score);
+  const clock = scoreboard?.clock || readings.find(reading => reading.clock)?.clock || null;
+  const periodMatch = rows.map(row => row.text.match(PERIOD_PATTERN)).find(Boolean);
+
+  return {
+    score: scoreboard ? scoreboard.score : null,
+    clock,
+    period: periodMatch ? parseInt(periodMatch[1] || periodMatch[2], 10) : null,
+    scoreText: scoreboard ? scoreboard.text : undefined
+  };
+}
+
+/**
+ * "1 - 0", "BAR 1 RMA 0" or "Q4 10:32 LAL 98 GSW 95" -> [first, second]
+ */
+function parseScore(text) {
+  const withoutClock = text.replace(CLOCK_PATTERN, ' ');
+  const dashed = withoutClock.match(DASH_SCORE_PATTERN);
+
+  if (dashed) {
+    return [parseInt(dashed[1], 10), parseInt(dashed[2], 10)];
+  }
+
+  // Two numbers alongside team abbreviations
+  const numbers = withoutClock.match(/\b\d{1,3}\b/g) || [];
+  if (numbers.length === 2 && /[A-Za-z]{2,}/.test(withoutClock)) {
+    return numbers.map(number => parseInt(number, 10));
+  }
+
+  return null;
+}
+
+function parseClock(text) {
+  const match = text.match(new RegExp(CLOCK_PATTERN.source));
+  return match ? `${match[1]}:${match[2]}` : null;
+}
+
+/**
+ * Score changes between stable readings. A drop in the total is treated as a
+ * misread rather than a change, so it never produces a score event.
+ */
+function findScoreChanges(readings) {
+  const scoreChanges = [];
+  let stable = null;
+  let candidate = null;
+  let candidateStart = null;
+  let count = 0;
+
+  readings.filter(reading => reading.score).forEach(reading => {
+    if (candidate && sameScore(candidate, reading.score)) {
+      count++;
+    } else {
+      candidate = reading.score;
+      candidateStart = reading;
+      count = 1;
+    }
+
+    if (count !== MIN_STABLE_READINGS || sameScore(candidate, stable)) {
+      return;
+    }
+
+    if (!stable) {
+      stable = candidate;
+      return;
+    }
+
+    if (candidate[0] + candidate[1] > stable[0] + stable[1]) {
+      scoreChanges.push({
+        time: candidateStart.time,
+        from: stable,
+        to: candidate,
+        // Position on the scoreboard of the side whose score went up
+        scoringSide: candidate[0] > stable[0] ? 'first' : 'second',
+        points: candidate[0] + candidate[1] - stable[0] - stable[1],
+        gameClock: candidateStart.clock,
+        scoreText: candidateStart.scoreText
+      });
+      stable = candidate;
+    }
+  });
+
+  return scoreChanges;
+}
+
+function sameScore(a, b) {
+  return Boolean(a && b) && a[0] === b[0] && a[1] === b[1];
+}
+
+/**
+ * Attach game clock, score changes, jersey numbers and the rostered players
+ * wearing them to each highlight window
+ */
+function attachOnScreenText(highlights, onScreenText, sport) {
+  if (onScreenText.readings.length === 0 && onScreenText.jerseySightings.length === 0) {
+    return highlights;
+  }
+
+  return highlights.map(highlight => {
+    const inWindow = time => time >= highlight.startTime && time <= highlight.endTime;
+
+    const clocks = onScreenText.readings.filter(reading => reading.clock && inWindow(reading.time));
+    const scoreChanges = onScreenText.scoreChanges.filter(change =>
+      change.time >= highlight.startTime && change.time <= highlight.endTime + SCOREBOARD_LAG_SECONDS
+    );
+
+    const sightings = {};
+    onScreenText.jerseySightings
+      .filter(sighting => inWindow(sighting.time))
+      .forEach(sighting => {
+        sightings[sighting.number] = (sightings[sighting.number] || 0) + 1;
+      });
+
+    // A number seen once is as likely to be a misread as a player
+    const jerseyNumbers = Object.entries(sightings)
+      .filter(([, count]) => count >= 2)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_JERSEY_NUMBERS)
+      .map(([number]) => parseInt(number, 10));
+
+    const candidatePlayers = jerseyNumbers
+      .flatMap(number => findPlayersByJerseyNumber(sport, number, highlight.teamIds || []));
+
+    return {
+      ...highlight,
+      gameClockStart: clocks.length > 0 ? clocks[0].clock : undefined,
+      gameClockEnd: clocks.length > 0 ? clocks[clocks.length - 1].clock : undefined,
+      scoreChanges,
+      jerseyNumbers,
+      candidatePlayers
+    };
+  });
+}
+
+module.exports = {
+  readOnScreenText,
+  attachOnScreenText
+};
@@ -0,0 +1,255 @@
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { buildHighlightWindows } = require('./highlight-windows');
+const { PLAY_TYPES } = require('./highlight-insights');
+
+const s3 = new S3Client({});
+
+/**
+ * Aligns a game's play-by-play feed (stored by the play-by-play ingest function)
+ * with a video, so feed events can describe highlights, anchor score changes and
+ * fill in important moments vision missed.
+ *
+ * Feed events carry a game clock, video analysis needs seconds of video. Anchors
+ * tie the two together: game clock reads from the scoreboard (on-screen text) and
+ * manual offsets from the feed. Each event is placed from the anchors nearest to
+ * it on the clock, since clocks stop and distant anchors drift.
+ */
+
+// Where the ingest function stores feeds; without it highlights come from video alone
+const PLAY_BY_PLAY_BUCKET = process.env.PLAY_BY_PLAY_BUCKET;
+// Create highlights for important feed events no detected highlight covers
+const PLAY_BY_PLAY_CREATE_HIGHLIGHTS = process.env.PLAY_BY_PLAY_CREATE_HIGHLIGHTS === 'true';
+const PLAY_BY_PLAY_EVENT_CONFIDENCE = 85;
+const EVENT_PADDING_BEFORE = 10;
+const EVENT_PADDING_AFTER = 5;
+
+// Scoreboard reads further than this (in clock seconds) from an event don't place it
+const MAX_CLOCK_DISTANCE_SECONDS = 90;
+// Scoreboard reads used per event; their median resists the odd misread clock
+const ANCHORS_PER_EVENT = 5;
+// A countdown clock jumping back up this far has started a new period
+const PERIOD_RESET_SECONDS = 120;
+
+/**
+ * The stored feed for a game, or null when there is none
+ */
+async function loadPlayByPlay(gameId) {
+  if (!PLAY_BY_PLAY_BUCKET) {
+    return null;
+  }
+
+  try {
+    const response = await s3.send(new GetObjectCommand({
+      Bucket: PLAY_BY_PLAY_BUCKET,
+      Key: `play-by-play/${gameId}.json`
+    }));
+
+    return JSON.parse(await response.Body.transformToString());
+  } catch (error) {
+    if (error.name !== 'NoSuchKey') {
+      console.warn(`Play-by-play for ${gameId} could not be loaded:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Give feed events a videoTime (seconds) in this video. Events the video doesn't
+ * cover, or that no anchor is close enough to place, are left out.
+ * `clockReadings` are on-screen text readings ({ time, clock, period }).
+ */
+function alignPlayByPlay(feed, { videoKey, clockDirection, clockReadings = [], videoDuration = 0 }) {
+  if (!feed || !Array.isArray(feed.events)) {
+    return [];
+  }
+
+  const offsets = (feed.offsets || [])
+    .filter(offset => !offset.videoKey || offset.videoKey === videoKey)
+    .map(offset => ({ ...offset, alignedBy: 'offset' }));
+  const clockAnchors = clockDirection === 'none' ? [] : buildClockAnchors(clockReadings, clockDirection);
+
+  const aligned = feed.events
+    .map(event => {
+      if (typeof event.videoTime === 'number') {
+        return { ...event, alignedBy: 'feed' };
+      }
+
+      if (event.clockSeconds === null || event.clockSeconds === undefined || clockDirection === 'none') {
+        return null;
+      }
+
+      const placement = placeByClock(event, clockAnchors, clockDirection) ||
+        placeByOffset(event, offsets, clockDirection);
+
+      return placement ? { ...event, ...placement } : null;
+    })
+    .filter(event => event && event.videoTime >= 0 && (!videoDuration || event.videoTime <= videoDuration))
+    .map(event => ({ ...event, videoTime: Math.round(event.videoTime * 10) / 10 }));
+
+  console.log(`Aligned ${aligned.length} of ${feed.events.length} play-by-play events ` +
+    `(${clockAnchors.length} scoreboard clock reads, ${offsets.length} manual offsets)`);
+
+  return aligned;
+}
+
+/**
+ * Scoreboard clock reads as anchors. Countdown clocks restart every period, so their
+ * period comes from the screen or is counted from clock resets; a clock counting up
+ * runs on across periods and only has a period when one is on screen.
+ */
+function buildClockAnchors(clockReadings, clockDirection) {
+  const anchors = [];
+  let period = clockReadings.find(reading => reading.period)?.period || 1;
+  let lastSeconds = null;
+
+  clockReadings
+    .filter(reading => reading.clock)
+    .sort((a, b) => a.time - b.time)
+    .forEach(reading => {
+      const [minutes, seconds] = reading.clock.split(':').map(Number);
+      const clockSeconds = minutes * 60 + seconds;
+
+      if (reading.period) {
+        period = reading.period;
+      } else if (clockDirection === 'down' && lastSeconds !== null && clockSeconds - lastSeconds > PERIOD_RESET_SECONDS) {
+        period++;
+      }
+
+      lastSeconds = clockSeconds;
+      anchors.push({
+        videoTime: reading.time,
+        clockSeconds,
+        period: clockDirection === 'down' ? period : (reading.period || null)
+      });
+    });
+
+  return anchors;
+}
+
+function placeByClock(event, anchors, clockDirection) {
+  const nearest = anchors
+    .filter(anchor => anchor.period === null || anchor.period === event.period)
+    .map(anchor => ({ anchor, distance: Math.abs(anchor.clockSeconds - event.clockSeconds) }))
+    .filter(({ distance }) => distance <= MAX_CLOCK_DISTANCE_SECONDS)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, ANCHORS_PER_EVENT);
+
+  if (nearest.length === 0) {
+    return null;
+  }
+
+  const times = nearest.map(({ anchor }) => projectVideoTime(event, anchor, clockDirection)).sort((a, b) => a - b);
+
+  return { videoTime: times[Math.floor(times.length / 2)], alignedBy: 'scoreboard-clock' };
+}
+
+function placeByOffset(event, offsets, clockDirection) {
+  const offset = offsets
+    .filter(candidate => candidate.period === event.period)
+    .sort((a, b) => Math.abs(a.clockSeconds - event.clockSeconds) - Math.abs(b.clockSeconds - event.clockSeconds))[0];
+
+  return offset ? { videoTime: projectVideoTime(event, offset, clockDirection), alignedBy: 'offset' } : null;
+}
+
+/**
+ * Video time of an event, assuming the clock ran without stopping since the anchor
+ */
+function projectVideoTime(event, anchor, clockDirection) {
+  const elapsed = clockDirection === 'down'
+    ? anchor.clockSeconds - event.clockSeconds
+    : event.clockSeconds - anchor.clockSeconds;
+
+  return anchor.videoTime + elapsed;
+}
+
+/**
+ * Scoring events as score-change anchors (see score-anchors.js)
+ */
+function toScoreEvents(alignedEvents) {
+  return alignedEvents
+    .filter(event => event.scoring)
+    .map(event => ({
+      time: event.videoTime,
+      source: 'play-by-play',
+      description: event.description,
+      ...(event.previousScore && { from: event.previousScore }),
+      ...(event.score && { to: event.score })
+    }));
+}
+
+/**
+ * Windows for important events that no highlight covers, when PLAY_BY_PLAY_CREATE_HIGHLIGHTS is on
+ */
+function buildMissedEventHighlights(alignedEvents, highlights, profile, windowOptions) {
+  if (!PLAY_BY_PLAY_CREATE_HIGHLIGHTS) {
+    return [];
+  }
+
+  const missed = alignedEvents.filter(event => event.important && !highlights.some(highlight =>
+    event.videoTime - EVENT_PADDING_BEFORE < highlight.endTime &&
+    event.videoTime + EVENT_PADDING_AFTER > highlight.startTime
+  ));
+
+  if (missed.length > 0) {
+    console.log(`Creating highlights for ${missed.length} play-by-play events vision missed`);
+  }
+
+  return buildHighlightWindows(missed.map(event => ({
+    startTime: event.videoTime,
+    endTime: event.videoTime,
+    duration: 0,
+    confidence: PLAY_BY_PLAY_EVENT_CONFIDENCE,
+    labels: [],
+    labelHits: 0,
+    sport: profile.sport,
+    ...(PLAY_TYPES.includes(event.type) && { playType: event.type }),
+    detectionSource: 'play-by-play'
+  })), {
+    ...windowOptions,
+    paddingBefore: EVENT_PADDING_BEFORE,
+    paddingAfter: EVENT_PADDING_AFTER
+  });
+}
+
+/**
+ * Attach the feed events inside each highlight window, and use their descriptions
+ * as the highlight description when it has none
+ */
+function attachPlayByPlay(highlights, alignedEvents) {
+  if (alignedEvents.length === 0) {
+    return highlights;
+  }
+
+  return highlights.map(highlight => {
+    const events = alignedEvents.filter(event =>
+      event.videoTime >= highlight.startTime && event.videoTime <= highlight.endTime
+    );
+
+    if (events.length === 0) {
+      return highlight;
+    }
+
+    return {
+      ...highlight,
+      description: highlight.description || events.map(event => event.description).join(' '),
+      playByPlay: events.map(event => ({
+        id: event.id,
+        videoTime: event.videoTime,
+        period: event.period,
+        type: event.type,
+        description: event.description,
+        ...(event.clock && { clock: event.clock }),
+        ...(event.team && { team: event.team }),
+        ...(event.player && { player: event.player })
+      }))
+    };
+  });
+}
+
+module.exports = {
+  loadPlayByPlay,
+  alignPlayByPlay,
+  toScoreEvents,
+  buildMissedEventHighlights,
+  attachPlayByPlay
+};
@@ -0,0 +1,96 @@
+const { buildHighlightWindows } = require('./highlight-windows');
+
+/**
+ * Score-change anchored detection: every change on the scoreboard (read with OCR)
+ * or in a play-by-play feed becomes a highlight window around that moment, padded
+ * per sport. A score change is a far more precise goal signal than label clusters,
+ * so anchored highlights take over any label cluster covering the same moment.
+ */
+
+// How highlights are found: label clusters, score changes, or both
+const DETECTION_MODES = ['labels', 'score', 'combined'];
+// Confidence floor for anchored highlights (label clusters rarely reach this)
+const SCORE_ANCHOR_CONFIDENCE = parseFloat(process.env.SCORE_ANCHOR_CONFIDENCE || '95');
+
+/**
+ * Highlight windows around score events ({ time (s), source, from, to, ... }).
+ * Events close enough for their windows to overlap, e.g. the same goal seen on the
+ * scoreboard and in the feed, share one window. `windowOptions` are the
+ * buildHighlightWindows options; padding comes from the sport profile.
+ */
+function buildScoreAnchoredHighlights(scoreEvents, profile, windowOptions) {
+  const events = [...scoreEvents].sort((a, b) => a.time - b.time);
+  // Snapping can move each edge by up to the snap tolerance
+  const gap = profile.scorePaddingBefore + profile.scorePaddingAfter + 2 * (windowOptions.snapTolerance || 0);
+  const anchors = [];
+
+  events.forEach(event => {
+    const previous = anchors[anchors.length - 1];
+
+    if (previous && event.time - previous.endTime <= gap) {
+      previous.endTime = event.time;
+      previous.scoreEvents.push(event);
+    } else {
+      anchors.push({ startTime: event.time, endTime: event.time, scoreEvents: [event] });
+    }
+  });
+
+  const highlights = anchors.map(anchor => ({
+    ...anchor,
+    duration: anchor.endTime - anchor.startTime,
+    confidence: SCORE_ANCHOR_CONFIDENCE,
+    labels: [],
+    labelHits: 0,
+    sport: profile.sport,
+    playType: profile.scorePlayType,
+    detectionSource: 'score-change'
+  }));
+
+  return buildHighlightWindows(highlights, {
+    ...windowOptions,
+    paddingBefore: profile.scorePaddingBefore,
+    paddingAfter: profile.scorePaddingAfter
+  });
+}
+
+/**
+ * Combine label-cluster and anchored highlights. A label cluster overlapping an
+ * anchored window is the same moment: its labels and person count move onto the
+ * anchored highlight and the cluster is dropped.
+ */
+function mergeWithScoreAnchors(labelHighlights, anchoredHighlights) {
+  const merged = anchoredHighlights.map(highlight => ({
+    ...highlight,
+    confidence: Math.max(highlight.confidence, SCORE_ANCHOR_CONFIDENCE)
+  }));
+
+  const remaining = labelHighlights.filter(highlight => {
+    const anchored = merged.find(anchor =>
+      highlight.startTime < anchor.endTime && highlight.endTime > anchor.startTime
+    );
+
+    if (!anchored) {
+      return true;
+    }
+
+    anchored.labels = Array.from(new Set([...anchored.labels, ...(highlight.labels || [])]));
+    anchored.labelHits += highlight.labelHits || 0;
+    anchored.personCount = Math.max(anchored.personCount || 0, highlight.personCount || 0);
+    return false;
+  });
+
+  if (labelHighlights.length > remaining.length) {
+    console.log(`Merged ${labelHighlights.length - remaining.length} label clusters into score-change highlights`);
+  }
+
+  return [
+    ...merged,
+    ...remaining.map(highlight => ({ ...highlight, detectionSource: highlight.detectionSource || 'labels' }))
+  ].sort((a, b) => b.confidence - a.confidence);
+}
+
+module.exports = {
+  DETECTION_MODES,
+  buildScoreAnchoredHighlights,
+  mergeWithScoreAnchors
+};
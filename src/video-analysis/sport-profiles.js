@@ -0,0 +1,100 @@
+const defaultProfiles = require('./sport-profiles.json');
+const { PLAY_TYPES } = require('./highlight-insights');
+
+const DEFAULT_SPORT = 'general_sports';
+const CLOCK_DIRECTIONS = ['up', 'down', 'none'];
+const NUMERIC_FIELDS = [
+  'minConfidence', 'clusterGapMs', 'minClusterSize', 'paddingBefore', 'paddingAfter',
+  'scorePaddingBefore', 'scorePaddingAfter'
+];
+
+let cachedProfiles;
+
+/**
+ * Detection profile for a sport: which Rekognition labels count (and how much),
+ * how far apart label hits can be to form one cluster, and how to pad the result.
+ * Score changes are padded separately (scorePaddingBefore/After) and tagged scorePlayType.
+ * clockDirection says whether the game clock counts up, down or doesn't exist.
+ *
+ * Defaults live in sport-profiles.json. SPORT_PROFILES may hold a JSON object of
+ * per-sport overrides, e.g. {"basketball": {"clusterGapMs": 2500}}.
+ */
+function getSportProfile(sport) {
+  const profiles = loadProfiles();
+  const profile = profiles[sport] || profiles[DEFAULT_SPORT];
+
+  return {
+    sport: profiles[sport] ? sport : DEFAULT_SPORT,
+    ...profile
+  };
+}
+
+/**
+ * Load bundled profiles once per container and apply environment overrides
+ */
+function loadProfiles() {
+  if (cachedProfiles) {
+    return cachedProfiles;
+  }
+
+  const profiles = JSON.parse(JSON.stringify(defaultProfiles));
+  const overrides = parseOverrides(process.env.SPORT_PROFILES);
+
+  Object.entries(overrides).forEach(([sport, override]) => {
+    const base = profiles[sport] || profiles[DEFAULT_SPORT];
+
+    profiles[sport] = {
+      ...base,
+      ...override,
+      // Label weights are replaced wholesale so a profile can drop labels
+      labels: override.labels || base.labels
+    };
+  });
+
+  Object.entries(profiles).forEach(([sport, profile]) => validateProfile(sport, profile));
+
+  cachedProfiles = profiles;
+  return cachedProfiles;
+}
+
+function parseOverrides(raw) {
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    throw new Error(`SPORT_PROFILES is not valid JSON: ${error.message}`);
+  }
+}
+
+function validateProfile(sport, profile) {
+  if (!profile.labels || typeof profile.labels !== 'object' || Object.keys(profile.labels).length === 0) {
+    throw new Error(`Sport profile '${sport}' must define at least one label`);
+  }
+
+  Object.entries(profile.labels).forEach(([label, weight]) => {
+    if (typeof weight !== 'number' || weight <= 0) {
+      throw new Error(`Sport profile '${sport}' has an invalid weight for label '${label}'`);
+    }
+  });
+
+  NUMERIC_FIELDS.forEach(field => {
+    if (typeof profile[field] !== 'number' || profile[field] < 0) {
+      throw new Error(`Sport profile '${sport}' has an invalid ${field}`);
+    }
+  });
+  if (!PLAY_TYPES.includes(profile.scorePlayType)) {
+    throw new Error(`Sport profile '${sport}' has an invalid scorePlayType`);
+  }
+
+  if (!CLOCK_DIRECTIONS.includes(profile.clockDirection)) {
+    throw new Error(`Sport profile '${sport}' clockDirection must be one of ${CLOCK_DIRECTIONS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  getSportProfile
+};
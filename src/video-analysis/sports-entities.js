@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+// Rosters are maintained as one JSON file per league; point this at another
+// directory (e.g. a Lambda layer) to update them without redeploying the function
+const GAZETTEER_PATH = process.env.GAZETTEER_PATH || path.join(__dirname, 'gazetteer');
+
+let cachedGazetteer;
+
+/**
+ * Tag highlights with canonical teams and players found in their title, commentary,
+ * description and play-by-play, using the gazetteer leagues for the video's sport.
+ * Teams named in the game ID (e.g. games/barcelona-vs-real-madrid/...) or listed on
+ * the game's record apply to every highlight of the game, and a tagged player also
+ * tags their team.
+ */
+function tagSportsEntities(highlights, { sport, gameId, teams = [] }) {
+  const index = getSportIndex(sport);
+
+  if (index.length === 0) {
+    return highlights;
+  }
+
+  const gameEntities = matchEntities(index, [gameId.replace(/[-_]+/g, ' '), ...teams].join(' | '));
+
+  return highlights.map(highlight => {
+    const feedNames = (highlight.playByPlay || []).flatMap(event => [event.player, event.team]);
+    const text = [highlight.aiTitle, highlight.transcriptSnippet, highlight.description, ...feedNames]
+      .filter(Boolean)
+      .join(' | ');
+    const entities = matchEntities(index, text);
+
+    const players = uniqueById(entities.filter(entity => entity.kind === 'player'));
+    const teams = uniqueById([
+      ...gameEntities.filter(entity => entity.kind === 'team'),
+      ...entities.filter(entity => entity.kind === 'team'),
+      ...players.map(player => player.team).filter(Boolean)
+    ]);
+
+    return {
+      ...highlight,
+      players: players.map(player => player.name),
+      playerIds: players.map(player => player.id),
+      teams: teams.map(team => team.name),
+      teamIds: teams.map(team => team.id)
+    };
+  });
+}
+
+/**
+ * Find gazetteer entities in free text. Longer aliases win, so "Atletico Madrid"
+ * isn't also read as "Madrid".
+ */
+function matchEntities(index, text) {
+  let remaining = ` ${normalizeText(text)} `;
+  const matches = [];
+
+  index.forEach(({ alias, entity }) => {
+    const needle = ` ${alias} `;
+
+    if (remaining.includes(needle)) {
+      matches.push(entity);
+      remaining = remaining.split(needle).join(` ${' '.repeat(alias.length)} `);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Rostered players of a sport wearing `jerseyNumber`, limited to `teamIds` when given
+ */
+function findPlayersByJerseyNumber(sport, jerseyNumber, teamIds = []) {
+  const roster = getGazetteer().rosters[sport] || [];
+
+  return roster
+    .filter(player => player.jerseyNumber === jerseyNumber)
+    .filter(player => teamIds.length === 0 || teamIds.includes(player.teamId))
+    .map(player => ({
+      id: player.id,
+      name: player.name,
+      teamId: player.teamId,
+      jerseyNumber: player.jerseyNumber
+    }));
+}
+
+/**
+ * Aliases for every league of a sport, longest first
+ */
+function getSportIndex(sport) {
+  return getGazetteer().indexes[sport] || [];
+}
+
+function getGazetteer() {
+  if (!cachedGazetteer) {
+    const leagues = loadLeagues();
+
+    cachedGazetteer = {
+      indexes: buildIndexes(leagues),
+      rosters: buildRosters(leagues)
+    };
+  }
+
+  return cachedGazetteer;
+}
+
+function loadLeagues() {
+  try {
+    return fs.readdirSync(GAZETTEER_PATH)
+      .filter(file => file.endsWith('.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(GAZETTEER_PATH, file), 'utf8')));
+  } catch (error) {
+    console.warn(`Sports gazetteer unavailable at ${GAZETTEER_PATH}, skipping entity tagging:`, error.message);
+    return [];
+  }
+}
+
+function buildIndexes(leagues) {
+  const indexes = {};
+
+  leagues.forEach(league => {
+    const entries = indexes[league.sport] || (indexes[league.sport] = []);
+    const teams = {};
+
+    (league.teams || []).forEach(team => {
+      teams[team.id] = { kind: 'team', id: team.id, name: team.name, league: league.league };
+      addAliases(entries, teams[team.id], [team.name, ...(team.aliases || [])]);
+    });
+
+    (league.players || []).forEach(player => {
+      const entity = {
+        kind: 'player',
+        id: player.id,
+        name: player.name,
+        league: league.league,
+        team: teams[player.teamId] || null
+      };
+      addAliases(entries, entity, [player.name, ...(player.aliases || [])]);
+    });
+  });
+
+  Object.values(indexes).forEach(entries => entries.sort((a, b) => b.alias.length - a.alias.length));
+  return indexes;
+}
+
+function buildRosters(leagues) {
+  const rosters = {};
+
+  leagues.forEach(league => {
+    rosters[league.sport] = [...(rosters[league.sport] || []), ...(league.players || [])];
+  });
+
+  return rosters;
+}
+
+function addAliases(entries, entity, aliases) {
+  new Set(aliases.map(normalizeText).filter(Boolean)).forEach(alias => entries.push({ alias, entity }));
+}
+
+/**
+ * Lowercase, strip accents and punctuation: "Barça!" -> "barca"
+ */
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function uniqueById(entities) {
+  const seen = new Set();
+
+  return entities.filter(entity => {
+    if (seen.has(entity.id)) {
+      return false;
+    }
+    seen.add(entity.id);
+    return true;
+  });
+}
+
+module.exports = {
+  tagSportsEntities,
+  findPlayersByJerseyNumber
+};
@@ -0,0 +1,185 @@
+const {
+  ComprehendClient,
+  BatchDetectDominantLanguageCommand,
+  BatchDetectSentimentCommand,
+  BatchDetectEntitiesCommand,
+  BatchDetectKeyPhrasesCommand
+} = require('@aws-sdk/client-comprehend');
+
+const comprehend = new ComprehendClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+// Used when the dominant language can't be detected
+const DEFAULT_LANGUAGE = process.env.COMPREHEND_DEFAULT_LANGUAGE || 'en';
+
+// Languages Comprehend's sentiment, entity and key phrase APIs all accept
+const SUPPORTED_LANGUAGES = ['en', 'es', 'fr', 'de', 'it', 'pt', 'ar', 'hi', 'ja', 'ko', 'zh', 'zh-TW'];
+
+// Batch APIs take up to 25 documents of at most 5,000 bytes each
+const BATCH_SIZE = 25;
+const MAX_TEXT_BYTES = 4900;
+
+/**
+ * Analyze many short texts with Comprehend's batch APIs: detect each text's dominant
+ * language, then run sentiment, entities and key phrases per language.
+ * Returns one { language, sentiment, entities, keyPhrases } per input text, in order;
+ * texts that are empty, in an unsupported language or that fail come back without analysis.
+ */
+async function analyzeTexts(texts) {
+  const documents = texts.map(text => truncateToBytes((text || '').trim(), MAX_TEXT_BYTES));
+  const results = documents.map(() => ({
+    language: null,
+    sentiment: null,
+    entities: [],
+    keyPhrases: []
+  }));
+
+  const indexes = documents.map((text, index) => index).filter(index => documents[index]);
+  if (indexes.length === 0) {
+    return results;
+  }
+
+  const languages = await detectLanguages(indexes.map(index => documents[index]));
+  const byLanguage = {};
+
+  indexes.forEach((documentIndex, position) => {
+    const language = languages[position];
+    results[documentIndex].language = language;
+
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      console.warn(`Comprehend does not analyze '${language}' text, skipping`);
+      return;
+    }
+
+    byLanguage[language] = byLanguage[language] || [];
+    byLanguage[language].push(documentIndex);
+  });
+
+  for (const [language, languageIndexes] of Object.entries(byLanguage)) {
+    for (const batch of toBatches(languageIndexes)) {
+      await analyzeBatch(batch.map(index => documents[index]), language, (position, field, value) => {
+        results[batch[position]][field] = value;
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Dominant language code of each text (highest scoring), DEFAULT_LANGUAGE when unknown
+ */
+async function detectLanguages(documents) {
+  const languages = documents.map(() => DEFAULT_LANGUAGE);
+
+  for (const [batchNumber, batch] of toBatches(documents).entries()) {
+    try {
+      const response = await comprehend.send(new BatchDetectDominantLanguageCommand({ TextList: batch }));
+
+      (response.ResultList || []).forEach(result => {
+        const best = (result.Languages || []).reduce(
+          (top, language) => (!top || language.Score > top.Score ? language : top),
+          null
+        );
+
+        if (best) {
+          languages[batchNumber * BATCH_SIZE + result.Index] = best.LanguageCode;
+        }
+      });
+    } catch (error) {
+      console.warn(`Language detection failed, assuming '${DEFAULT_LANGUAGE}':`, error.message);
+    }
+  }
+
+  return languages;
+}
+
+/**
+ * Run the three batch analyses for up to 25 texts in one language. Each analysis
+ * fails independently; `assign(position, field, value)` stores what succeeded.
+ */
+async function analyzeBatch(textList, languageCode, assign) {
+  const params = { TextList: textList, LanguageCode: languageCode };
+
+  const [sentimentResponse, entitiesResponse, keyPhrasesResponse] = await Promise.all([
+    sendBatch(new BatchDetectSentimentCommand(params), 'sentiment'),
+    sendBatch(new BatchDetectEntitiesCommand(params), 'entities'),
+    sendBatch(new BatchDetectKeyPhrasesCommand(params), 'key phrases')
+  ]);
+
+  (sentimentResponse?.ResultList || []).forEach(result => {
+    assign(result.Index, 'sentiment', {
+      sentiment: result.Sentiment,
+      confidence: result.SentimentScore[toScoreKey(result.Sentiment)]
+    });
+  });
+
+  (entitiesResponse?.ResultList || []).forEach(result => {
+    assign(result.Index, 'entities', result.Entities.map(entity => ({
+      text: entity.Text,
+      type: entity.Type,
+      confidence: entity.Score
+    })));
+  });
+
+  (keyPhrasesResponse?.ResultList || []).forEach(result => {
+    assign(result.Index, 'keyPhrases', result.KeyPhrases.map(phrase => ({
+      text: phrase.Text,
+      confidence: phrase.Score
+    })));
+  });
+}
+
+async function sendBatch(command, analysisName) {
+  try {
+    const response = await comprehend.send(command);
+
+    if (response.ErrorList && response.ErrorList.length > 0) {
+      console.warn(`Comprehend ${analysisName} failed for ${response.ErrorList.length} text(s):`,
+        response.ErrorList.map(error => error.ErrorMessage));
+    }
+
+    return response;
+  } catch (error) {
+    console.error(`Error analyzing text with Comprehend (${analysisName}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * "POSITIVE" -> "Positive", the key used in SentimentScore
+ */
+function toScoreKey(sentiment) {
+  return sentiment.charAt(0) + sentiment.slice(1).toLowerCase();
+}
+
+function toBatches(items) {
+  const batches = [];
+
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    batches.push(items.slice(i, i + BATCH_SIZE));
+  }
+
+  return batches;
+}
+
+/**
+ * Cut a string to a UTF-8 byte length without splitting a character
+ */
+function truncateToBytes(text, maxBytes) {
+  if (Buffer.byteLength(text) <= maxBytes) {
+    return text;
+  }
+
+  let truncated = text.slice(0, maxBytes);
+  while (Buffer.byteLength(truncated) > maxBytes) {
+    truncated = truncated.slice(0, -1);
+  }
+
+  return truncated;
+}
+
+module.exports = {
+  analyzeTexts
+};